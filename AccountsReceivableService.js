@@ -0,0 +1,173 @@
+// Data service for the accounts-receivable aging report.
+//
+// Open invoices (outstanding balance after payments and linked credit notes)
+// are bucketed by days past the due date and grouped by project and client.
+
+var AR_AGING_BUCKETS = [
+  { key: "current", label: "Current", minDays: -Infinity, maxDays: 0 },
+  { key: "days1to30", label: "1–30", minDays: 1, maxDays: 30 },
+  { key: "days31to60", label: "31–60", minDays: 31, maxDays: 60 },
+  { key: "days61to90", label: "61–90", minDays: 61, maxDays: 90 },
+  { key: "days90plus", label: "90+", minDays: 91, maxDays: Infinity },
+];
+var AR_EUR_CURRENCY_VALUES = ["€", "EUR"];
+
+function getArAgingBucketKey_(daysOverdue) {
+  for (var i = 0; i < AR_AGING_BUCKETS.length; i++) {
+    var bucket = AR_AGING_BUCKETS[i];
+    if (daysOverdue >= bucket.minDays && daysOverdue <= bucket.maxDays) {
+      return bucket.key;
+    }
+  }
+  return AR_AGING_BUCKETS[AR_AGING_BUCKETS.length - 1].key;
+}
+
+function createArAgingAmounts_() {
+  var amounts = { total: 0 };
+  AR_AGING_BUCKETS.forEach(function (bucket) {
+    amounts[bucket.key] = 0;
+  });
+  return amounts;
+}
+
+function addArAgingAmount_(amounts, bucketKey, value) {
+  amounts[bucketKey] = roundInvoiceAmount_(amounts[bucketKey] + value);
+  amounts.total = roundInvoiceAmount_(amounts.total + value);
+}
+
+function isArEurCurrency_(currency) {
+  return AR_EUR_CURRENCY_VALUES.indexOf(String(currency || "").trim()) !== -1;
+}
+
+// EUR value of an outstanding amount, using the invoice's own Amount in EUR
+// to Total ratio. Returns null when the invoice has no EUR amount.
+function convertArOutstandingToEur_(outstanding, currency, total, amountInEur) {
+  if (isArEurCurrency_(currency)) return outstanding;
+  var totalNum = parseFloat(total);
+  var eurNum = parseFloat(amountInEur);
+  if (!(totalNum > 0) || !(eurNum > 0)) return null;
+  return roundInvoiceAmount_((outstanding * eurNum) / totalNum);
+}
+
+/**
+ * Build the AR aging report
+ * @param {string} asOfDate - Report date (yyyy-mm-dd), defaults to today
+ * @returns {Object} { success, asOfDate, buckets, groups, currencyTotals, eurTotals, unconverted }
+ */
+function getAccountsReceivableAgingFromData(asOfDate) {
+  try {
+    var asOf = startOfInvoiceDay_(parseInvoicePaymentDate_(asOfDate) || new Date());
+    var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+    var sheet = getSheet(spreadsheet, CONFIG.SHEETS.INVOICES);
+    var values = sheet.getDataRange().getValues();
+    var colMap = buildColumnMap(values[0] || []);
+    // Payments and credit notes after the report date were not yet known then.
+    var paidById = getInvoicePaymentTotalsById_(spreadsheet, asOf);
+    var creditedById = getCreditedTotalsByInvoiceId_(spreadsheet, asOf);
+
+    var groupsByKey = {};
+    var currencyTotals = {};
+    var eurTotals = createArAgingAmounts_();
+    var unconverted = [];
+
+    for (var i = 1; i < values.length; i++) {
+      var row = values[i];
+      var id = String(row[colMap["ID"]] || "");
+      if (!id) continue;
+      if (!isInvoiceReceivable_(getInvoiceStatus_(row, colMap))) continue;
+      var invoiceDate = row[colMap["Invoice Date"]];
+      if (invoiceDate instanceof Date && startOfInvoiceDay_(invoiceDate) > asOf) {
+        continue;
+      }
+      var total = row[colMap["Total"]];
+      var summary = buildInvoicePaymentSummary_(
+        total,
+        row[colMap["Due Date"]],
+        paidById[id] || 0,
+        creditedById[id] || 0,
+        asOf
+      );
+      var outstanding = parseFloat(summary.outstanding) || 0;
+      if (outstanding <= 0) continue;
+
+      var dueDate = row[colMap["Due Date"]];
+      var daysPastDue =
+        dueDate instanceof Date
+          ? Math.floor(
+              (asOf.getTime() - startOfInvoiceDay_(dueDate).getTime()) / 86400000
+            )
+          : 0;
+      var bucketKey = getArAgingBucketKey_(daysPastDue);
+      var projectName = String(row[colMap["Project Name"]] || "");
+      var clientName = String(row[colMap["Client Name"]] || "");
+      var currency = String(row[colMap["Currency"]] || "");
+      var invoiceNumber = String(row[colMap["Invoice Number"]] || "");
+      var eurValue = convertArOutstandingToEur_(
+        outstanding,
+        currency,
+        total,
+        row[colMap["Amount in EUR"]]
+      );
+
+      var groupKey = [projectName, clientName, currency].join("|");
+      if (!groupsByKey[groupKey]) {
+        groupsByKey[groupKey] = {
+          projectName: projectName,
+          clientName: clientName,
+          currency: currency,
+          amounts: createArAgingAmounts_(),
+          amountInEur: 0,
+          invoices: [],
+        };
+      }
+      var group = groupsByKey[groupKey];
+      addArAgingAmount_(group.amounts, bucketKey, outstanding);
+      group.invoices.push({
+        id: id,
+        invoiceNumber: invoiceNumber,
+        dueDate: formatDate(dueDate),
+        outstanding: outstanding.toFixed(2),
+        daysOverdue: daysPastDue > 0 ? daysPastDue : 0,
+        bucket: bucketKey,
+      });
+
+      if (!currencyTotals[currency]) currencyTotals[currency] = createArAgingAmounts_();
+      addArAgingAmount_(currencyTotals[currency], bucketKey, outstanding);
+
+      if (eurValue === null) {
+        unconverted.push({ invoiceNumber: invoiceNumber, currency: currency });
+      } else {
+        group.amountInEur = roundInvoiceAmount_(group.amountInEur + eurValue);
+        addArAgingAmount_(eurTotals, bucketKey, eurValue);
+      }
+    }
+
+    var groups = Object.keys(groupsByKey)
+      .map(function (key) {
+        return groupsByKey[key];
+      })
+      .sort(function (a, b) {
+        if (a.projectName !== b.projectName) {
+          return a.projectName.localeCompare(b.projectName);
+        }
+        return a.clientName.localeCompare(b.clientName);
+      });
+
+    return {
+      success: true,
+      asOfDate: formatDate(asOf),
+      buckets: AR_AGING_BUCKETS.map(function (bucket) {
+        return { key: bucket.key, label: bucket.label };
+      }),
+      groups: groups,
+      currencyTotals: Object.keys(currencyTotals).map(function (currency) {
+        return { currency: currency, amounts: currencyTotals[currency] };
+      }),
+      eurTotals: eurTotals,
+      unconverted: unconverted,
+    };
+  } catch (error) {
+    console.error("Error building AR aging report:", error);
+    return { success: false, message: error.message };
+  }
+}
@@ -71,7 +71,11 @@ function getPageSection(page) {
   ) {
     return "clientsinfo";
   }
-  if (page === "InvoicesListTabulatorLab") {
+  if (
+    page === "InvoicesListTabulatorLab" ||
+    page === "AccountsReceivableAging" ||
+    page === "VatReport"
+  ) {
     return "invoices";
   }
   if (page === "CreditNotesListTabulatorLab") {
@@ -295,6 +299,7 @@ function doGet(e) {
     template.contractId = e.parameter.contractId || e.parameter.id || "";
     template.billId = e.parameter.billId || e.parameter.id || "";
     template.clientId = e.parameter.clientId || e.parameter.id || "";
+    template.invoiceRequestId = e.parameter.invoiceRequestId || "";
     template.mode = pageMode;
     template.clientsInfoCanEdit = canManageClientsInformation(email);
 
@@ -420,6 +425,26 @@ function getCreditNoteList(forceRefresh) {
   return getCreditNoteListFromData();
 }
 
+/**
+ * Issued invoices of a project that a credit note can still correct
+ * @param {string} projectName
+ * @param {string} creditNoteId - Credit note being edited, if any
+ * @returns {Object} { success, invoices }
+ */
+function getCreditNoteInvoiceOptions(projectName, creditNoteId) {
+  return getCreditNoteInvoiceOptionsFromData(projectName, creditNoteId);
+}
+
+/**
+ * Credit note fields pre-filled from the invoice it corrects
+ * @param {string} invoiceId
+ * @param {string} creditNoteId - Credit note being edited, if any
+ * @returns {Object} { success, invoice, data }
+ */
+function getCreditNotePrefillFromInvoice(invoiceId, creditNoteId) {
+  return getCreditNotePrefillFromInvoiceFromData(invoiceId, creditNoteId);
+}
+
 /**
  * Get list of all contracts
  * @returns {Array} Array of contract objects
@@ -595,12 +620,15 @@ function formatDateForInput(val) {
 }
 
 /**
- * Delete invoice by ID (global endpoint for frontend)
+ * Delete invoice by ID (global endpoint for frontend). A request linked to
+ * the deleted draft is unlinked.
  * @param {string} id - Invoice ID
  * @returns {Object} { success: true } or { success: false, message }
  */
 function deleteInvoiceById(id) {
-  return deleteInvoiceByIdFromData(id);
+  var result = deleteInvoiceByIdFromData(id);
+  if (result.success) unlinkInvoiceRequestFromInvoice_(id);
+  return result;
 }
 
 /**
@@ -635,6 +663,235 @@ function updateInvoiceById(id, data) {
   return updateInvoiceByIdFromData(id, data);
 }
 
+/**
+ * Issue a draft invoice
+ * @param {string} id - Invoice ID
+ * @returns {Object} { success, status } or { success: false, message }
+ */
+function issueInvoiceById(id) {
+  if (!hasAccessToSection(getCurrentUserEmail(), "invoices")) {
+    return { success: false, message: "No permission to issue invoices." };
+  }
+  return issueInvoiceByIdFromData(id);
+}
+
+/**
+ * Void an issued invoice with a reason
+ * @param {string} id - Invoice ID
+ * @param {string} reason
+ * @returns {Object} { success, status } or { success: false, message }
+ */
+function voidInvoiceById(id, reason) {
+  if (!hasAccessToSection(getCurrentUserEmail(), "invoices")) {
+    return { success: false, message: "No permission to void invoices." };
+  }
+  return voidInvoiceByIdFromData(id, reason);
+}
+
+/**
+ * Get the void-with-reason modal shared by the invoice pages
+ * @returns {string} Modal HTML
+ */
+function getVoidInvoiceModal() {
+  return HtmlService.createHtmlOutputFromFile("VoidInvoiceModal").getContent();
+}
+
+/**
+ * Preview the next invoice number for Our Company (nothing is reserved)
+ * @param {string} ourCompany
+ * @param {string} invoiceDate - yyyy-mm-dd
+ * @returns {Object} { automatic, pattern, invoiceNumber }
+ */
+function previewNextInvoiceNumber(ourCompany, invoiceDate) {
+  return previewNextInvoiceNumberFromData(ourCompany, invoiceDate);
+}
+
+/**
+ * Stored exchange rate for an invoice date (or the last earlier day)
+ * @param {string} currency - Currency symbol of the invoice
+ * @param {string} invoiceDate - yyyy-mm-dd
+ * @returns {Object} { success, rate, date, source } or { success: false, message }
+ */
+function getExchangeRateForInvoice(currency, invoiceDate) {
+  return getExchangeRateForInvoiceFromData(currency, invoiceDate);
+}
+
+/**
+ * Due date of an invoice from the project's payment terms and holidays
+ * @param {string} projectName - Project name
+ * @param {string} invoiceDate - yyyy-mm-dd
+ * @returns {Object} { success, dueDate, paymentDelay, dayType } or { success: false, message }
+ */
+function getInvoiceDueDate(projectName, invoiceDate) {
+  return getInvoiceDueDateFromData(projectName, invoiceDate);
+}
+
+/**
+ * Get invoice numbering gaps and duplicates per Our Company and year
+ * @returns {Object} { success, groups } or { success: false, message }
+ */
+function getInvoiceNumberGapReport() {
+  return getInvoiceNumberGapReportFromData();
+}
+
+// ── Invoice payments wrappers ────────────────────────────────────────────────
+
+function canManageInvoicePayments(email) {
+  return hasAccessToSection(email || getCurrentUserEmail(), "invoices");
+}
+
+function getInvoicePayments(invoiceId) {
+  if (!canManageInvoicePayments()) {
+    return { success: false, message: "No permission to view payments." };
+  }
+  return getInvoicePaymentsFromData(invoiceId);
+}
+
+function addInvoicePayment(payment) {
+  if (!canManageInvoicePayments()) {
+    return { success: false, message: "No permission to record payments." };
+  }
+  return addInvoicePaymentFromData(payment);
+}
+
+function deleteInvoicePayment(paymentId) {
+  if (!canManageInvoicePayments()) {
+    return { success: false, message: "No permission to delete payments." };
+  }
+  return deleteInvoicePaymentFromData(paymentId);
+}
+
+/**
+ * Get the accounts-receivable aging report
+ * @param {string} asOfDate - yyyy-mm-dd, defaults to today
+ * @returns {Object} Report payload or { success: false, message }
+ */
+function getAccountsReceivableAging(asOfDate) {
+  if (!canManageInvoicePayments()) {
+    return { success: false, message: "No permission to view receivables." };
+  }
+  return getAccountsReceivableAgingFromData(asOfDate);
+}
+
+/**
+ * Get the VAT summary of a month or quarter (invoices, credit notes and bills)
+ * @param {string} periodType - "month" or "quarter"
+ * @param {string} month - yyyy-MM
+ * @returns {Object} Report payload or { success: false, message }
+ */
+function getVatReport(periodType, month) {
+  var email = getCurrentUserEmail();
+  // Credit notes reduce the output VAT, so the report is not shown without them
+  var allowed = ["invoices", "creditnotes", "bills"].every(function (section) {
+    return hasAccessToSection(email, section);
+  });
+  if (!allowed) {
+    return {
+      success: false,
+      message: "The VAT report needs access to invoices, credit notes and bills.",
+    };
+  }
+  return getVatReportFromData(periodType, month);
+}
+
+// ── Send to client wrappers ─────────────────────────────────────────────────
+
+function canSendDocumentToClient_(documentType) {
+  return hasAccessToSection(
+    getCurrentUserEmail(),
+    documentType === "creditNote" ? "creditnotes" : "invoices"
+  );
+}
+
+/**
+ * Get the prefilled client email for an invoice or credit note
+ * @param {string} documentType - "invoice" or "creditNote"
+ * @param {string} documentId - Row ID
+ */
+function getDocumentMailDraft(documentType, documentId) {
+  if (!canSendDocumentToClient_(documentType)) {
+    return { success: false, message: "No permission to send this document." };
+  }
+  return getDocumentMailDraftFromData(documentType, documentId);
+}
+
+/**
+ * Send an invoice or credit note PDF to the client
+ * @param {string} documentType - "invoice" or "creditNote"
+ * @param {string} documentId - Row ID
+ * @param {Object} mail - { to, cc, subject, body }
+ */
+function sendDocumentToClient(documentType, documentId, mail) {
+  if (!canSendDocumentToClient_(documentType)) {
+    return { success: false, message: "No permission to send this document." };
+  }
+  return sendDocumentToClientFromData(documentType, documentId, mail);
+}
+
+/**
+ * Get the "Send to client" modal shared by the invoice and credit note pages
+ * @param {string} documentType - "invoice" or "creditNote"
+ * @returns {string} Modal HTML
+ */
+function getSendDocumentModal(documentType) {
+  var template = HtmlService.createTemplateFromFile("SendDocumentModal");
+  template.documentType = documentType;
+  return template.evaluate().getContent();
+}
+
+// ── E-invoice export wrappers ───────────────────────────────────────────────
+
+/**
+ * Export an invoice or credit note as a structured e-invoice XML saved next
+ * to its PDF
+ * @param {string} documentType - "invoice" or "creditNote"
+ * @param {string} documentId - Row ID
+ * @param {string} format - "isdoc" or "peppol"
+ */
+function exportEInvoice(documentType, documentId, format) {
+  if (!canSendDocumentToClient_(documentType)) {
+    return { success: false, message: "No permission to export this document.", problems: [] };
+  }
+  return exportEInvoiceFromData(documentType, documentId, format);
+}
+
+/**
+ * Get the "Export e-invoice" modal shared by the invoice and credit note pages
+ * @param {string} documentType - "invoice" or "creditNote"
+ * @returns {string} Modal HTML
+ */
+function getEInvoiceExportModal(documentType) {
+  var template = HtmlService.createTemplateFromFile("EInvoiceExportModal");
+  template.documentType = documentType;
+  return template.evaluate().getContent();
+}
+
+/**
+ * Get the "Import timesheet" modal shared by the invoice and bill pages
+ * @param {string} documentType - "invoice" or "bill"
+ * @returns {string} Modal HTML
+ */
+function getTimesheetImportModal(documentType) {
+  var template = HtmlService.createTemplateFromFile("TimesheetImportModal");
+  template.documentType = documentType;
+  return template.evaluate().getContent();
+}
+
+/**
+ * Preview invoice or bill lines built from a timesheet CSV export
+ * @param {string} documentType - "invoice" or "bill"
+ * @param {string} csvText - Content of the CSV file
+ * @param {Object} options - { projectName } or { contractorName }
+ * @returns {Object} Preview or { success: false, message }
+ */
+function previewTimesheetImport(documentType, csvText, options) {
+  var section = documentType === "bill" ? "bills" : "invoices";
+  if (!hasAccessToSection(getCurrentUserEmail(), section)) {
+    return { success: false, message: "No permission to import timesheets." };
+  }
+  return previewTimesheetImportFromData(documentType, csvText, options);
+}
+
 /**
  * Get navigation HTML with active page highlighting
  * @param {string} activePage - Current active page identifier
@@ -708,6 +965,147 @@ function refreshAccessPermissionsCaches() {
   };
 }
 
+// ── Scheduled jobs (time-driven triggers) ───────────────────────────────────
+
+// Daily jobs installed by installScheduledJobs. atHour is in the script time zone.
+var SCHEDULED_JOBS = [
+  { handler: "sendOverdueInvoiceReminders", atHour: 8 },
+  { handler: "generateRecurringInvoices", atHour: 6 },
+  { handler: "sendInvoiceRequestSlaDigest", atHour: 9 },
+];
+
+/**
+ * (Re)install the time-driven triggers of SCHEDULED_JOBS. Triggers run as the
+ * user who installs them, so this is limited to full-access users.
+ */
+function installScheduledJobs() {
+  var email = getCurrentUserEmail();
+  if (!isFullAccessUser(email)) {
+    return {
+      success: false,
+      message: "No permission to install scheduled jobs.",
+    };
+  }
+
+  var handlers = SCHEDULED_JOBS.map(function (job) {
+    return job.handler;
+  });
+  ScriptApp.getProjectTriggers().forEach(function (trigger) {
+    if (handlers.indexOf(trigger.getHandlerFunction()) !== -1) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+  SCHEDULED_JOBS.forEach(function (job) {
+    ScriptApp.newTrigger(job.handler)
+      .timeBased()
+      .everyDays(1)
+      .atHour(job.atHour)
+      .create();
+  });
+
+  return {
+    success: true,
+    message: "Scheduled jobs installed: " + handlers.join(", ") + ".",
+  };
+}
+
+/**
+ * Create the settings sheets an admin fills in (reads never create them),
+ * with their headers, and the Mail Templates and Reminder Schedule sheets
+ * with the defaults.
+ */
+function installSettingsSheets() {
+  var email = getCurrentUserEmail();
+  if (!isFullAccessUser(email)) {
+    return {
+      success: false,
+      message: "No permission to install settings sheets.",
+    };
+  }
+
+  var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+  // Names come from the service files, so they are read at call time.
+  [
+    [OUR_COMPANIES_SHEET, OUR_COMPANIES_HEADERS],
+    [PUBLIC_HOLIDAYS_SHEET, PUBLIC_HOLIDAYS_HEADERS],
+    [CURRENCY_NOTICES_SHEET, CURRENCY_NOTICES_HEADERS],
+    [INVOICE_NUMBERING_SHEET, INVOICE_NUMBERING_HEADERS],
+    [RECURRING_INVOICES_SHEET, RECURRING_INVOICES_HEADERS],
+  ].forEach(function (settings) {
+    getOrCreateSheet(spreadsheet, settings[0], settings[1]);
+  });
+  ensureDocumentMailTemplatesSheet_(spreadsheet);
+  ensureInvoiceReminderScheduleSheet_(spreadsheet);
+
+  return {
+    success: true,
+    message: "Settings sheets are in place.",
+  };
+}
+
+/**
+ * Make the Invoice Requests status columns follow the Stages sheet. Pages
+ * never change the columns themselves.
+ */
+function applyInvoiceRequestStages() {
+  var email = getCurrentUserEmail();
+  if (!isFullAccessUser(email)) {
+    return {
+      success: false,
+      message: "No permission to apply invoice request stages.",
+    };
+  }
+  return applyInvoiceRequestStagesFromData();
+}
+
+/**
+ * Copy line items of documents saved in the wide "Row N" layout into the
+ * Line Items sheets. Safe to run more than once.
+ */
+function migrateLineItems() {
+  var email = getCurrentUserEmail();
+  if (!isFullAccessUser(email)) {
+    return {
+      success: false,
+      message: "No permission to migrate line items.",
+    };
+  }
+  return migrateLineItemsFromData();
+}
+
+/**
+ * Import an uploaded CNB (denni_kurz.txt, rok.txt) or ECB (eurofxref.csv,
+ * eurofxref-hist.csv) rates file into the Exchange Rates sheet
+ * @param {string} fileName
+ * @param {string} content - File text
+ * @returns {Object} { success, source, imported, from, to } or { success: false, message }
+ */
+function importExchangeRates(fileName, content) {
+  var email = getCurrentUserEmail();
+  if (!isFullAccessUser(email)) {
+    return {
+      success: false,
+      message: "No permission to import exchange rates.",
+    };
+  }
+  return importExchangeRatesFromData(fileName, content);
+}
+
+/**
+ * Fill Amount in EUR on Invoices rows saved without one
+ * @returns {Object} { success, updated, skipped } or { success: false, message }
+ */
+function backfillInvoiceAccountingAmounts() {
+  var email = getCurrentUserEmail();
+  if (!isFullAccessUser(email)) {
+    return {
+      success: false,
+      message: "No permission to fill accounting amounts.",
+    };
+  }
+  return backfillInvoiceAccountingAmountsFromData();
+}
+
 /**
  * Determine active page for navigation based on current page and parameters
  * @param {string} page - Current page name
@@ -753,6 +1151,10 @@ function getActivePageForNavigation(page, params = {}) {
       return "clientsinfo";
     case "InvoiceRequests":
       return "invoicerequests";
+    case "AccountsReceivableAging":
+      return "araging";
+    case "VatReport":
+      return "vatreport";
     default:
       return "";
   }
@@ -0,0 +1,220 @@
+// Credit notes linked to the invoice they correct.
+//
+// The link is the optional "Invoice ID" column of Credit Notes, which the
+// payments service already counts against the invoice's outstanding balance.
+// A credit note can only correct an issued invoice of the same project and
+// currency, and all credit notes of an invoice together may not exceed its
+// total. The invoice number is printed at the {Original Invoice} placeholder,
+// or as the last paragraph when the template has none.
+
+var CREDIT_NOTE_INVOICE_ID_COLUMN = "Invoice ID";
+var CREDIT_NOTE_ORIGINAL_INVOICE_PLACEHOLDER = "\\{Original Invoice\\}";
+
+/**
+ * Sum of credit notes already linked to an invoice
+ * @param {Spreadsheet} spreadsheet
+ * @param {string} invoiceId
+ * @param {string} excludeCreditNoteId - The credit note being edited
+ * @returns {number}
+ */
+function getCreditedTotalForInvoice_(spreadsheet, invoiceId, excludeCreditNoteId) {
+  return readCreditNotesLinkedToInvoices_(spreadsheet).reduce(function (sum, creditNote) {
+    if (creditNote.invoiceId !== String(invoiceId)) return sum;
+    if (excludeCreditNoteId && creditNote.id === String(excludeCreditNoteId)) return sum;
+    return roundInvoiceAmount_(sum + creditNote.total);
+  }, 0);
+}
+
+/**
+ * Check the original invoice of a credit note and copy its number and date
+ * onto data (originalInvoiceNumber, originalInvoiceDate) for the document
+ * @param {Spreadsheet} spreadsheet
+ * @param {Object} data - Credit note form data with optional invoiceId
+ * @param {number} creditNoteTotal - Total of this credit note
+ * @param {string} excludeCreditNoteId - The credit note being edited
+ * @returns {string} Reason the credit note cannot be saved, empty when it can
+ */
+function validateCreditNoteInvoiceLink_(spreadsheet, data, creditNoteTotal, excludeCreditNoteId) {
+  data.invoiceId = String(data.invoiceId || "").trim();
+  data.originalInvoiceNumber = "";
+  data.originalInvoiceDate = "";
+  if (!data.invoiceId) return "";
+
+  var invoice = findInvoiceRowForPayments_(spreadsheet, data.invoiceId);
+  if (!invoice) return "The original invoice was not found.";
+  if (!isInvoiceReceivable_(invoice.status)) {
+    return "Only issued invoices can be credited (status: " + invoice.status + ").";
+  }
+  if (
+    normalizeClientProjectName_(invoice.projectName) !==
+    normalizeClientProjectName_(data.projectName)
+  ) {
+    return "The original invoice belongs to project " + invoice.projectName + ".";
+  }
+  if (String(invoice.currency).trim() !== String(data.currency || "").trim()) {
+    return (
+      "The credit note currency must match the invoice currency (" + invoice.currency + ")."
+    );
+  }
+
+  var credited = getCreditedTotalForInvoice_(spreadsheet, invoice.id, excludeCreditNoteId);
+  var remaining = roundInvoiceAmount_(invoice.total - credited);
+  if (creditNoteTotal - remaining > INVOICE_PAYMENT_EPSILON) {
+    return (
+      "Credit notes would exceed the total of invoice " +
+      invoice.invoiceNumber +
+      ": at most " +
+      Math.max(remaining, 0).toFixed(2) +
+      " " +
+      invoice.currency +
+      " can still be credited."
+    );
+  }
+
+  data.originalInvoiceNumber = String(invoice.invoiceNumber);
+  data.originalInvoiceDate = invoice.invoiceDate;
+  return "";
+}
+
+/**
+ * Re-derive Paid of invoices whose credited amount changed
+ * @param {Spreadsheet} spreadsheet
+ * @param {Array} invoiceIds - Empty IDs are skipped
+ */
+function syncCreditedInvoices_(spreadsheet, invoiceIds) {
+  var synced = {};
+  invoiceIds.forEach(function (invoiceId) {
+    if (!invoiceId || synced[invoiceId]) return;
+    synced[invoiceId] = true;
+    var invoice = findInvoiceRowForPayments_(spreadsheet, invoiceId);
+    if (!invoice) return;
+    var details = buildInvoicePaymentDetails_(spreadsheet, invoice);
+    syncInvoicePaidStatus_(
+      spreadsheet,
+      invoice.id,
+      details.invoice.paymentStatus === INVOICE_PAYMENT_STATUS_PAID
+    );
+  });
+  CacheService.getScriptCache().remove("invoiceList");
+}
+
+/**
+ * Issued invoices of a project that can still be credited
+ * @param {string} projectName
+ * @param {string} creditNoteId - The credit note being edited, if any
+ * @returns {Object} { success, invoices: [{ id, invoiceNumber, invoiceDate, total, currency, remaining }] }
+ */
+function getCreditNoteInvoiceOptionsFromData(projectName, creditNoteId) {
+  try {
+    var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+    var sheet = getSheet(spreadsheet, CONFIG.SHEETS.INVOICES);
+    var values = sheet.getDataRange().getValues();
+    var colMap = buildColumnMap(values[0] || []);
+    var projectKey = normalizeClientProjectName_(projectName);
+
+    var creditedById = {};
+    readCreditNotesLinkedToInvoices_(spreadsheet).forEach(function (creditNote) {
+      if (creditNoteId && creditNote.id === String(creditNoteId)) return;
+      creditedById[creditNote.invoiceId] = roundInvoiceAmount_(
+        (creditedById[creditNote.invoiceId] || 0) + creditNote.total
+      );
+    });
+
+    var invoices = [];
+    for (var i = 1; i < values.length; i++) {
+      var row = values[i];
+      var id = String(row[colMap["ID"]] || "");
+      if (!id) continue;
+      if (normalizeClientProjectName_(row[colMap["Project Name"]]) !== projectKey) continue;
+      if (!isInvoiceReceivable_(getInvoiceStatus_(row, colMap))) continue;
+      var total = roundInvoiceAmount_(row[colMap["Total"]]);
+      var remaining = roundInvoiceAmount_(total - (creditedById[id] || 0));
+      if (remaining <= INVOICE_PAYMENT_EPSILON) continue;
+      invoices.push({
+        id: id,
+        invoiceNumber: String(row[colMap["Invoice Number"]] || ""),
+        invoiceDate: formatDate(row[colMap["Invoice Date"]]),
+        dateValue: row[colMap["Invoice Date"]] instanceof Date ? row[colMap["Invoice Date"]].getTime() : 0,
+        total: total.toFixed(2),
+        currency: String(row[colMap["Currency"]] || ""),
+        remaining: remaining.toFixed(2),
+      });
+    }
+    invoices.sort(function (a, b) {
+      return b.dateValue - a.dateValue;
+    });
+    invoices.forEach(function (invoice) {
+      delete invoice.dateValue;
+    });
+    return { success: true, invoices: invoices };
+  } catch (error) {
+    console.error("Error loading invoices to credit:", error);
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * Credit note fields taken from the invoice it corrects
+ * @param {string} invoiceId
+ * @param {string} creditNoteId - The credit note being edited, if any
+ * @returns {Object} { success, invoice, data } where data has the form fields
+ *   and items as [#, Description, Period, Amount]
+ */
+function getCreditNotePrefillFromInvoiceFromData(invoiceId, creditNoteId) {
+  try {
+    var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+    var invoice = findInvoiceRowForPayments_(spreadsheet, invoiceId);
+    var data = invoice ? getInvoiceDataByIdFromData(invoiceId) : null;
+    if (!invoice || !data || !data.projectName) {
+      return { success: false, message: "Invoice not found." };
+    }
+    var credited = getCreditedTotalForInvoice_(spreadsheet, invoice.id, creditNoteId);
+    return {
+      success: true,
+      invoice: {
+        id: invoice.id,
+        invoiceNumber: String(invoice.invoiceNumber),
+        invoiceDate: invoice.invoiceDate,
+        total: invoice.total.toFixed(2),
+        currency: invoice.currency,
+        remaining: roundInvoiceAmount_(invoice.total - credited).toFixed(2),
+      },
+      data: {
+        projectName: data.projectName,
+        clientName: data.clientName,
+        clientAddress: data.clientAddress,
+        clientNumber: data.clientNumber,
+        ourCompany: data.ourCompany,
+        currency: data.currency,
+        tax: data.tax,
+        exchangeRate: data.exchangeRate,
+        items: (data.items || []).map(function (item, i) {
+          return [String(i + 1), item[1] || "", item[2] || "", item[5] || ""];
+        }),
+      },
+    };
+  } catch (error) {
+    console.error("Error loading invoice for credit note:", error);
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * Print the credited invoice at the {Original Invoice} placeholder, or as
+ * the last paragraph when the template has no placeholder
+ * @param {Body} body - Document body
+ * @param {Object} data - Credit note data (originalInvoiceNumber, originalInvoiceDate)
+ */
+function insertCreditNoteInvoiceReference(body, data) {
+  var text = data.originalInvoiceNumber
+    ? "This credit note refers to invoice No. " +
+      data.originalInvoiceNumber +
+      (data.originalInvoiceDate ? " of " + data.originalInvoiceDate : "") +
+      "."
+    : "";
+  if (body.findText(CREDIT_NOTE_ORIGINAL_INVOICE_PLACEHOLDER)) {
+    body.replaceText(CREDIT_NOTE_ORIGINAL_INVOICE_PLACEHOLDER, text);
+    return;
+  }
+  if (text) body.appendParagraph(text);
+}
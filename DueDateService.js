@@ -0,0 +1,113 @@
+// Invoice due dates, always computed on the server.
+//
+// Due Date = Invoice Date + the project's Payment Delay (Lists), counted in
+// calendar days (CD) or working days (WD). Working days skip weekends and the
+// public holidays of our company's country: "Country Code" in Our Companies
+// selects the rows of the "Public Holidays" sheet. The invoice form only
+// displays the result, and every save recomputes it.
+
+var PUBLIC_HOLIDAYS_SHEET = "Public Holidays";
+var PUBLIC_HOLIDAYS_HEADERS = ["Country Code", "Date", "Name"];
+var DUE_DATE_DAY_TYPE_WORKING = "WD";
+
+/**
+ * Public holidays of one country
+ * @param {Spreadsheet} spreadsheet
+ * @param {string} countryCode - Two-letter code; blank means no holidays
+ * @returns {Object} Map of yyyy-MM-dd -> holiday name
+ */
+function readPublicHolidays_(spreadsheet, countryCode) {
+  var holidays = {};
+  var country = String(countryCode || "").trim().toUpperCase();
+  if (!country) return holidays;
+  var values = getSheetValuesIfExists(spreadsheet, PUBLIC_HOLIDAYS_SHEET);
+  var colMap = buildColumnMap(values[0] || []);
+  for (var i = 1; i < values.length; i++) {
+    if (String(values[i][colMap["Country Code"]] || "").trim().toUpperCase() !== country) {
+      continue;
+    }
+    var key = exchangeRateDateKey_(values[i][colMap["Date"]]);
+    if (key) holidays[key] = String(values[i][colMap["Name"]] || "").trim();
+  }
+  return holidays;
+}
+
+/**
+ * Add the payment delay to the invoice date
+ * @param {Date|string} invoiceDate
+ * @param {number} paymentDelay - Days to add
+ * @param {string} dayType - "WD" for working days, anything else for calendar days
+ * @param {Object} holidays - Map of yyyy-MM-dd -> name, skipped with weekends
+ * @returns {Date|null} Null when the invoice date is not a date
+ */
+function addInvoicePaymentDelay_(invoiceDate, paymentDelay, dayType, holidays) {
+  var key = exchangeRateDateKey_(invoiceDate);
+  if (!key) return null;
+  var parts = key.split("-");
+  var due = new Date(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2]));
+  var days = parseInt(paymentDelay, 10) || 0;
+  if (String(dayType || "").trim().toUpperCase() !== DUE_DATE_DAY_TYPE_WORKING) {
+    due.setDate(due.getDate() + days);
+    return due;
+  }
+  var added = 0;
+  while (added < days) {
+    due.setDate(due.getDate() + 1);
+    var weekday = due.getDay();
+    var holiday = (holidays || {})[exchangeRateDateKey_(due)];
+    if (weekday !== 0 && weekday !== 6 && !holiday) added++;
+  }
+  return due;
+}
+
+/**
+ * Due date of an invoice of a project
+ * @param {Spreadsheet} spreadsheet
+ * @param {Date|string} invoiceDate
+ * @param {Object} details - Project details (paymentDelay, dayType, ourCompany)
+ * @returns {Date|null}
+ */
+function computeInvoiceDueDate_(spreadsheet, invoiceDate, details) {
+  var holidays = {};
+  if (String(details.dayType || "").toUpperCase() === DUE_DATE_DAY_TYPE_WORKING) {
+    var company = getOurCompanyDetails_(spreadsheet, details.ourCompany);
+    holidays = readPublicHolidays_(spreadsheet, company ? company.countryCode : "");
+  }
+  return addInvoicePaymentDelay_(invoiceDate, details.paymentDelay, details.dayType, holidays);
+}
+
+/**
+ * Set data.dueDate (dd/MM/yyyy) from the invoice date and the project
+ * @param {Spreadsheet} spreadsheet
+ * @param {Object} data - Invoice form data (projectName, invoiceDate)
+ */
+function applyInvoiceDueDate_(spreadsheet, data) {
+  var details = getProjectDetailsFromData(data.projectName);
+  var due = computeInvoiceDueDate_(spreadsheet, data.invoiceDate, details);
+  if (!due) throw new Error("Invoice date is missing or invalid.");
+  data.dueDate = formatDate(due);
+}
+
+/**
+ * Due date shown on the invoice form
+ * @param {string} projectName
+ * @param {string} invoiceDate - yyyy-mm-dd
+ * @returns {Object} { success, dueDate: "dd/MM/yyyy", paymentDelay, dayType }
+ */
+function getInvoiceDueDateFromData(projectName, invoiceDate) {
+  try {
+    var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+    var details = getProjectDetailsFromData(projectName);
+    var due = computeInvoiceDueDate_(spreadsheet, invoiceDate, details);
+    if (!due) return { success: false, message: "Invoice date is missing or invalid." };
+    return {
+      success: true,
+      dueDate: formatDate(due),
+      paymentDelay: details.paymentDelay,
+      dayType: details.dayType === DUE_DATE_DAY_TYPE_WORKING ? "WD" : "CD",
+    };
+  } catch (error) {
+    console.error("Error computing due date:", error);
+    return { success: false, message: error.message };
+  }
+}
@@ -0,0 +1,436 @@
+// Structured e-invoice exports (XML next to the PDF) for invoices and credit
+// notes.
+//
+// The document content comes from getInvoiceDataByIdFromData /
+// getCreditNoteDataByIdFromData. Our legal details (company ID, VAT ID,
+// address) are kept per Our Company in the "Our Companies" sheet, the client's
+// in its Clients Information card. Each format validates the document first
+// and returns every problem it finds instead of writing a partial file.
+
+var OUR_COMPANIES_SHEET = "Our Companies";
+var OUR_COMPANIES_HEADERS = [
+  "Our Company",
+  "Legal Name",
+  "Company ID",
+  "VAT ID",
+  "Street",
+  "City",
+  "Postal Code",
+  "Country Code",
+  "Email",
+];
+
+function eInvoiceText_(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).trim();
+}
+
+function eInvoiceNumber_(value) {
+  if (typeof value === "number") return value;
+  var n = parseFloat(eInvoiceText_(value).replace(/[^0-9.\-]/g, ""));
+  return isNaN(n) ? 0 : n;
+}
+
+function eInvoiceAmount_(value) {
+  return roundInvoiceAmount_(value).toFixed(2);
+}
+
+/**
+ * Append a child element, with text unless text is null
+ * @returns {Element} The new child
+ */
+function appendEInvoiceElement_(parent, ns, name, text) {
+  var element = XmlService.createElement(name, ns);
+  if (text !== null && text !== undefined) element.setText(String(text));
+  parent.addContent(element);
+  return element;
+}
+
+// "$" / "€" as saved on the row, or an ISO code, to an ISO 4217 code.
+function eInvoiceCurrencyCode_(currency) {
+  var value = eInvoiceText_(currency);
+  if (/^[A-Za-z]{3}$/.test(value)) return value.toUpperCase();
+  var symbols = CONFIG.CURRENCY_SYMBOLS || {};
+  for (var code in symbols) {
+    if (symbols[code] === value && /^[A-Z]{3}$/.test(code)) return code;
+  }
+  if (value === "$") return "USD";
+  if (value === "€") return "EUR";
+  if (value === "Kč") return "CZK";
+  if (value === "£") return "GBP";
+  if (value === "zł") return "PLN";
+  if (value === "₴") return "UAH";
+  return "";
+}
+
+/**
+ * Split a "Company number / VAT ID" value. "CZ12345678" is a VAT ID whose
+ * country is CZ and whose national part is the company ID.
+ * @returns {Object} { companyId, vatId, countryCode }
+ */
+function parseEInvoicePartyId_(value) {
+  var text = eInvoiceText_(value).replace(/\s+/g, "");
+  var match = text.match(/^([A-Z]{2})([0-9A-Z+*.]{2,12})$/);
+  if (match) {
+    return { companyId: match[2], vatId: text, countryCode: match[1] === "EL" ? "GR" : match[1] };
+  }
+  return { companyId: text, vatId: "", countryCode: "" };
+}
+
+/**
+ * IBAN and BIC found in a "Bank Details" text block
+ * @returns {Object} { iban, bic }
+ */
+function parseEInvoiceBankDetails_(text) {
+  var value = eInvoiceText_(text).toUpperCase();
+  var ibanMatch = value.match(/\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/);
+  var bicMatch = value.match(/(?:BIC|SWIFT)[^A-Z0-9]*([A-Z]{6}[A-Z0-9]{2}(?:[A-Z0-9]{3})?)\b/);
+  return {
+    iban: ibanMatch ? ibanMatch[0].replace(/ /g, "") : "",
+    bic: bicMatch ? bicMatch[1] : "",
+  };
+}
+
+/**
+ * Legal details of one of our companies from the "Our Companies" sheet
+ * @param {Spreadsheet} spreadsheet
+ * @param {string} ourCompany - "Our Company" value of the document
+ * @returns {Object|null} { name, companyId, vatId, street, city, postalCode, countryCode, email }
+ */
+function getOurCompanyDetails_(spreadsheet, ourCompany) {
+  var values = getSheetValuesIfExists(spreadsheet, OUR_COMPANIES_SHEET);
+  var colMap = buildColumnMap(values[0] || []);
+  var key = eInvoiceText_(ourCompany).toLowerCase();
+  var row = null;
+  for (var i = 1; i < values.length && !row; i++) {
+    if (eInvoiceText_(values[i][colMap["Our Company"]]).toLowerCase() === key) {
+      row = values[i];
+    }
+  }
+  if (!key || !row) return null;
+
+  function cell(name) {
+    return colMap[name] === undefined ? "" : eInvoiceText_(row[colMap[name]]);
+  }
+  return {
+    name: cell("Legal Name") || eInvoiceText_(ourCompany),
+    companyId: cell("Company ID"),
+    vatId: cell("VAT ID").replace(/\s+/g, ""),
+    street: cell("Street"),
+    city: cell("City"),
+    postalCode: cell("Postal Code"),
+    countryCode: cell("Country Code").toUpperCase(),
+    email: cell("Email"),
+  };
+}
+
+/**
+ * Company fields of the client card for a project, or null when there is none
+ * @param {string} projectName
+ * @returns {Object|null} { companyName, companyNumberVat, companyAddress, vatRegime, linkRates }
+ */
+function getClientCompanyByProject_(projectName) {
+  var ss = SpreadsheetApp.openById(CLIENTS_INFO_SPREADSHEET_ID);
+  var sheet = ss.getSheetByName(CLIENTS_INFO_SHEET);
+  if (!sheet) return null;
+  var data = sheet.getDataRange().getValues();
+  var colMap = buildClientsInfoColumnMap_(data[0] || []);
+  var key = normalizeClientProjectName_(projectName);
+
+  function cell(row, field) {
+    var idx = colMap[CLIENTS_INFO_COLUMNS[field]];
+    return idx === undefined ? "" : eInvoiceText_(row[idx]);
+  }
+
+  for (var i = 1; i < data.length; i++) {
+    if (normalizeClientProjectName_(cell(data[i], "projectName")) !== key) continue;
+    return {
+      companyName: cell(data[i], "companyName"),
+      companyNumberVat: cell(data[i], "companyNumberVat"),
+      companyAddress: cell(data[i], "companyAddress"),
+      vatRegime: cell(data[i], "vatRegime"),
+      linkRates: cell(data[i], "linkRates"),
+    };
+  }
+  return null;
+}
+
+// Free-text client address: first line is the street, the rest is the city
+// line, and a postal code is picked out of it when there is one.
+function splitEInvoiceAddress_(address) {
+  var lines = eInvoiceText_(address)
+    .split(/\n|,/)
+    .map(function (line) {
+      return line.trim();
+    })
+    .filter(function (line) {
+      return line !== "";
+    });
+  var rest = lines.slice(1).join(", ");
+  var postal = rest.match(/\b\d{3} ?\d{2}\b|\b\d{4,5}\b|\b[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}\b/);
+  return {
+    street: lines[0] || "",
+    city: rest,
+    postalCode: postal ? postal[0] : "",
+  };
+}
+
+function eInvoiceLinesFromInvoiceItems_(items) {
+  return (items || []).map(function (item) {
+    var amount = eInvoiceNumber_(item[5]);
+    var quantity = eInvoiceNumber_(item[3]) || 1;
+    var period = eInvoiceText_(item[2]);
+    return {
+      description: eInvoiceText_(item[1]) + (period ? " (" + period + ")" : ""),
+      quantity: quantity,
+      unitPrice: eInvoiceNumber_(item[4]) || amount / quantity,
+      amount: amount,
+    };
+  });
+}
+
+function eInvoiceLinesFromCreditNoteItems_(items) {
+  return (items || []).map(function (item) {
+    var amount = eInvoiceNumber_(item[3]);
+    var period = eInvoiceText_(item[2]);
+    return {
+      description: eInvoiceText_(item[1]) + (period ? " (" + period + ")" : ""),
+      quantity: 1,
+      unitPrice: amount,
+      amount: amount,
+    };
+  });
+}
+
+/**
+ * Load an invoice or credit note as the format-neutral model the exports use
+ * @param {string} documentType - "invoice" or "creditNote"
+ * @param {string} documentId - Row ID
+ * @returns {Object|null} null when the document does not exist
+ */
+function loadEInvoiceDocument_(documentType, documentId) {
+  var type = getDocumentMailType_(documentType);
+  var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+  var sheet = getSheet(spreadsheet, type.sheetName);
+  var found = findDocumentMailRow_(sheet, documentId);
+  if (!found) return null;
+
+  var isInvoice = documentType === "invoice";
+  var data = isInvoice
+    ? getInvoiceDataByIdFromData(documentId)
+    : getCreditNoteDataByIdFromData(documentId);
+  if (!data || !data.projectName) return null;
+
+  var client = getClientCompanyByProject_(data.projectName);
+  var mailSettings = getClientMailSettingsByProjectFromData(data.projectName);
+  var customerIds = parseEInvoicePartyId_(
+    (client && client.companyNumberVat) || data.clientNumber
+  );
+  var customerAddress = splitEInvoiceAddress_(
+    (client && client.companyAddress) || data.clientAddress
+  );
+  var subtotal = roundInvoiceAmount_(data.subtotal);
+  var taxRate = eInvoiceNumber_(data.tax);
+  var taxAmount = roundInvoiceAmount_((subtotal * taxRate) / 100);
+  // The invoice a credit note corrects, referenced in both XML formats
+  var original = !isInvoice && data.invoiceId
+    ? getInvoiceDataByIdFromData(data.invoiceId)
+    : null;
+  var regimeIdx = found.colMap[VAT_REGIME_COLUMN];
+  var vatRegime = normalizeVatRegime_(
+    (regimeIdx !== undefined && found.row[regimeIdx]) || (client && client.vatRegime)
+  );
+
+  return {
+    documentType: documentType,
+    label: type.label,
+    id: String(documentId),
+    sheet: sheet,
+    found: found,
+    status: isInvoice ? getInvoiceStatus_(found.row, found.colMap) : "",
+    number: eInvoiceText_(isInvoice ? data.invoiceNumber : data.creditNoteNumber),
+    issueDate: eInvoiceText_(isInvoice ? data.invoiceDate : data.creditNoteDate),
+    dueDate: isInvoice ? eInvoiceText_(data.dueDate) : "",
+    currencyCode: eInvoiceCurrencyCode_(data.currency),
+    taxRate: taxRate,
+    vatRegime: vatRegime,
+    subtotal: subtotal,
+    taxAmount: taxAmount,
+    total: roundInvoiceAmount_(subtotal + taxAmount),
+    note: eInvoiceText_(data.comment),
+    projectName: eInvoiceText_(data.projectName),
+    lines: isInvoice
+      ? eInvoiceLinesFromInvoiceItems_(data.items)
+      : eInvoiceLinesFromCreditNoteItems_(data.items),
+    supplier: getOurCompanyDetails_(spreadsheet, data.ourCompany),
+    ourCompany: eInvoiceText_(data.ourCompany),
+    customer: {
+      name: eInvoiceText_((client && client.companyName) || data.clientName),
+      companyId: customerIds.companyId,
+      vatId: customerIds.vatId,
+      street: customerAddress.street,
+      city: customerAddress.city,
+      postalCode: customerAddress.postalCode,
+      countryCode: customerIds.countryCode,
+      email: (mailSettings && mailSettings.to[0]) || "",
+    },
+    bank: parseEInvoiceBankDetails_(
+      [data.bankDetails1, data.bankDetails2].map(eInvoiceText_).join("\n")
+    ),
+    pdfUrl: eInvoiceText_(found.row[found.colMap["PDF Link"]]),
+    originalInvoice:
+      original && original.invoiceNumber
+        ? {
+            id: String(data.invoiceId),
+            number: eInvoiceText_(original.invoiceNumber),
+            issueDate: eInvoiceText_(original.invoiceDate),
+          }
+        : null,
+  };
+}
+
+/**
+ * Problems shared by every format: missing document data, our company
+ * details, client details, lines and totals.
+ * @param {Object} model - From loadEInvoiceDocument_
+ * @returns {Array} Readable problem descriptions
+ */
+function validateEInvoiceDocument_(model) {
+  var problems = [];
+  if (model.documentType === "invoice" && !isInvoiceReceivable_(model.status)) {
+    problems.push("Only issued invoices can be exported (status: " + model.status + ").");
+  }
+  if (!model.number) problems.push(model.label + " number is missing.");
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(model.issueDate)) {
+    problems.push(model.label + " date is missing.");
+  }
+  if (model.documentType === "invoice" && !/^\d{4}-\d{2}-\d{2}$/.test(model.dueDate)) {
+    problems.push("Due date is missing.");
+  }
+  if (!model.currencyCode) problems.push("Currency code is not recognised.");
+  if (!model.pdfUrl) problems.push("The " + model.label.toLowerCase() + " has no PDF.");
+
+  if (!model.supplier) {
+    problems.push(
+      'Our Company "' + model.ourCompany + '" has no row in the "' +
+        OUR_COMPANIES_SHEET + '" sheet.'
+    );
+  } else {
+    if (!model.supplier.companyId) problems.push("Our Companies: Company ID is missing.");
+    if (!model.supplier.street) problems.push("Our Companies: Street is missing.");
+    if (!model.supplier.city) problems.push("Our Companies: City is missing.");
+    if (!model.supplier.postalCode) problems.push("Our Companies: Postal Code is missing.");
+    if (!/^[A-Z]{2}$/.test(model.supplier.countryCode)) {
+      problems.push("Our Companies: Country Code must be a two-letter code.");
+    }
+  }
+
+  if (!model.customer.name) problems.push("Client company name is missing.");
+  if (!model.customer.companyId) {
+    problems.push('Client "Company number / VAT ID" is missing.');
+  }
+  if (!model.customer.street) problems.push("Client address is missing.");
+
+  if (!model.lines.length) problems.push("The " + model.label.toLowerCase() + " has no lines.");
+  model.lines.forEach(function (line, i) {
+    if (!line.description) problems.push("Line " + (i + 1) + ": description is missing.");
+  });
+  var linesTotal = model.lines.reduce(function (sum, line) {
+    return sum + line.amount;
+  }, 0);
+  if (model.lines.length && Math.abs(roundInvoiceAmount_(linesTotal) - model.subtotal) > 0.01) {
+    problems.push(
+      "Line amounts add up to " + eInvoiceAmount_(linesTotal) +
+        " but the subtotal is " + eInvoiceAmount_(model.subtotal) + "."
+    );
+  }
+  return problems;
+}
+
+// Formats are resolved at call time because their builders live in other files.
+function getEInvoiceFormat_(format) {
+  if (format === "isdoc") {
+    return {
+      label: "ISDOC",
+      extension: "isdoc",
+      mimeType: "application/xml",
+      linkColumn: "ISDOC Link",
+      validate: validateIsdocDocument_,
+      build: buildIsdocXml_,
+    };
+  }
+  if (format === "peppol") {
+    return {
+      label: "Peppol BIS 3.0",
+      extension: "xml",
+      mimeType: "application/xml",
+      linkColumn: "UBL Link",
+      validate: validatePeppolDocument_,
+      build: buildPeppolXml_,
+    };
+  }
+  throw new Error("Unknown e-invoice format: " + format);
+}
+
+/**
+ * Save the XML in the folder of the document's PDF under the PDF's name and
+ * link it in the format's column. A previous export is moved to the trash.
+ * @returns {string} URL of the new file
+ */
+function saveEInvoiceFile_(model, format, content) {
+  var pdfFile = DriveApp.getFileById(extractFileIdFromUrl(model.pdfUrl));
+  var parents = pdfFile.getParents();
+  var folder = parents.hasNext()
+    ? parents.next()
+    : DriveApp.getFolderById(CONFIG.FOLDER_ID);
+  var fileName = pdfFile.getName().replace(/\.pdf$/i, "") + "." + format.extension;
+  var file = folder.createFile(Utilities.newBlob(content, format.mimeType, fileName));
+
+  var colMap = ensureSheetColumns_(model.sheet, [format.linkColumn]);
+  var oldUrl = eInvoiceText_(model.found.row[colMap[format.linkColumn]]);
+  if (oldUrl) {
+    try {
+      DriveApp.getFileById(extractFileIdFromUrl(oldUrl)).setTrashed(true);
+    } catch (error) {
+      console.warn("Could not trash previous " + format.label + " file:", error);
+    }
+  }
+  model.sheet
+    .getRange(model.found.sheetRow, colMap[format.linkColumn] + 1)
+    .setValue(file.getUrl());
+  SpreadsheetApp.flush();
+  CacheService.getScriptCache().remove(getDocumentMailType_(model.documentType).cacheKey);
+  return file.getUrl();
+}
+
+/**
+ * Export an invoice or credit note as a structured e-invoice
+ * @param {string} documentType - "invoice" or "creditNote"
+ * @param {string} documentId - Row ID
+ * @param {string} format - "isdoc" or "peppol"
+ * @returns {Object} { success, url, format } or { success: false, message, problems }
+ */
+function exportEInvoiceFromData(documentType, documentId, format) {
+  try {
+    var exportFormat = getEInvoiceFormat_(format);
+    var model = loadEInvoiceDocument_(documentType, documentId);
+    if (!model) {
+      return { success: false, message: "Document not found.", problems: [] };
+    }
+
+    var problems = validateEInvoiceDocument_(model).concat(exportFormat.validate(model));
+    if (problems.length) {
+      return {
+        success: false,
+        message: exportFormat.label + " was not created. Fix the following and try again:",
+        problems: problems,
+      };
+    }
+
+    var url = saveEInvoiceFile_(model, exportFormat, exportFormat.build(model));
+    return { success: true, url: url, format: exportFormat.label };
+  } catch (error) {
+    console.error("Error exporting e-invoice:", error);
+    return { success: false, message: error.message, problems: [] };
+  }
+}
@@ -0,0 +1,565 @@
+// Data service for daily exchange rates.
+//
+// Rates are imported from the files the central banks publish and stored one
+// row per day and currency pair in the "Exchange Rates" sheet, where a row
+// means "1 Base = Rate Quote":
+//   CNB  denni_kurz.txt / rok.txt  -> Base = currency, Quote = CZK
+//   ECB  eurofxref.csv / eurofxref-hist.csv -> Base = EUR, Quote = currency
+// A rate between two other currencies is derived from one source and day
+// (e.g. EUR -> USD from the CNB EUR/CZK and USD/CZK rows). Invoices in any
+// currency other than EUR (our accounting currency) take the rate of their
+// invoice date, or of the last earlier day with a rate; every Invoices row
+// stores its Amount in EUR.
+
+var EXCHANGE_RATES_SHEET = "Exchange Rates";
+var EXCHANGE_RATES_HEADERS = [
+  "Date",
+  "Base",
+  "Quote",
+  "Rate",
+  "Source",
+  "Imported by",
+  "Imported at",
+];
+var EXCHANGE_RATE_SOURCE_CNB = "CNB";
+var EXCHANGE_RATE_SOURCE_ECB = "ECB";
+var EXCHANGE_RATE_SOURCE_MANUAL = "Manual";
+// Every source quotes all its rates against one currency
+var EXCHANGE_RATE_SOURCE_PIVOTS = { ECB: "EUR", CNB: "CZK" };
+var EXCHANGE_RATE_INVOICE_COLUMNS = ["Exchange Rate Source", "Exchange Rate Date"];
+var ACCOUNTING_CURRENCY = "EUR";
+var CURRENCY_NOTICES_SHEET = "Currency Notices";
+var CURRENCY_NOTICES_HEADERS = ["Currency", "Notice"];
+// Placeholders: {Exchange Rate}, {Currency}, {Amount in EUR}, {Rate Source}, {Rate Date}
+var DEFAULT_CURRENCY_NOTICE =
+  "Exchange rate: EUR 1 = {Currency} {Exchange Rate} ({Rate Source}, {Rate Date}). " +
+  "Amount in EUR: {Amount in EUR}.";
+var ECB_MONTHS = [
+  "january", "february", "march", "april", "may", "june", "july",
+  "august", "september", "october", "november", "december",
+];
+
+function padExchangeRateDatePart_(value) {
+  return ("0" + value).slice(-2);
+}
+
+// yyyy-MM-dd key of a sheet date, yyyy-mm-dd form date or dd.mm.yyyy file date
+function exchangeRateDateKey_(value) {
+  if (value instanceof Date && !isNaN(value.getTime())) {
+    return Utilities.formatDate(value, Session.getScriptTimeZone(), "yyyy-MM-dd");
+  }
+  var text = String(value || "").trim();
+  var iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (iso) {
+    return iso[1] + "-" + padExchangeRateDatePart_(iso[2]) + "-" + padExchangeRateDatePart_(iso[3]);
+  }
+  var dmy = text.match(/^(\d{1,2})[.\/](\d{1,2})[.\/](\d{4})$/);
+  if (dmy) {
+    return dmy[3] + "-" + padExchangeRateDatePart_(dmy[2]) + "-" + padExchangeRateDatePart_(dmy[1]);
+  }
+  var long = text.match(/^(\d{1,2})\s+([A-Za-z]+)\s+(\d{4})$/);
+  if (long && ECB_MONTHS.indexOf(long[2].toLowerCase()) !== -1) {
+    var month = ECB_MONTHS.indexOf(long[2].toLowerCase()) + 1;
+    return long[3] + "-" + padExchangeRateDatePart_(month) + "-" + padExchangeRateDatePart_(long[1]);
+  }
+  return "";
+}
+
+function exchangeRateDateFromKey_(key) {
+  var parts = key.split("-");
+  return new Date(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2]));
+}
+
+function formatExchangeRateDateKey_(key) {
+  var parts = key.split("-");
+  return parts[2] + "/" + parts[1] + "/" + parts[0];
+}
+
+function parseExchangeRateNumber_(value) {
+  var rate = parseFloat(String(value || "").trim().replace(/\s/g, "").replace(",", "."));
+  return rate > 0 ? rate : 0;
+}
+
+/**
+ * Parse a CNB daily (denni_kurz.txt) or yearly (rok.txt) rates file
+ * @param {string} text
+ * @returns {Array} { date, base, quote, rate }
+ */
+function parseCnbExchangeRates_(text) {
+  var lines = String(text).split(/\r?\n/);
+  var rates = [];
+
+  // Daily file: "17.10.2026 #201", a header, then "country|currency|amount|code|rate"
+  var dailyDate = exchangeRateDateKey_(lines[0].split("#")[0]);
+  if (dailyDate) {
+    lines.slice(2).forEach(function (line) {
+      var cells = line.split("|");
+      var amount = parseExchangeRateNumber_(cells[2]);
+      var rate = parseExchangeRateNumber_(cells[4]);
+      if (cells.length < 5 || !amount || !rate) return;
+      rates.push({
+        date: dailyDate,
+        base: cells[3].trim().toUpperCase(),
+        quote: "CZK",
+        rate: rate / amount,
+      });
+    });
+    return rates;
+  }
+
+  // Yearly file: "Datum|1 AUD|100 HUF|..." headers (repeated when the list
+  // of currencies changes) followed by "02.01.2026|14,950|6,180|..."
+  var columns = null;
+  lines.forEach(function (line) {
+    var cells = line.split("|");
+    if (/^datum$/i.test(cells[0].trim())) {
+      columns = cells.map(function (cell) {
+        var match = cell.trim().match(/^(\d+)\s+([A-Z]{3})$/);
+        return match ? { amount: Number(match[1]), code: match[2] } : null;
+      });
+      return;
+    }
+    var date = exchangeRateDateKey_(cells[0]);
+    if (!columns || !date) return;
+    cells.forEach(function (cell, i) {
+      var rate = parseExchangeRateNumber_(cell);
+      if (!columns[i] || !rate) return;
+      rates.push({ date: date, base: columns[i].code, quote: "CZK", rate: rate / columns[i].amount });
+    });
+  });
+  return rates;
+}
+
+/**
+ * Parse an ECB reference rates CSV (eurofxref.csv or eurofxref-hist.csv)
+ * @param {string} text
+ * @returns {Array} { date, base, quote, rate }
+ */
+function parseEcbExchangeRates_(text) {
+  var rows = Utilities.parseCsv(String(text).trim());
+  var header = (rows[0] || []).map(function (cell) {
+    return String(cell).trim().toUpperCase();
+  });
+  var rates = [];
+  rows.slice(1).forEach(function (row) {
+    var date = exchangeRateDateKey_(row[0]);
+    if (!date) return;
+    row.forEach(function (cell, i) {
+      var rate = parseExchangeRateNumber_(cell);
+      if (i === 0 || !/^[A-Z]{3}$/.test(header[i]) || !rate) return;
+      rates.push({ date: date, base: "EUR", quote: header[i], rate: rate });
+    });
+  });
+  return rates;
+}
+
+// CNB files are pipe separated, ECB files are CSV starting with "Date"
+function detectExchangeRateSource_(text) {
+  var firstLines = String(text).split(/\r?\n/).slice(0, 3).join("\n");
+  if (firstLines.indexOf("|") !== -1) return EXCHANGE_RATE_SOURCE_CNB;
+  if (/^\s*Date\s*,/i.test(firstLines)) return EXCHANGE_RATE_SOURCE_ECB;
+  return "";
+}
+
+/**
+ * Import an uploaded CNB or ECB rates file into the Exchange Rates sheet.
+ * Rows of the same day, pair and source are replaced.
+ * @param {string} fileName
+ * @param {string} content - File text
+ * @returns {Object} { success, source, imported, from, to } or { success: false, message }
+ */
+function importExchangeRatesFromData(fileName, content) {
+  var source = detectExchangeRateSource_(content);
+  if (!source) {
+    return {
+      success: false,
+      message:
+        (fileName || "The file") +
+        " is not a CNB rates text file or an ECB reference rates CSV.",
+    };
+  }
+  var parsed =
+    source === EXCHANGE_RATE_SOURCE_CNB
+      ? parseCnbExchangeRates_(content)
+      : parseEcbExchangeRates_(content);
+  if (parsed.length === 0) {
+    return { success: false, message: "No rates found in " + (fileName || "the file") + "." };
+  }
+
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) {
+    return { success: false, message: "Exchange rates are being imported. Please try again." };
+  }
+  try {
+    var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+    var sheet = getOrCreateSheet(spreadsheet, EXCHANGE_RATES_SHEET, EXCHANGE_RATES_HEADERS);
+    var colMap = ensureSheetColumns_(sheet, EXCHANGE_RATES_HEADERS);
+    var values = sheet.getDataRange().getValues();
+    var width = values[0].length;
+
+    function rowKey(date, base, quote, rowSource) {
+      return [date, base, quote, rowSource].join("|");
+    }
+    var rowByKey = {};
+    for (var i = 1; i < values.length; i++) {
+      var row = values[i];
+      rowByKey[
+        rowKey(
+          exchangeRateDateKey_(row[colMap["Date"]]),
+          String(row[colMap["Base"]]).trim().toUpperCase(),
+          String(row[colMap["Quote"]]).trim().toUpperCase(),
+          String(row[colMap["Source"]]).trim()
+        )
+      ] = row;
+    }
+
+    var email = Session.getActiveUser().getEmail() || "";
+    var now = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "dd/MM/yyyy HH:mm");
+    var from = parsed[0].date;
+    var to = parsed[0].date;
+    parsed.forEach(function (rate) {
+      var key = rowKey(rate.date, rate.base, rate.quote, source);
+      var target = rowByKey[key];
+      if (!target) {
+        target = new Array(width).fill("");
+        target[colMap["Date"]] = exchangeRateDateFromKey_(rate.date);
+        target[colMap["Base"]] = rate.base;
+        target[colMap["Quote"]] = rate.quote;
+        target[colMap["Source"]] = source;
+        rowByKey[key] = target;
+        values.push(target);
+      }
+      target[colMap["Rate"]] = Math.round(rate.rate * 1e6) / 1e6;
+      target[colMap["Imported by"]] = email;
+      target[colMap["Imported at"]] = now;
+      if (rate.date < from) from = rate.date;
+      if (rate.date > to) to = rate.date;
+    });
+
+    sheet.getRange(1, 1, values.length, width).setValues(values);
+    SpreadsheetApp.flush();
+    return {
+      success: true,
+      source: source,
+      imported: parsed.length,
+      from: formatExchangeRateDateKey_(from),
+      to: formatExchangeRateDateKey_(to),
+    };
+  } catch (error) {
+    console.error("Error importing exchange rates:", error);
+    return { success: false, message: error.message };
+  } finally {
+    try {
+      lock.releaseLock();
+    } catch (error) {
+      console.warn("Could not release exchange rates lock:", error);
+    }
+  }
+}
+
+/**
+ * Rates per day and source, each currency valued in the source's pivot
+ * currency: { "2026-10-17": { ECB: { EUR: 1, USD: 0.9211, ... } } }
+ */
+function readExchangeRateDays_(spreadsheet) {
+  var sheet = getSheet(spreadsheet, EXCHANGE_RATES_SHEET);
+  var days = {};
+  if (!sheet || sheet.getLastRow() < 2) return days;
+  var values = sheet.getDataRange().getValues();
+  var colMap = buildColumnMap(values[0]);
+
+  for (var i = 1; i < values.length; i++) {
+    var row = values[i];
+    var source = String(row[colMap["Source"]]).trim();
+    var pivot = EXCHANGE_RATE_SOURCE_PIVOTS[source];
+    var date = exchangeRateDateKey_(row[colMap["Date"]]);
+    var base = String(row[colMap["Base"]]).trim().toUpperCase();
+    var quote = String(row[colMap["Quote"]]).trim().toUpperCase();
+    var rate = parseExchangeRateNumber_(row[colMap["Rate"]]);
+    if (!pivot || !date || !rate || (base !== pivot && quote !== pivot)) continue;
+
+    if (!days[date]) days[date] = {};
+    if (!days[date][source]) {
+      days[date][source] = {};
+      days[date][source][pivot] = 1;
+    }
+    if (quote === pivot) days[date][source][base] = rate;
+    else days[date][source][quote] = 1 / rate;
+  }
+  return days;
+}
+
+/**
+ * Rate "1 base = rate quote" for a date, taken from the last day on or
+ * before it that has both currencies. A source quoting one of the two
+ * currencies directly is preferred over a derived rate.
+ * @param {Object} days - From readExchangeRateDays_
+ * @param {string} base - ISO code
+ * @param {string} quote - ISO code
+ * @param {string} dateKey - yyyy-MM-dd
+ * @returns {Object|null} { rate, date (yyyy-MM-dd), source }
+ */
+function findExchangeRate_(days, base, quote, dateKey) {
+  var dates = Object.keys(days)
+    .filter(function (date) {
+      return date <= dateKey;
+    })
+    .sort()
+    .reverse();
+
+  for (var d = 0; d < dates.length; d++) {
+    var sources = Object.keys(days[dates[d]]).sort(function (a, b) {
+      var aDirect = [base, quote].indexOf(EXCHANGE_RATE_SOURCE_PIVOTS[a]) !== -1 ? 0 : 1;
+      var bDirect = [base, quote].indexOf(EXCHANGE_RATE_SOURCE_PIVOTS[b]) !== -1 ? 0 : 1;
+      return aDirect - bDirect;
+    });
+    for (var s = 0; s < sources.length; s++) {
+      var values = days[dates[d]][sources[s]];
+      if (values[base] && values[quote]) {
+        return { rate: values[base] / values[quote], date: dates[d], source: sources[s] };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * ISO code of an invoice currency symbol
+ * @param {string} currency - Symbol saved on the row ("$", "Kč", ...) or ISO code
+ * @returns {string}
+ */
+function getInvoiceCurrencyCode_(currency) {
+  var code = eInvoiceCurrencyCode_(currency);
+  if (!code) {
+    throw new Error(
+      'Currency "' + currency + '" has no ISO code. Add it to CONFIG.CURRENCY_SYMBOLS.'
+    );
+  }
+  return code;
+}
+
+/**
+ * Exchange rate saved on an Invoices row, for resolveInvoiceExchangeRate_ on edit
+ * @param {Array} row - Invoices sheet row
+ * @param {Object} colMap - Column map of the Invoices sheet
+ * @returns {Object|null} { rate, source, date, invoiceDate, currency } or null
+ */
+function readSavedInvoiceExchangeRate_(row, colMap) {
+  var rate = parseExchangeRateNumber_(row[colMap["Exchange Rate"]]);
+  if (!rate) return null;
+  return {
+    rate: rate,
+    source: String(row[colMap["Exchange Rate Source"]] || ""),
+    date: exchangeRateDateKey_(row[colMap["Exchange Rate Date"]]),
+    invoiceDate: exchangeRateDateKey_(row[colMap["Invoice Date"]]),
+    currency: eInvoiceCurrencyCode_(row[colMap["Currency"]]),
+  };
+}
+
+/**
+ * Exchange rate of an invoice: "1 EUR = rate <invoice currency>" on the
+ * invoice date or the last earlier day with a stored rate. Falls back to the
+ * rate typed on the form when the sheet has none. On edit the saved rate is
+ * kept while the invoice date and currency stay the same; a saved manual rate
+ * can still be retyped.
+ * @param {Spreadsheet} spreadsheet
+ * @param {Object} data - Invoice form data (currency, invoiceDate, exchangeRate)
+ * @param {number} totalAmount - Invoice total in the invoice currency
+ * @param {Object} [saved] - From readSavedInvoiceExchangeRate_ when editing
+ * @returns {Object} { rate, amount, source, date, replacedRate }; rate is null
+ *   for invoices in the accounting currency, amount is always in the
+ *   accounting currency, replacedRate is the typed rate a stored one replaced
+ */
+function resolveInvoiceExchangeRate_(spreadsheet, data, totalAmount, saved) {
+  var code = getInvoiceCurrencyCode_(data.currency);
+  if (code === ACCOUNTING_CURRENCY) {
+    return { rate: null, amount: roundInvoiceAmount_(totalAmount), source: "", date: "" };
+  }
+
+  var dateKey = exchangeRateDateKey_(data.invoiceDate);
+  var typed = parseExchangeRateNumber_(data.exchangeRate);
+  var stored = null;
+  if (saved && saved.currency === code && saved.invoiceDate === dateKey) {
+    if (saved.source === EXCHANGE_RATE_SOURCE_MANUAL) {
+      typed = typed || saved.rate;
+    } else {
+      stored = { rate: saved.rate, source: saved.source, date: saved.date || dateKey };
+    }
+  } else {
+    stored = findExchangeRate_(
+      readExchangeRateDays_(spreadsheet),
+      ACCOUNTING_CURRENCY,
+      code,
+      dateKey
+    );
+  }
+  var rate = stored ? stored.rate : typed;
+  if (!rate) {
+    throw new Error(
+      "No exchange rate for " +
+        code +
+        " on or before the invoice date. Import the CNB or ECB rates or enter the rate."
+    );
+  }
+  // The printed four-decimal rate is the one the amount is computed from
+  rate = parseFloat(rate.toFixed(4));
+  return {
+    rate: rate,
+    amount: roundInvoiceAmount_(totalAmount / rate),
+    source: stored ? stored.source : EXCHANGE_RATE_SOURCE_MANUAL,
+    date: stored ? stored.date : dateKey,
+    replacedRate:
+      stored && typed && parseFloat(typed.toFixed(4)) !== rate ? typed : null,
+  };
+}
+
+/**
+ * Message for the form when a stored rate replaced the typed one
+ * @param {Object} exchange - From resolveInvoiceExchangeRate_
+ * @returns {string} Message, or "" when the typed rate was used
+ */
+function buildExchangeRateReplacedMessage_(exchange) {
+  if (!exchange.replacedRate) return "";
+  return (
+    "The exchange rate " + exchange.replacedRate + " you entered was replaced by " +
+    exchange.rate.toFixed(4) + " (" + exchange.source + ", " +
+    formatExchangeRateDateKey_(exchange.date) + ")."
+  );
+}
+
+/**
+ * Write a resolved exchange rate into an Invoices row and the form data the
+ * document is generated from
+ * @param {Array} row - Invoices sheet row
+ * @param {Object} colMap - Column map of the Invoices sheet
+ * @param {Object} data - Invoice form data
+ * @param {Object} exchange - From resolveInvoiceExchangeRate_
+ */
+function applyInvoiceExchangeRate_(row, colMap, data, exchange) {
+  data.exchangeRate = exchange.rate ? exchange.rate.toFixed(4) : "";
+  data.amountInEUR = exchange.amount.toFixed(2);
+  data.exchangeRateSource = exchange.source;
+  data.exchangeRateDate = exchange.date ? formatExchangeRateDateKey_(exchange.date) : "";
+  row[colMap["Exchange Rate"]] = data.exchangeRate;
+  row[colMap["Amount in EUR"]] = data.amountInEUR;
+  row[colMap["Exchange Rate Source"]] = exchange.source;
+  row[colMap["Exchange Rate Date"]] = exchange.date ? exchangeRateDateFromKey_(exchange.date) : "";
+}
+
+/**
+ * Notice printed under the template's "Exchange Rate Notice" heading for a
+ * currency: the "Currency Notices" sheet row of the currency, else
+ * DEFAULT_CURRENCY_NOTICE. USD without a row keeps the template's own text,
+ * which was written for USD.
+ * @param {string} currencyCode
+ * @returns {string} Notice with {Exchange Rate}-style placeholders, or ""
+ */
+function getCurrencyNoticeText_(currencyCode) {
+  var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+  var values = getSheetValuesIfExists(spreadsheet, CURRENCY_NOTICES_SHEET);
+  var colMap = buildColumnMap(values[0] || []);
+  for (var i = 1; i < values.length; i++) {
+    var code = String(values[i][colMap["Currency"]] || "").trim().toUpperCase();
+    var notice = String(values[i][colMap["Notice"]] || "").trim();
+    if (code === currencyCode && notice) return notice;
+  }
+  return currencyCode === "USD" ? "" : DEFAULT_CURRENCY_NOTICE;
+}
+
+/**
+ * Fill Amount in EUR (and the rate when it is missing) on Invoices rows
+ * saved before every row carried an accounting amount. Rows without a typed
+ * or stored rate are skipped. Safe to run more than once.
+ * @returns {Object} { success, updated, skipped } or { success: false, message }
+ */
+function backfillInvoiceAccountingAmountsFromData() {
+  try {
+    var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+    var sheet = getSheet(spreadsheet, CONFIG.SHEETS.INVOICES);
+    var colMap = ensureSheetColumns_(sheet, EXCHANGE_RATE_INVOICE_COLUMNS);
+    var values = sheet.getDataRange().getValues();
+    var days = readExchangeRateDays_(spreadsheet);
+    var columns = ["Exchange Rate", "Amount in EUR", "Exchange Rate Source", "Exchange Rate Date"];
+    var updated = 0;
+    var skipped = 0;
+
+    for (var i = 1; i < values.length; i++) {
+      var row = values[i];
+      if (!row[colMap["ID"]] || String(row[colMap["Amount in EUR"]]).trim() !== "") continue;
+      var total = parseFloat(row[colMap["Total"]]) || 0;
+      var code = eInvoiceCurrencyCode_(row[colMap["Currency"]]);
+      if (code === ACCOUNTING_CURRENCY) {
+        row[colMap["Amount in EUR"]] = roundInvoiceAmount_(total).toFixed(2);
+        updated++;
+        continue;
+      }
+      var dateKey = exchangeRateDateKey_(row[colMap["Invoice Date"]]);
+      var stored = code && dateKey ? findExchangeRate_(days, ACCOUNTING_CURRENCY, code, dateKey) : null;
+      var rate = parseExchangeRateNumber_(row[colMap["Exchange Rate"]]);
+      if (!rate && stored) {
+        rate = parseFloat(stored.rate.toFixed(4));
+        row[colMap["Exchange Rate"]] = rate.toFixed(4);
+        row[colMap["Exchange Rate Source"]] = stored.source;
+        row[colMap["Exchange Rate Date"]] = exchangeRateDateFromKey_(stored.date);
+      }
+      if (!rate) {
+        skipped++;
+        continue;
+      }
+      row[colMap["Amount in EUR"]] = roundInvoiceAmount_(total / rate).toFixed(2);
+      updated++;
+    }
+
+    if (updated > 0) {
+      columns.forEach(function (name) {
+        var col = colMap[name];
+        sheet.getRange(2, col + 1, values.length - 1, 1).setValues(
+          values.slice(1).map(function (row) {
+            return [row[col]];
+          })
+        );
+      });
+      SpreadsheetApp.flush();
+      CacheService.getScriptCache().remove("invoiceList");
+    }
+    return { success: true, updated: updated, skipped: skipped };
+  } catch (error) {
+    console.error("Error filling accounting amounts:", error);
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * Stored rate for the invoice form
+ * @param {string} currency - Currency symbol of the invoice
+ * @param {string} invoiceDate - yyyy-mm-dd
+ * @returns {Object} { success, rate, date (dd/MM/yyyy), source } or { success: false, message }
+ */
+function getExchangeRateForInvoiceFromData(currency, invoiceDate) {
+  try {
+    var code = eInvoiceCurrencyCode_(currency);
+    var dateKey = exchangeRateDateKey_(invoiceDate);
+    if (!dateKey) return { success: false, message: "Enter the invoice date first." };
+    var stored = findExchangeRate_(
+      readExchangeRateDays_(getSpreadsheet(CONFIG.SPREADSHEET_ID)),
+      ACCOUNTING_CURRENCY,
+      code,
+      dateKey
+    );
+    if (!stored) {
+      return {
+        success: false,
+        message: "No stored " + code + " rate on or before this date. Enter the rate manually.",
+      };
+    }
+    return {
+      success: true,
+      rate: stored.rate.toFixed(4),
+      date: formatExchangeRateDateKey_(stored.date),
+      source: stored.source,
+    };
+  } catch (error) {
+    console.error("Error looking up exchange rate:", error);
+    return { success: false, message: error.message };
+  }
+}
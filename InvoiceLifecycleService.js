@@ -0,0 +1,200 @@
+// Invoice status lifecycle: Draft → Issued → Sent → Paid, or Void.
+//
+// Only drafts can be deleted. Once issued, an invoice keeps its row and files
+// for the audit trail and can only be voided with a reason. Drafts holding a
+// number from automatic numbering are voided too, so the number is not lost.
+// Rows saved before the Status column existed count as Issued.
+
+var INVOICE_STATUS_DRAFT = "Draft";
+var INVOICE_STATUS_ISSUED = "Issued";
+var INVOICE_STATUS_SENT = "Sent";
+var INVOICE_STATUS_PAID = "Paid";
+var INVOICE_STATUS_VOID = "Void";
+var INVOICE_STATUSES = [
+  INVOICE_STATUS_DRAFT,
+  INVOICE_STATUS_ISSUED,
+  INVOICE_STATUS_SENT,
+  INVOICE_STATUS_PAID,
+  INVOICE_STATUS_VOID,
+];
+var INVOICE_LIFECYCLE_COLUMNS = ["Status", "Void Reason", "Voided by", "Voided at"];
+
+/**
+ * Lifecycle status of an invoice row
+ * @param {Array} row - Invoices sheet row
+ * @param {Object} colMap - Column map of the Invoices sheet
+ * @returns {string} One of INVOICE_STATUSES
+ */
+function getInvoiceStatus_(row, colMap) {
+  var idx = colMap["Status"];
+  var value = idx === undefined ? "" : String(row[idx] || "").trim();
+  return INVOICE_STATUSES.indexOf(value) !== -1 ? value : INVOICE_STATUS_ISSUED;
+}
+
+function isInvoiceVoid_(status) {
+  return status === INVOICE_STATUS_VOID;
+}
+
+// Drafts were never issued and void invoices are cancelled: neither is owed.
+function isInvoiceReceivable_(status) {
+  return status !== INVOICE_STATUS_DRAFT && !isInvoiceVoid_(status);
+}
+
+// Issued, sent and paid invoices are edited by full-access users only.
+function isInvoiceEditLocked_(status, email) {
+  if (status === INVOICE_STATUS_DRAFT) return false;
+  if (isInvoiceVoid_(status)) return true;
+  return !isFullAccessUser(email || getCurrentUserEmail());
+}
+
+function findInvoiceLifecycleRow_(sheet, invoiceId) {
+  var colMap = ensureSheetColumns_(sheet, INVOICE_LIFECYCLE_COLUMNS);
+  var values = sheet.getDataRange().getValues();
+  for (var i = 1; i < values.length; i++) {
+    if (String(values[i][colMap["ID"]]) === String(invoiceId)) {
+      return {
+        sheetRow: i + 1,
+        row: values[i],
+        colMap: colMap,
+        status: getInvoiceStatus_(values[i], colMap),
+      };
+    }
+  }
+  return null;
+}
+
+function writeInvoiceLifecycleValues_(sheet, found, updates) {
+  Object.keys(updates).forEach(function (header) {
+    sheet
+      .getRange(found.sheetRow, found.colMap[header] + 1)
+      .setValue(updates[header]);
+  });
+  writeAuditColumns(sheet, found.sheetRow, found.colMap);
+  SpreadsheetApp.flush();
+  CacheService.getScriptCache().remove("invoiceList");
+}
+
+/**
+ * Move an invoice to a new status after a delivery or payment event.
+ * Draft and Void invoices are left alone.
+ * @param {Spreadsheet} spreadsheet
+ * @param {string} invoiceId
+ * @param {string} status - INVOICE_STATUS_SENT or INVOICE_STATUS_PAID
+ */
+function advanceInvoiceStatus_(spreadsheet, invoiceId, status) {
+  var sheet = getSheet(spreadsheet, CONFIG.SHEETS.INVOICES);
+  var found = findInvoiceLifecycleRow_(sheet, invoiceId);
+  if (!found) return;
+  if (found.status === INVOICE_STATUS_DRAFT || isInvoiceVoid_(found.status)) return;
+  if (found.status === INVOICE_STATUS_PAID && status === INVOICE_STATUS_SENT) return;
+  if (found.status === status) return;
+  writeInvoiceLifecycleValues_(sheet, found, { Status: status });
+}
+
+/**
+ * Set Paid when the outstanding balance is cleared, or step back from Paid
+ * to Sent/Issued when a payment is removed.
+ * @param {Spreadsheet} spreadsheet
+ * @param {string} invoiceId
+ * @param {boolean} isPaid
+ */
+function syncInvoicePaidStatus_(spreadsheet, invoiceId, isPaid) {
+  if (isPaid) {
+    advanceInvoiceStatus_(spreadsheet, invoiceId, INVOICE_STATUS_PAID);
+    return;
+  }
+  var sheet = getSheet(spreadsheet, CONFIG.SHEETS.INVOICES);
+  var found = findInvoiceLifecycleRow_(sheet, invoiceId);
+  if (!found || found.status !== INVOICE_STATUS_PAID) return;
+  var sentAtIdx = found.colMap["Sent at"];
+  var wasSent = sentAtIdx !== undefined && String(found.row[sentAtIdx] || "") !== "";
+  writeInvoiceLifecycleValues_(sheet, found, {
+    Status: wasSent ? INVOICE_STATUS_SENT : INVOICE_STATUS_ISSUED,
+  });
+}
+
+/**
+ * Issue a draft invoice. Issued invoices can no longer be deleted.
+ * @param {string} invoiceId
+ * @returns {Object} { success, status } or { success: false, message }
+ */
+function issueInvoiceByIdFromData(invoiceId) {
+  try {
+    var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+    var sheet = getSheet(spreadsheet, CONFIG.SHEETS.INVOICES);
+    var found = findInvoiceLifecycleRow_(sheet, invoiceId);
+    if (!found) return { success: false, message: "Invoice not found." };
+    if (found.status !== INVOICE_STATUS_DRAFT) {
+      return {
+        success: false,
+        message: "Only draft invoices can be issued (status: " + found.status + ").",
+      };
+    }
+    // Rows saved before VAT regimes existed take the regime from the client card
+    var projectName = String(found.row[found.colMap["Project Name"]] || "");
+    var regimeIdx = found.colMap[VAT_REGIME_COLUMN];
+    var regime = regimeIdx === undefined ? "" : found.row[regimeIdx];
+    var vatProblem = getVatRegimeIssueProblem_(
+      projectName,
+      regime || resolveVatRegime_(projectName).regime
+    );
+    if (vatProblem) return { success: false, message: vatProblem };
+    writeInvoiceLifecycleValues_(sheet, found, { Status: INVOICE_STATUS_ISSUED });
+    return { success: true, status: INVOICE_STATUS_ISSUED };
+  } catch (error) {
+    console.error("Error issuing invoice:", error);
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * Void an issued invoice. The row, number and files are kept.
+ * @param {string} invoiceId
+ * @param {string} reason - Required explanation
+ * @returns {Object} { success, status } or { success: false, message }
+ */
+function voidInvoiceByIdFromData(invoiceId, reason) {
+  try {
+    reason = String(reason || "").trim();
+    if (!reason) return { success: false, message: "Enter a reason for voiding." };
+
+    var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+    var sheet = getSheet(spreadsheet, CONFIG.SHEETS.INVOICES);
+    var found = findInvoiceLifecycleRow_(sheet, invoiceId);
+    if (!found) return { success: false, message: "Invoice not found." };
+    if (
+      found.status === INVOICE_STATUS_DRAFT &&
+      !isAutomaticInvoiceNumber_(
+        getInvoiceNumberingPatterns_(spreadsheet),
+        found.row[found.colMap["Our Company"]],
+        found.row[found.colMap["Invoice Number"]]
+      )
+    ) {
+      return { success: false, message: "Draft invoices are deleted, not voided." };
+    }
+    if (isInvoiceVoid_(found.status)) {
+      return { success: false, message: "This invoice is already void." };
+    }
+    if (getInvoicePaymentTotalsById_(spreadsheet)[invoiceId]) {
+      return {
+        success: false,
+        message: "This invoice has recorded payments. Delete the payments first.",
+      };
+    }
+
+    writeInvoiceLifecycleValues_(sheet, found, {
+      Status: INVOICE_STATUS_VOID,
+      "Void Reason": reason,
+      "Voided by": getCurrentUserEmail(),
+      "Voided at": Utilities.formatDate(
+        new Date(),
+        Session.getScriptTimeZone(),
+        "dd/MM/yyyy HH:mm"
+      ),
+    });
+    return { success: true, status: INVOICE_STATUS_VOID };
+  } catch (error) {
+    console.error("Error voiding invoice:", error);
+    return { success: false, message: error.message };
+  }
+}
@@ -0,0 +1,327 @@
+// Shared helpers for emailing invoice documents to clients.
+//
+// Recipients come from the client card (Clients Information) of the project:
+// "Mail to" is the recipient, "Mail address to" is how the client is
+// addressed, both "Copy mail" fields go to Cc and "Comments for mails" is
+// added to the message.
+
+function escapeInvoiceMailHtml_(value) {
+  return String(value || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function uniqueInvoiceMailAddresses_(emails) {
+  var seen = {};
+  return emails.filter(function (email) {
+    var key = String(email || "").trim().toLowerCase();
+    if (!key || seen[key]) return false;
+    seen[key] = true;
+    return true;
+  });
+}
+
+/**
+ * Build To/Cc lists from client mail settings
+ * @param {Object} settings - From getClientMailSettingsByProjectFromData
+ * @returns {Object} { to: [], cc: [] }
+ */
+function buildInvoiceMailRecipients_(settings) {
+  if (!settings) return { to: [], cc: [] };
+  var to = uniqueInvoiceMailAddresses_(settings.to || []);
+  var toKeys = to.map(function (email) {
+    return email.toLowerCase();
+  });
+  var cc = uniqueInvoiceMailAddresses_(
+    (settings.ccClient || []).concat(settings.ccSloboda || [])
+  ).filter(function (email) {
+    return toKeys.indexOf(email.toLowerCase()) === -1;
+  });
+  return { to: to, cc: cc };
+}
+
+/**
+ * Load the PDF saved in the "PDF Link" column as an attachment
+ * @param {string} pdfUrl
+ * @returns {Blob|null}
+ */
+function getInvoiceMailPdfBlob_(pdfUrl) {
+  if (!pdfUrl) return null;
+  try {
+    var file = DriveApp.getFileById(extractFileIdFromUrl(pdfUrl));
+    return file.getBlob().setName(file.getName());
+  } catch (error) {
+    console.warn("Could not load PDF for email:", pdfUrl, error);
+    return null;
+  }
+}
+
+// Plain text to simple HTML paragraphs, keeping line breaks.
+function invoiceMailTextToHtml_(text) {
+  return String(text || "")
+    .split(/\n{2,}/)
+    .map(function (paragraph) {
+      return (
+        "<p>" +
+        escapeInvoiceMailHtml_(paragraph).replace(/\n/g, "<br>") +
+        "</p>"
+      );
+    })
+    .join("");
+}
+
+/**
+ * Replace {Placeholder} tokens in a mail template
+ * @param {string} template
+ * @param {Object} values - { "Invoice Number": "2025-0001", ... }
+ * @returns {string}
+ */
+function fillInvoiceMailTemplate_(template, values) {
+  return String(template || "").replace(/\{([^{}]+)\}/g, function (token, name) {
+    return Object.prototype.hasOwnProperty.call(values, name)
+      ? String(values[name] === undefined || values[name] === null ? "" : values[name])
+      : token;
+  });
+}
+
+// ── Send to client ──────────────────────────────────────────────────────────
+
+var DOCUMENT_MAIL_TEMPLATES_SHEET = "Mail Templates";
+var DOCUMENT_MAIL_TEMPLATES_HEADERS = ["Document Type", "Subject", "Body"];
+var DOCUMENT_MAIL_DEFAULT_TEMPLATES = [
+  [
+    "Invoice",
+    "Invoice {Document Number} from {Our Company}",
+    "Dear {Addressee},\n\n" +
+      "Please find attached invoice {Document Number} dated {Document Date} " +
+      "for {Total} {Currency}, due on {Due Date}.\n\n" +
+      "{Comments}\n\n" +
+      "Kind regards,\n{Our Company}",
+  ],
+  [
+    "Credit Note",
+    "Credit note {Document Number} from {Our Company}",
+    "Dear {Addressee},\n\n" +
+      "Please find attached credit note {Document Number} dated {Document Date} " +
+      "for {Total} {Currency}.\n\n" +
+      "{Comments}\n\n" +
+      "Kind regards,\n{Our Company}",
+  ],
+];
+var DOCUMENT_MAIL_SENT_COLUMNS = ["Sent by", "Sent at", "Sent to"];
+
+// CONFIG comes from config.js, so it is only read at call time.
+function getDocumentMailType_(documentType) {
+  if (documentType === "invoice") {
+    return {
+      label: "Invoice",
+      sheetName: CONFIG.SHEETS.INVOICES,
+      numberColumn: "Invoice Number",
+      dateColumn: "Invoice Date",
+      dueDateColumn: "Due Date",
+      cacheKey: "invoiceList",
+    };
+  }
+  if (documentType === "creditNote") {
+    return {
+      label: "Credit Note",
+      sheetName: CONFIG.SHEETS.CREDITNOTES,
+      numberColumn: "CN Number",
+      dateColumn: "CN Date",
+      dueDateColumn: "",
+      cacheKey: "creditNoteList",
+    };
+  }
+  throw new Error("Unknown document type: " + documentType);
+}
+
+// Create the Mail Templates sheet with the defaults, so they can be edited.
+function ensureDocumentMailTemplatesSheet_(spreadsheet) {
+  var sheet = getOrCreateSheet(
+    spreadsheet,
+    DOCUMENT_MAIL_TEMPLATES_SHEET,
+    DOCUMENT_MAIL_TEMPLATES_HEADERS
+  );
+  if (sheet.getLastRow() < 2) {
+    sheet
+      .getRange(2, 1, DOCUMENT_MAIL_DEFAULT_TEMPLATES.length, 3)
+      .setValues(DOCUMENT_MAIL_DEFAULT_TEMPLATES);
+  }
+}
+
+function getDocumentMailTemplate_(spreadsheet, label) {
+  var values = getSheetValuesIfExists(spreadsheet, DOCUMENT_MAIL_TEMPLATES_SHEET);
+  var colMap = buildColumnMap(values[0] || []);
+  for (var i = 1; i < values.length; i++) {
+    if (
+      String(values[i][colMap["Document Type"]] || "").trim().toLowerCase() ===
+      label.toLowerCase()
+    ) {
+      return {
+        subject: String(values[i][colMap["Subject"]] || ""),
+        body: String(values[i][colMap["Body"]] || ""),
+      };
+    }
+  }
+  var fallback = DOCUMENT_MAIL_DEFAULT_TEMPLATES.filter(function (row) {
+    return row[0] === label;
+  })[0];
+  return { subject: fallback[1], body: fallback[2] };
+}
+
+function findDocumentMailRow_(sheet, documentId) {
+  var values = sheet.getDataRange().getValues();
+  var colMap = buildColumnMap(values[0] || []);
+  for (var i = 1; i < values.length; i++) {
+    if (String(values[i][colMap["ID"]]) === String(documentId)) {
+      return { sheetRow: i + 1, row: values[i], colMap: colMap };
+    }
+  }
+  return null;
+}
+
+function readDocumentMailSentInfo_(found) {
+  function cell(name) {
+    var idx = found.colMap[name];
+    return idx === undefined ? "" : String(found.row[idx] || "");
+  }
+  return {
+    sentBy: cell("Sent by"),
+    sentAt: cell("Sent at"),
+    sentTo: cell("Sent to"),
+  };
+}
+
+/**
+ * Build the editable email for sending an invoice or credit note to the client
+ * @param {string} documentType - "invoice" or "creditNote"
+ * @param {string} documentId - Row ID
+ * @returns {Object} { success, to, cc, subject, body, pdfUrl, lastSent } or { success: false, message }
+ */
+function getDocumentMailDraftFromData(documentType, documentId) {
+  try {
+    var type = getDocumentMailType_(documentType);
+    var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+    var sheet = getSheet(spreadsheet, type.sheetName);
+    var found = findDocumentMailRow_(sheet, documentId);
+    if (!found) return { success: false, message: type.label + " not found." };
+
+    var row = found.row;
+    var colMap = found.colMap;
+    var projectName = String(row[colMap["Project Name"]] || "");
+    var mailSettings = getClientMailSettingsByProjectFromData(projectName);
+    var recipients = buildInvoiceMailRecipients_(mailSettings);
+    var template = getDocumentMailTemplate_(spreadsheet, type.label);
+    var values = {
+      "Document Number": String(row[colMap[type.numberColumn]] || ""),
+      "Document Date": formatDate(row[colMap[type.dateColumn]]),
+      "Due Date": type.dueDateColumn
+        ? formatDate(row[colMap[type.dueDateColumn]])
+        : "",
+      Total: roundInvoiceAmount_(row[colMap["Total"]]).toFixed(2),
+      Currency: String(row[colMap["Currency"]] || ""),
+      "Our Company": String(row[colMap["Our Company"]] || ""),
+      "Client Name": String(row[colMap["Client Name"]] || ""),
+      "Project Name": projectName,
+      Addressee: (mailSettings && mailSettings.addressTo) || "Sir or Madam",
+      Comments: (mailSettings && mailSettings.comments) || "",
+    };
+
+    return {
+      success: true,
+      to: recipients.to.join(", "),
+      cc: recipients.cc.join(", "),
+      subject: fillInvoiceMailTemplate_(template.subject, values),
+      body: fillInvoiceMailTemplate_(template.body, values)
+        .replace(/\n{3,}/g, "\n\n")
+        .trim(),
+      pdfUrl: String(row[colMap["PDF Link"]] || ""),
+      hasClientCard: !!mailSettings,
+      lastSent: readDocumentMailSentInfo_(found),
+    };
+  } catch (error) {
+    console.error("Error building document email:", error);
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * Email an invoice or credit note PDF to the client and record the delivery
+ * in the "Sent by", "Sent at" and "Sent to" columns of the row.
+ * @param {string} documentType - "invoice" or "creditNote"
+ * @param {string} documentId - Row ID
+ * @param {Object} mail - { to, cc, subject, body } as edited by the user
+ * @returns {Object} { success, lastSent } or { success: false, message }
+ */
+function sendDocumentToClientFromData(documentType, documentId, mail) {
+  try {
+    mail = mail || {};
+    var type = getDocumentMailType_(documentType);
+    var to = uniqueInvoiceMailAddresses_(parseClientMailList_(mail.to));
+    var cc = uniqueInvoiceMailAddresses_(parseClientMailList_(mail.cc));
+    var subject = String(mail.subject || "").trim();
+    var body = String(mail.body || "").trim();
+    if (!to.length) return { success: false, message: "Add at least one recipient." };
+    if (!subject) return { success: false, message: "Subject is required." };
+
+    var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+    var sheet = getSheet(spreadsheet, type.sheetName);
+    var found = findDocumentMailRow_(sheet, documentId);
+    if (!found) return { success: false, message: type.label + " not found." };
+    if (documentType === "invoice") {
+      var status = getInvoiceStatus_(found.row, found.colMap);
+      if (!isInvoiceReceivable_(status)) {
+        return {
+          success: false,
+          message: "Only issued invoices can be sent (status: " + status + ").",
+        };
+      }
+    }
+
+    var pdf = getInvoiceMailPdfBlob_(
+      String(found.row[found.colMap["PDF Link"]] || "")
+    );
+    if (!pdf) {
+      return {
+        success: false,
+        message: "The PDF of this " + type.label.toLowerCase() + " was not found.",
+      };
+    }
+
+    var options = {
+      to: to.join(","),
+      subject: subject,
+      body: body,
+      htmlBody: invoiceMailTextToHtml_(body),
+      attachments: [pdf],
+    };
+    if (cc.length) options.cc = cc.join(",");
+    MailApp.sendEmail(options);
+
+    var colMap = ensureSheetColumns_(sheet, DOCUMENT_MAIL_SENT_COLUMNS);
+    var sentInfo = {
+      sentBy: getCurrentUserEmail(),
+      sentAt: Utilities.formatDate(
+        new Date(),
+        Session.getScriptTimeZone(),
+        "dd/MM/yyyy HH:mm"
+      ),
+      sentTo: to.concat(cc).join(", "),
+    };
+    sheet.getRange(found.sheetRow, colMap["Sent by"] + 1).setValue(sentInfo.sentBy);
+    sheet.getRange(found.sheetRow, colMap["Sent at"] + 1).setValue(sentInfo.sentAt);
+    sheet.getRange(found.sheetRow, colMap["Sent to"] + 1).setValue(sentInfo.sentTo);
+    SpreadsheetApp.flush();
+    if (documentType === "invoice") {
+      advanceInvoiceStatus_(spreadsheet, documentId, INVOICE_STATUS_SENT);
+    }
+    CacheService.getScriptCache().remove(type.cacheKey);
+
+    return { success: true, lastSent: sentInfo };
+  } catch (error) {
+    console.error("Error sending document to client:", error);
+    return { success: false, message: error.message };
+  }
+}
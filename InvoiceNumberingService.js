@@ -0,0 +1,493 @@
+// Data service for server-side invoice numbering.
+//
+// Numbers are assigned per Our Company and calendar year from a pattern in the
+// "Invoice Numbering" sheet, e.g. "{YYYY}-{seq:4}" -> "2025-0007".
+// Supported tokens: {YYYY}, {YY}, {MM}, {seq} and {seq:N} (zero-padded to N).
+// Companies without a pattern keep typing invoice numbers manually.
+
+var INVOICE_NUMBERING_SHEET = "Invoice Numbering";
+var INVOICE_NUMBERING_HEADERS = ["Our Company", "Pattern"];
+var INVOICE_NUMBER_SEQUENCES_SHEET = "Invoice Number Sequences";
+var INVOICE_NUMBER_SEQUENCES_HEADERS = [
+  "Our Company",
+  "Year",
+  "Last Sequence",
+  "Modified by",
+  "Modified at",
+];
+var INVOICE_NUMBERING_LOCK_TIMEOUT_MS = 30000;
+// Missing numbers listed per group in the gap report; the rest are counted.
+var INVOICE_NUMBER_GAP_REPORT_LIMIT = 200;
+
+function normalizeInvoiceNumberingKey_(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function normalizeInvoiceNumber_(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+// Invoice dates come from the form as yyyy-mm-dd or from the sheet as Date.
+function getInvoiceNumberingDateParts_(value) {
+  if (value instanceof Date && !isNaN(value.getTime())) {
+    return { year: value.getFullYear(), month: value.getMonth() + 1 };
+  }
+  var text = String(value || "").trim();
+  var iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (iso) return { year: Number(iso[1]), month: Number(iso[2]) };
+  var dmy = text.match(/^(\d{1,2})[\/.](\d{1,2})[\/.](\d{4})/);
+  if (dmy) return { year: Number(dmy[3]), month: Number(dmy[2]) };
+  var now = new Date();
+  return { year: now.getFullYear(), month: now.getMonth() + 1 };
+}
+
+function padInvoiceNumberPart_(value, width) {
+  var text = String(value);
+  while (text.length < width) text = "0" + text;
+  return text;
+}
+
+function formatInvoiceNumberFromPattern_(pattern, dateParts, sequence) {
+  return String(pattern).replace(
+    /\{(YYYY|YY|MM|seq(?::(\d+))?)\}/g,
+    function (token, name, width) {
+      if (name === "YYYY") return String(dateParts.year);
+      if (name === "YY") return String(dateParts.year).slice(-2);
+      if (name === "MM") return padInvoiceNumberPart_(dateParts.month, 2);
+      return padInvoiceNumberPart_(sequence, Number(width || 0));
+    }
+  );
+}
+
+function escapeInvoiceNumberRegex_(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Regex matching numbers of the given pattern and year; group 1 is the sequence.
+function buildInvoiceNumberRegex_(pattern, year) {
+  var source = "";
+  var lastIndex = 0;
+  var tokenRegex = /\{(YYYY|YY|MM|seq(?::(\d+))?)\}/g;
+  var match;
+  while ((match = tokenRegex.exec(pattern)) !== null) {
+    source += escapeInvoiceNumberRegex_(
+      pattern.slice(lastIndex, match.index)
+    );
+    if (match[1] === "YYYY") source += String(year);
+    else if (match[1] === "YY") source += String(year).slice(-2);
+    else if (match[1] === "MM") source += "\\d{2}";
+    else source += "(\\d+)";
+    lastIndex = tokenRegex.lastIndex;
+  }
+  source += escapeInvoiceNumberRegex_(pattern.slice(lastIndex));
+  return new RegExp("^" + source + "$", "i");
+}
+
+function parseInvoiceNumberSequence_(pattern, year, invoiceNumber) {
+  var match = String(invoiceNumber || "")
+    .trim()
+    .match(buildInvoiceNumberRegex_(pattern, year));
+  return match && match[1] ? parseInt(match[1], 10) : null;
+}
+
+function isValidInvoiceNumberingPattern_(pattern) {
+  var tokens = String(pattern || "").match(/\{seq(?::\d+)?\}/g);
+  return !!tokens && tokens.length === 1;
+}
+
+function getInvoiceNumberingPatterns_(spreadsheet) {
+  var values = getSheetValuesIfExists(spreadsheet, INVOICE_NUMBERING_SHEET);
+  var colMap = buildColumnMap(values[0] || []);
+  var patterns = {};
+  if (colMap["Our Company"] === undefined || colMap["Pattern"] === undefined) {
+    return patterns;
+  }
+  for (var i = 1; i < values.length; i++) {
+    var company = String(values[i][colMap["Our Company"]] || "").trim();
+    var pattern = String(values[i][colMap["Pattern"]] || "").trim();
+    if (!company || !pattern) continue;
+    if (!isValidInvoiceNumberingPattern_(pattern)) {
+      console.warn(
+        'Invoice numbering pattern for "' +
+          company +
+          '" must contain exactly one {seq} token: ' +
+          pattern
+      );
+      continue;
+    }
+    patterns[normalizeInvoiceNumberingKey_(company)] = pattern;
+  }
+  return patterns;
+}
+
+function getInvoiceNumberingPattern_(spreadsheet, ourCompany) {
+  var key = normalizeInvoiceNumberingKey_(ourCompany);
+  if (!key) return "";
+  return getInvoiceNumberingPatterns_(spreadsheet)[key] || "";
+}
+
+// Numbers of companies with a pattern come from the counter, so a draft that
+// holds one is voided rather than deleted to keep the sequence without gaps.
+function isAutomaticInvoiceNumber_(patterns, ourCompany, invoiceNumber) {
+  if (!String(invoiceNumber || "").trim()) return false;
+  return !!patterns[normalizeInvoiceNumberingKey_(ourCompany)];
+}
+
+/**
+ * Check whether invoice numbers for the company are assigned by the server
+ * @param {string} ourCompany - Our Company name
+ * @returns {boolean}
+ */
+function hasInvoiceNumberingPattern(ourCompany) {
+  var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+  return !!getInvoiceNumberingPattern_(spreadsheet, ourCompany);
+}
+
+function readInvoiceNumberRows_(spreadsheet) {
+  var sheet = getSheet(spreadsheet, CONFIG.SHEETS.INVOICES);
+  var values = sheet.getDataRange().getValues();
+  var colMap = buildColumnMap(values[0] || []);
+  var rows = [];
+  for (var i = 1; i < values.length; i++) {
+    var row = values[i];
+    rows.push({
+      id: String(row[colMap["ID"]] || ""),
+      invoiceNumber: String(row[colMap["Invoice Number"]] || "").trim(),
+      ourCompany: String(row[colMap["Our Company"]] || "").trim(),
+      invoiceDate: row[colMap["Invoice Date"]],
+      projectName: String(row[colMap["Project Name"]] || ""),
+    });
+  }
+  return rows;
+}
+
+/**
+ * Find an invoice of the same company that already uses the number
+ * @param {Array} rows - Rows from readInvoiceNumberRows_
+ * @param {string} ourCompany - Our Company name
+ * @param {string} invoiceNumber - Number to check
+ * @param {string} excludeId - Invoice ID to ignore (the one being edited)
+ * @returns {Object|null} Conflicting row or null
+ */
+function findDuplicateInvoiceNumber_(rows, ourCompany, invoiceNumber, excludeId) {
+  var number = normalizeInvoiceNumber_(invoiceNumber);
+  if (!number) return null;
+  var company = normalizeInvoiceNumberingKey_(ourCompany);
+  for (var i = 0; i < rows.length; i++) {
+    if (excludeId && rows[i].id === excludeId) continue;
+    if (normalizeInvoiceNumberingKey_(rows[i].ourCompany) !== company) continue;
+    if (normalizeInvoiceNumber_(rows[i].invoiceNumber) === number) {
+      return rows[i];
+    }
+  }
+  return null;
+}
+
+function buildDuplicateInvoiceNumberMessage_(invoiceNumber, duplicate) {
+  return (
+    'Invoice number "' +
+    invoiceNumber +
+    '" is already used by another invoice' +
+    (duplicate.projectName ? " (" + duplicate.projectName + ")" : "") +
+    "."
+  );
+}
+
+function getMaxUsedInvoiceSequence_(rows, ourCompany, pattern, year) {
+  var company = normalizeInvoiceNumberingKey_(ourCompany);
+  var max = 0;
+  rows.forEach(function (row) {
+    if (normalizeInvoiceNumberingKey_(row.ourCompany) !== company) return;
+    var sequence = parseInvoiceNumberSequence_(pattern, year, row.invoiceNumber);
+    if (sequence !== null && sequence > max) max = sequence;
+  });
+  return max;
+}
+
+/**
+ * Reserve the next invoice number. The caller must hold the script lock and
+ * write the invoice row before releasing it.
+ * @param {Spreadsheet} spreadsheet - Invoices spreadsheet
+ * @param {string} ourCompany - Our Company name
+ * @param {string} pattern - Numbering pattern
+ * @param {*} invoiceDate - Invoice date (yyyy-mm-dd or Date)
+ * @returns {string} Reserved invoice number
+ */
+function reserveNextInvoiceNumber_(spreadsheet, ourCompany, pattern, invoiceDate) {
+  var dateParts = getInvoiceNumberingDateParts_(invoiceDate);
+  var rows = readInvoiceNumberRows_(spreadsheet);
+  var sheet = getOrCreateSheet(
+    spreadsheet,
+    INVOICE_NUMBER_SEQUENCES_SHEET,
+    INVOICE_NUMBER_SEQUENCES_HEADERS
+  );
+  var values = sheet.getDataRange().getValues();
+  var colMap = buildColumnMap(values[0] || []);
+  var company = normalizeInvoiceNumberingKey_(ourCompany);
+
+  var sheetRow = -1;
+  var lastSequence = 0;
+  for (var i = 1; i < values.length; i++) {
+    if (
+      normalizeInvoiceNumberingKey_(values[i][colMap["Our Company"]]) ===
+        company &&
+      Number(values[i][colMap["Year"]]) === dateParts.year
+    ) {
+      sheetRow = i + 1;
+      lastSequence = parseInt(values[i][colMap["Last Sequence"]], 10) || 0;
+      break;
+    }
+  }
+
+  // The counter never goes below numbers that already exist in the sheet
+  // (first use of a pattern, or numbers typed in before numbering existed).
+  var sequence =
+    Math.max(
+      lastSequence,
+      getMaxUsedInvoiceSequence_(rows, ourCompany, pattern, dateParts.year)
+    ) + 1;
+  var invoiceNumber = formatInvoiceNumberFromPattern_(pattern, dateParts, sequence);
+  while (findDuplicateInvoiceNumber_(rows, ourCompany, invoiceNumber, "")) {
+    sequence++;
+    invoiceNumber = formatInvoiceNumberFromPattern_(pattern, dateParts, sequence);
+  }
+
+  var counterRow = new Array(values[0].length).fill("");
+  counterRow[colMap["Our Company"]] = String(ourCompany).trim();
+  counterRow[colMap["Year"]] = dateParts.year;
+  counterRow[colMap["Last Sequence"]] = sequence;
+  setAuditValues_(counterRow, colMap);
+  if (sheetRow === -1) {
+    sheet.appendRow(counterRow);
+  } else {
+    sheet.getRange(sheetRow, 1, 1, counterRow.length).setValues([counterRow]);
+  }
+  return invoiceNumber;
+}
+
+/**
+ * Give back an automatic number whose invoice row was removed again (its
+ * documents could not be created). Only the counter's last number can be
+ * given back; an earlier one stays a gap. The caller must hold the script
+ * lock.
+ * @param {Spreadsheet} spreadsheet - Invoices spreadsheet
+ * @param {string} ourCompany - Our Company name
+ * @param {*} invoiceDate - Invoice date (yyyy-mm-dd or Date)
+ * @param {string} invoiceNumber - Number of the removed invoice
+ */
+function releaseInvoiceNumber_(spreadsheet, ourCompany, invoiceDate, invoiceNumber) {
+  var pattern = getInvoiceNumberingPattern_(spreadsheet, ourCompany);
+  if (!pattern) return;
+  var dateParts = getInvoiceNumberingDateParts_(invoiceDate);
+  var sequence = parseInvoiceNumberSequence_(pattern, dateParts.year, invoiceNumber);
+  if (sequence === null) return;
+  var sheet = getSheet(spreadsheet, INVOICE_NUMBER_SEQUENCES_SHEET);
+  if (!sheet) return;
+  var values = sheet.getDataRange().getValues();
+  var colMap = buildColumnMap(values[0] || []);
+  var company = normalizeInvoiceNumberingKey_(ourCompany);
+  for (var i = 1; i < values.length; i++) {
+    if (
+      normalizeInvoiceNumberingKey_(values[i][colMap["Our Company"]]) !==
+        company ||
+      Number(values[i][colMap["Year"]]) !== dateParts.year
+    ) {
+      continue;
+    }
+    if ((parseInt(values[i][colMap["Last Sequence"]], 10) || 0) !== sequence) {
+      return;
+    }
+    var counterRow = values[i].slice();
+    counterRow[colMap["Last Sequence"]] = sequence - 1;
+    setAuditValues_(counterRow, colMap);
+    sheet.getRange(i + 1, 1, 1, counterRow.length).setValues([counterRow]);
+    return;
+  }
+}
+
+/**
+ * Resolve the number for a new invoice. Assigns the next number when the
+ * company has a pattern, otherwise checks the typed number for duplicates.
+ * The caller must hold the script lock.
+ * @param {Spreadsheet} spreadsheet - Invoices spreadsheet
+ * @param {Object} data - Invoice form data
+ * @returns {string} Invoice number to save
+ */
+function resolveInvoiceNumberForCreate_(spreadsheet, data) {
+  var pattern = getInvoiceNumberingPattern_(spreadsheet, data.ourCompany);
+  if (pattern) {
+    return reserveNextInvoiceNumber_(
+      spreadsheet,
+      data.ourCompany,
+      pattern,
+      data.invoiceDate
+    );
+  }
+  var invoiceNumber = String(data.invoiceNumber || "").trim();
+  var duplicate = findDuplicateInvoiceNumber_(
+    readInvoiceNumberRows_(spreadsheet),
+    data.ourCompany,
+    invoiceNumber,
+    ""
+  );
+  if (duplicate) {
+    throw new Error(buildDuplicateInvoiceNumberMessage_(invoiceNumber, duplicate));
+  }
+  return invoiceNumber;
+}
+
+/**
+ * Preview the number the next invoice would get. Nothing is reserved.
+ * @param {string} ourCompany - Our Company name
+ * @param {string} invoiceDate - Invoice date (yyyy-mm-dd)
+ * @returns {Object} { automatic: boolean, pattern, invoiceNumber }
+ */
+function previewNextInvoiceNumberFromData(ourCompany, invoiceDate) {
+  try {
+    var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+    var pattern = getInvoiceNumberingPattern_(spreadsheet, ourCompany);
+    if (!pattern) {
+      return { automatic: false, pattern: "", invoiceNumber: "" };
+    }
+    var dateParts = getInvoiceNumberingDateParts_(invoiceDate);
+    var rows = readInvoiceNumberRows_(spreadsheet);
+    var lastSequence = 0;
+    var sequencesSheet = getSheet(spreadsheet, INVOICE_NUMBER_SEQUENCES_SHEET);
+    if (sequencesSheet) {
+      var values = sequencesSheet.getDataRange().getValues();
+      var colMap = buildColumnMap(values[0] || []);
+      var company = normalizeInvoiceNumberingKey_(ourCompany);
+      for (var i = 1; i < values.length; i++) {
+        if (
+          normalizeInvoiceNumberingKey_(values[i][colMap["Our Company"]]) ===
+            company &&
+          Number(values[i][colMap["Year"]]) === dateParts.year
+        ) {
+          lastSequence = parseInt(values[i][colMap["Last Sequence"]], 10) || 0;
+          break;
+        }
+      }
+    }
+    var sequence =
+      Math.max(
+        lastSequence,
+        getMaxUsedInvoiceSequence_(rows, ourCompany, pattern, dateParts.year)
+      ) + 1;
+    return {
+      automatic: true,
+      pattern: pattern,
+      invoiceNumber: formatInvoiceNumberFromPattern_(pattern, dateParts, sequence),
+    };
+  } catch (error) {
+    console.error("Error previewing invoice number:", error);
+    return { automatic: false, pattern: "", invoiceNumber: "", message: error.message };
+  }
+}
+
+/**
+ * Build the numbering gap report: per Our Company and year, the missing
+ * sequence numbers between the first and last issued number (the first
+ * INVOICE_NUMBER_GAP_REPORT_LIMIT listed, missingCount counts all), and
+ * duplicates.
+ * @returns {Object} { success, groups: [...] } or { success: false, message }
+ */
+function getInvoiceNumberGapReportFromData() {
+  try {
+    var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+    var patterns = getInvoiceNumberingPatterns_(spreadsheet);
+    var rows = readInvoiceNumberRows_(spreadsheet);
+    var groups = {};
+
+    rows.forEach(function (row) {
+      if (!row.invoiceNumber) return;
+      var year = getInvoiceNumberingDateParts_(row.invoiceDate).year;
+      var key = normalizeInvoiceNumberingKey_(row.ourCompany) + "|" + year;
+      if (!groups[key]) {
+        groups[key] = {
+          ourCompany: row.ourCompany,
+          year: year,
+          pattern: patterns[normalizeInvoiceNumberingKey_(row.ourCompany)] || "",
+          numbers: {},
+          sequences: [],
+          unmatched: [],
+        };
+      }
+      var group = groups[key];
+      var normalized = normalizeInvoiceNumber_(row.invoiceNumber);
+      if (!group.numbers[normalized]) {
+        group.numbers[normalized] = { invoiceNumber: row.invoiceNumber, count: 0 };
+      }
+      group.numbers[normalized].count++;
+      if (!group.pattern) return;
+      var sequence = parseInvoiceNumberSequence_(group.pattern, year, row.invoiceNumber);
+      if (sequence === null) {
+        group.unmatched.push(row.invoiceNumber);
+      } else {
+        group.sequences.push({ sequence: sequence, invoiceNumber: row.invoiceNumber });
+      }
+    });
+
+    var result = Object.keys(groups).map(function (key) {
+      var group = groups[key];
+      var duplicates = Object.keys(group.numbers)
+        .filter(function (n) {
+          return group.numbers[n].count > 1;
+        })
+        .map(function (n) {
+          return group.numbers[n].invoiceNumber;
+        });
+      var missing = [];
+      var missingCount = 0;
+      var first = "";
+      var last = "";
+      if (group.pattern && group.sequences.length > 0) {
+        var sorted = group.sequences.slice().sort(function (a, b) {
+          return a.sequence - b.sequence;
+        });
+        first = sorted[0].invoiceNumber;
+        last = sorted[sorted.length - 1].invoiceNumber;
+        // The month of a missing number is unknown, so {MM} is shown as "??".
+        var dateParts = { year: group.year, month: "??" };
+        // Walk the gaps between used numbers, so one mistyped huge number
+        // only adds to the count instead of listing every number below it.
+        for (var i = 1; i < sorted.length; i++) {
+          var from = sorted[i - 1].sequence + 1;
+          var to = sorted[i].sequence;
+          if (to <= from) continue;
+          missingCount += to - from;
+          for (
+            var s = from;
+            s < to && missing.length < INVOICE_NUMBER_GAP_REPORT_LIMIT;
+            s++
+          ) {
+            missing.push(formatInvoiceNumberFromPattern_(group.pattern, dateParts, s));
+          }
+        }
+      }
+      return {
+        ourCompany: group.ourCompany,
+        year: group.year,
+        pattern: group.pattern,
+        count: Object.keys(group.numbers).length,
+        first: first,
+        last: last,
+        missing: missing,
+        missingCount: missingCount,
+        duplicates: duplicates,
+        unmatched: group.unmatched,
+      };
+    });
+
+    result.sort(function (a, b) {
+      if (a.ourCompany !== b.ourCompany) {
+        return a.ourCompany.localeCompare(b.ourCompany);
+      }
+      return b.year - a.year;
+    });
+
+    return { success: true, groups: result };
+  } catch (error) {
+    console.error("Error building invoice number gap report:", error);
+    return { success: false, message: error.message };
+  }
+}
@@ -0,0 +1,419 @@
+// Data service for invoice payments.
+//
+// Payments live in the "Payments" sheet of the invoices spreadsheet, one row
+// per received payment, so an invoice can have several partial payments.
+// Outstanding = Total - payments - totals of credit notes whose "Invoice ID"
+// points at the invoice.
+
+var INVOICE_PAYMENTS_SHEET = "Payments";
+var INVOICE_PAYMENTS_HEADERS = [
+  "ID",
+  "Invoice ID",
+  "Payment Date",
+  "Amount",
+  "Currency",
+  "Bank Reference",
+  "Comment",
+  "Modified by",
+  "Modified at",
+];
+var INVOICE_PAYMENT_STATUS_PAID = "Paid";
+var INVOICE_PAYMENT_STATUS_PARTIAL = "Partially paid";
+var INVOICE_PAYMENT_STATUS_UNPAID = "Unpaid";
+// Amounts below half a cent are treated as settled.
+var INVOICE_PAYMENT_EPSILON = 0.005;
+
+function roundInvoiceAmount_(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function getInvoicePaymentsSheet_(spreadsheet) {
+  return getOrCreateSheet(
+    spreadsheet,
+    INVOICE_PAYMENTS_SHEET,
+    INVOICE_PAYMENTS_HEADERS
+  );
+}
+
+function parseInvoicePaymentDate_(value) {
+  if (value instanceof Date) return value;
+  var text = String(value || "").trim();
+  var iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (iso) return new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+  var dmy = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (dmy) return new Date(Number(dmy[3]), Number(dmy[2]) - 1, Number(dmy[1]));
+  return null;
+}
+
+function startOfInvoiceDay_(date) {
+  var d = date ? new Date(date) : new Date();
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+function readInvoicePaymentRows_(spreadsheet) {
+  var values = getSheetValuesIfExists(spreadsheet, INVOICE_PAYMENTS_SHEET);
+  var colMap = buildColumnMap(values[0] || []);
+  var rows = [];
+  for (var i = 1; i < values.length; i++) {
+    var row = values[i];
+    var id = String(row[colMap["ID"]] || "");
+    if (!id) continue;
+    rows.push({
+      id: id,
+      sheetRow: i + 1,
+      invoiceId: String(row[colMap["Invoice ID"]] || ""),
+      paymentDate: formatDate(row[colMap["Payment Date"]]),
+      amount: roundInvoiceAmount_(row[colMap["Amount"]]),
+      currency: String(row[colMap["Currency"]] || ""),
+      bankReference: String(row[colMap["Bank Reference"]] || ""),
+      comment: String(row[colMap["Comment"]] || ""),
+      modifiedBy: String(row[colMap["Modified by"]] || ""),
+      modifiedAt: String(row[colMap["Modified at"]] || ""),
+    });
+  }
+  return rows;
+}
+
+// True when a payment or credit note date is on or before asOf. Without
+// asOf, or when the date cannot be read, the entry always counts.
+function isInvoiceEntryOnOrBefore_(value, asOf) {
+  if (!asOf) return true;
+  var date = parseInvoicePaymentDate_(value);
+  return !date || startOfInvoiceDay_(date) <= asOf;
+}
+
+/**
+ * Sum of payments per invoice ID
+ * @param {Spreadsheet} spreadsheet - Invoices spreadsheet
+ * @param {Date} asOf - Optional; only payments dated on or before this day
+ * @returns {Object} { invoiceId: amount }
+ */
+function getInvoicePaymentTotalsById_(spreadsheet, asOf) {
+  var totals = {};
+  readInvoicePaymentRows_(spreadsheet).forEach(function (payment) {
+    if (!isInvoiceEntryOnOrBefore_(payment.paymentDate, asOf)) return;
+    totals[payment.invoiceId] = roundInvoiceAmount_(
+      (totals[payment.invoiceId] || 0) + payment.amount
+    );
+  });
+  return totals;
+}
+
+function readCreditNotesLinkedToInvoices_(spreadsheet) {
+  var sheet = getSheet(spreadsheet, CONFIG.SHEETS.CREDITNOTES);
+  if (!sheet) return [];
+  var values = sheet.getDataRange().getValues();
+  var colMap = buildColumnMap(values[0] || []);
+  if (colMap["Invoice ID"] === undefined) return [];
+  var rows = [];
+  for (var i = 1; i < values.length; i++) {
+    var invoiceId = String(values[i][colMap["Invoice ID"]] || "");
+    if (!invoiceId) continue;
+    rows.push({
+      id: String(values[i][colMap["ID"]] || ""),
+      invoiceId: invoiceId,
+      creditNoteNumber: String(values[i][colMap["CN Number"]] || ""),
+      creditNoteDate: formatDate(values[i][colMap["CN Date"]]),
+      total: roundInvoiceAmount_(values[i][colMap["Total"]]),
+    });
+  }
+  return rows;
+}
+
+/**
+ * Sum of linked credit note totals per invoice ID
+ * @param {Spreadsheet} spreadsheet - Invoices spreadsheet
+ * @param {Date} asOf - Optional; only credit notes dated on or before this day
+ * @returns {Object} { invoiceId: amount }
+ */
+function getCreditedTotalsByInvoiceId_(spreadsheet, asOf) {
+  var totals = {};
+  readCreditNotesLinkedToInvoices_(spreadsheet).forEach(function (creditNote) {
+    if (!isInvoiceEntryOnOrBefore_(creditNote.creditNoteDate, asOf)) return;
+    totals[creditNote.invoiceId] = roundInvoiceAmount_(
+      (totals[creditNote.invoiceId] || 0) + creditNote.total
+    );
+  });
+  return totals;
+}
+
+/**
+ * Work out payment status of one invoice
+ * @param {number} total - Invoice total
+ * @param {Date} dueDate - Due date (may be empty)
+ * @param {number} paid - Sum of payments
+ * @param {number} credited - Sum of linked credit notes
+ * @param {Date} today - Start of the current day
+ * @returns {Object} { paidAmount, creditedAmount, outstanding, paymentStatus, daysOverdue }
+ */
+function buildInvoicePaymentSummary_(total, dueDate, paid, credited, today) {
+  var outstanding = roundInvoiceAmount_(
+    (Number(total) || 0) - (paid || 0) - (credited || 0)
+  );
+  var status = INVOICE_PAYMENT_STATUS_UNPAID;
+  if (outstanding <= INVOICE_PAYMENT_EPSILON) {
+    status = INVOICE_PAYMENT_STATUS_PAID;
+    outstanding = 0;
+  } else if ((paid || 0) > 0 || (credited || 0) > 0) {
+    status = INVOICE_PAYMENT_STATUS_PARTIAL;
+  }
+  var daysOverdue = 0;
+  if (outstanding > 0 && dueDate instanceof Date && !isNaN(dueDate.getTime())) {
+    var diff = Math.floor(
+      (today.getTime() - startOfInvoiceDay_(dueDate).getTime()) / 86400000
+    );
+    daysOverdue = diff > 0 ? diff : 0;
+  }
+  return {
+    paidAmount: roundInvoiceAmount_(paid).toFixed(2),
+    creditedAmount: roundInvoiceAmount_(credited).toFixed(2),
+    outstanding: outstanding.toFixed(2),
+    paymentStatus: status,
+    daysOverdue: daysOverdue,
+  };
+}
+
+function findInvoiceRowForPayments_(spreadsheet, invoiceId) {
+  var sheet = getSheet(spreadsheet, CONFIG.SHEETS.INVOICES);
+  var values = sheet.getDataRange().getValues();
+  var colMap = buildColumnMap(values[0] || []);
+  for (var i = 1; i < values.length; i++) {
+    if (String(values[i][colMap["ID"]]) === String(invoiceId)) {
+      var row = values[i];
+      return {
+        id: String(invoiceId),
+        projectName: row[colMap["Project Name"]] || "",
+        invoiceNumber: row[colMap["Invoice Number"]] || "",
+        clientName: row[colMap["Client Name"]] || "",
+        invoiceDate: formatDate(row[colMap["Invoice Date"]]),
+        dueDate: formatDate(row[colMap["Due Date"]]),
+        dueDateValue: row[colMap["Due Date"]],
+        total: roundInvoiceAmount_(row[colMap["Total"]]),
+        currency: row[colMap["Currency"]] || "",
+        status: getInvoiceStatus_(row, colMap),
+      };
+    }
+  }
+  return null;
+}
+
+function buildInvoicePaymentDetails_(spreadsheet, invoice) {
+  var payments = readInvoicePaymentRows_(spreadsheet).filter(function (p) {
+    return p.invoiceId === invoice.id;
+  });
+  var creditNotes = readCreditNotesLinkedToInvoices_(spreadsheet).filter(
+    function (cn) {
+      return cn.invoiceId === invoice.id;
+    }
+  );
+  var paid = payments.reduce(function (sum, p) {
+    return sum + p.amount;
+  }, 0);
+  var credited = creditNotes.reduce(function (sum, cn) {
+    return sum + cn.total;
+  }, 0);
+  var summary = buildInvoicePaymentSummary_(
+    invoice.total,
+    invoice.dueDateValue,
+    paid,
+    credited,
+    startOfInvoiceDay_()
+  );
+  var invoiceInfo = {
+    id: invoice.id,
+    projectName: invoice.projectName,
+    invoiceNumber: invoice.invoiceNumber,
+    clientName: invoice.clientName,
+    invoiceDate: invoice.invoiceDate,
+    dueDate: invoice.dueDate,
+    total: invoice.total.toFixed(2),
+    currency: invoice.currency,
+    status: invoice.status,
+  };
+  Object.keys(summary).forEach(function (key) {
+    invoiceInfo[key] = summary[key];
+  });
+  payments.sort(function (a, b) {
+    return (
+      parseInvoicePaymentDate_(a.paymentDate) -
+      parseInvoicePaymentDate_(b.paymentDate)
+    );
+  });
+  return {
+    success: true,
+    invoice: invoiceInfo,
+    payments: payments.map(function (p) {
+      return {
+        id: p.id,
+        paymentDate: p.paymentDate,
+        amount: p.amount.toFixed(2),
+        currency: p.currency,
+        bankReference: p.bankReference,
+        comment: p.comment,
+        modifiedBy: p.modifiedBy,
+        modifiedAt: p.modifiedAt,
+      };
+    }),
+    creditNotes: creditNotes,
+  };
+}
+
+/**
+ * Get payments, linked credit notes and outstanding balance of an invoice
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Object} { success, invoice, payments, creditNotes } or { success: false, message }
+ */
+function getInvoicePaymentsFromData(invoiceId) {
+  try {
+    if (!invoiceId) {
+      return { success: false, message: "Invalid invoice ID provided" };
+    }
+    var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+    var invoice = findInvoiceRowForPayments_(spreadsheet, invoiceId);
+    if (!invoice) return { success: false, message: "Invoice not found." };
+    return buildInvoicePaymentDetails_(spreadsheet, invoice);
+  } catch (error) {
+    console.error("Error getting invoice payments:", error);
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * Record a (partial) payment against an invoice
+ * @param {Object} payment - { invoiceId, paymentDate (yyyy-mm-dd), amount, currency, bankReference, comment }
+ * @returns {Object} Same shape as getInvoicePaymentsFromData, or { success: false, message }
+ */
+function addInvoicePaymentFromData(payment) {
+  payment = payment || {};
+  var paymentDate = parseInvoicePaymentDate_(payment.paymentDate);
+  var amount = roundInvoiceAmount_(payment.amount);
+  if (!payment.invoiceId) {
+    return { success: false, message: "Invalid invoice ID provided" };
+  }
+  if (!paymentDate) {
+    return { success: false, message: "Payment date is required." };
+  }
+  if (!(amount > 0)) {
+    return { success: false, message: "Payment amount must be greater than zero." };
+  }
+
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) {
+    return { success: false, message: "The sheet is busy. Please try again." };
+  }
+  try {
+    var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+    var invoice = findInvoiceRowForPayments_(spreadsheet, payment.invoiceId);
+    if (!invoice) return { success: false, message: "Invoice not found." };
+    if (!isInvoiceReceivable_(invoice.status)) {
+      return {
+        success: false,
+        message: "Payments can only be recorded on issued invoices (status: " + invoice.status + ").",
+      };
+    }
+
+    var currency = String(payment.currency || invoice.currency).trim();
+    if (currency !== String(invoice.currency).trim()) {
+      return {
+        success: false,
+        message:
+          "Payment currency must match the invoice currency (" +
+          invoice.currency +
+          ").",
+      };
+    }
+
+    var details = buildInvoicePaymentDetails_(spreadsheet, invoice);
+    var outstanding = parseFloat(details.invoice.outstanding) || 0;
+    if (amount - outstanding > INVOICE_PAYMENT_EPSILON) {
+      return {
+        success: false,
+        message:
+          "Payment exceeds the outstanding balance of " +
+          outstanding.toFixed(2) +
+          " " +
+          invoice.currency +
+          ".",
+      };
+    }
+
+    var sheet = getInvoicePaymentsSheet_(spreadsheet);
+    var headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    var colMap = buildColumnMap(headers);
+    var rowData = new Array(headers.length).fill("");
+    rowData[colMap["ID"]] = Utilities.getUuid();
+    rowData[colMap["Invoice ID"]] = invoice.id;
+    rowData[colMap["Payment Date"]] = paymentDate;
+    rowData[colMap["Amount"]] = amount.toFixed(2);
+    rowData[colMap["Currency"]] = currency;
+    rowData[colMap["Bank Reference"]] = String(payment.bankReference || "").trim();
+    rowData[colMap["Comment"]] = String(payment.comment || "").trim();
+    setAuditValues_(rowData, colMap);
+    sheet.appendRow(rowData);
+    SpreadsheetApp.flush();
+
+    var result = buildInvoicePaymentDetails_(spreadsheet, invoice);
+    syncInvoicePaidStatus_(
+      spreadsheet,
+      invoice.id,
+      result.invoice.paymentStatus === INVOICE_PAYMENT_STATUS_PAID
+    );
+    CacheService.getScriptCache().remove("invoiceList");
+    return result;
+  } catch (error) {
+    console.error("Error adding invoice payment:", error);
+    return { success: false, message: error.message };
+  } finally {
+    try {
+      lock.releaseLock();
+    } catch (error) {
+      console.warn("Could not release invoice payments lock:", error);
+    }
+  }
+}
+
+/**
+ * Delete a recorded payment
+ * @param {string} paymentId - Payment ID
+ * @returns {Object} Same shape as getInvoicePaymentsFromData, or { success: false, message }
+ */
+function deleteInvoicePaymentFromData(paymentId) {
+  if (!paymentId) {
+    return { success: false, message: "Invalid payment ID provided" };
+  }
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) {
+    return { success: false, message: "The sheet is busy. Please try again." };
+  }
+  try {
+    var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+    var payment = readInvoicePaymentRows_(spreadsheet).filter(function (p) {
+      return p.id === String(paymentId);
+    })[0];
+    if (!payment) return { success: false, message: "Payment not found." };
+
+    getInvoicePaymentsSheet_(spreadsheet).deleteRow(payment.sheetRow);
+    SpreadsheetApp.flush();
+    CacheService.getScriptCache().remove("invoiceList");
+
+    var invoice = findInvoiceRowForPayments_(spreadsheet, payment.invoiceId);
+    if (!invoice) return { success: true };
+    var result = buildInvoicePaymentDetails_(spreadsheet, invoice);
+    syncInvoicePaidStatus_(
+      spreadsheet,
+      invoice.id,
+      result.invoice.paymentStatus === INVOICE_PAYMENT_STATUS_PAID
+    );
+    return result;
+  } catch (error) {
+    console.error("Error deleting invoice payment:", error);
+    return { success: false, message: error.message };
+  } finally {
+    try {
+      lock.releaseLock();
+    } catch (error) {
+      console.warn("Could not release invoice payments lock:", error);
+    }
+  }
+}
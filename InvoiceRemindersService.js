@@ -0,0 +1,295 @@
+// Overdue invoice reminders, sent by a daily time-driven trigger.
+//
+// "Reminder Schedule" holds the escalation levels (days past the due date)
+// with their subject and message. "Reminder Log" records every reminder, so
+// an invoice gets each level at most once. Only the highest level reached is
+// sent: an invoice found 12 days overdue gets the 10-day reminder, not also
+// the 3-day one.
+
+var INVOICE_REMINDER_SCHEDULE_SHEET = "Reminder Schedule";
+var INVOICE_REMINDER_SCHEDULE_HEADERS = ["Days Overdue", "Subject", "Message"];
+var INVOICE_REMINDER_DEFAULT_SCHEDULE = [
+  [
+    3,
+    "Payment reminder: invoice {Invoice Number}",
+    "According to our records, the invoice below has not been paid yet.",
+  ],
+  [
+    10,
+    "Second reminder: invoice {Invoice Number} is overdue",
+    "We have not yet received payment for the invoice below. Please arrange the payment or let us know if there is an issue.",
+  ],
+  [
+    30,
+    "Final reminder: invoice {Invoice Number} is {Days Overdue} days overdue",
+    "The invoice below is now significantly overdue. Please settle it as soon as possible or contact us to discuss.",
+  ],
+];
+var INVOICE_REMINDER_LOG_SHEET = "Reminder Log";
+var INVOICE_REMINDER_LOG_HEADERS = [
+  "Invoice ID",
+  "Invoice Number",
+  "Project Name",
+  "Reminder Level",
+  "Days Overdue",
+  "Outstanding",
+  "Recipients",
+  "Status",
+  "Sent at",
+];
+var INVOICE_REMINDER_STATUS_SENT = "Sent";
+
+// Create the Reminder Schedule sheet with the default levels, so they can be
+// edited. Only the admin action (installSettingsSheets) calls this.
+function ensureInvoiceReminderScheduleSheet_(spreadsheet) {
+  var sheet = getOrCreateSheet(
+    spreadsheet,
+    INVOICE_REMINDER_SCHEDULE_SHEET,
+    INVOICE_REMINDER_SCHEDULE_HEADERS
+  );
+  if (sheet.getLastRow() < 2) {
+    sheet
+      .getRange(2, 1, INVOICE_REMINDER_DEFAULT_SCHEDULE.length, 3)
+      .setValues(INVOICE_REMINDER_DEFAULT_SCHEDULE);
+  }
+}
+
+// Escalation levels, highest first; none until the sheet is created.
+function getInvoiceReminderSchedule_(spreadsheet) {
+  var values = getSheetValuesIfExists(
+    spreadsheet,
+    INVOICE_REMINDER_SCHEDULE_SHEET
+  );
+  var colMap = buildColumnMap(values[0] || []);
+  var levels = [];
+  for (var i = 1; i < values.length; i++) {
+    var days = parseInt(values[i][colMap["Days Overdue"]], 10);
+    if (!(days > 0)) continue;
+    levels.push({
+      days: days,
+      subject: String(values[i][colMap["Subject"]] || "").trim(),
+      message: String(values[i][colMap["Message"]] || "").trim(),
+    });
+  }
+  levels.sort(function (a, b) {
+    return b.days - a.days;
+  });
+  return levels;
+}
+
+function getInvoiceReminderLogSheet_(spreadsheet) {
+  return getOrCreateSheet(
+    spreadsheet,
+    INVOICE_REMINDER_LOG_SHEET,
+    INVOICE_REMINDER_LOG_HEADERS
+  );
+}
+
+// { invoiceId: { levelDays: true } } for reminders that were actually sent.
+function readSentInvoiceReminders_(spreadsheet) {
+  var values = getInvoiceReminderLogSheet_(spreadsheet)
+    .getDataRange()
+    .getValues();
+  var colMap = buildColumnMap(values[0] || []);
+  var sent = {};
+  for (var i = 1; i < values.length; i++) {
+    if (
+      String(values[i][colMap["Status"]] || "") !== INVOICE_REMINDER_STATUS_SENT
+    ) {
+      continue;
+    }
+    var invoiceId = String(values[i][colMap["Invoice ID"]] || "");
+    var level = parseInt(values[i][colMap["Reminder Level"]], 10);
+    if (!invoiceId || !(level > 0)) continue;
+    if (!sent[invoiceId]) sent[invoiceId] = {};
+    sent[invoiceId][level] = true;
+  }
+  return sent;
+}
+
+function appendInvoiceReminderLog_(spreadsheet, invoice, level, recipients, status) {
+  var sheet = getInvoiceReminderLogSheet_(spreadsheet);
+  var headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  var colMap = buildColumnMap(headers);
+  var row = new Array(headers.length).fill("");
+  row[colMap["Invoice ID"]] = invoice.id;
+  row[colMap["Invoice Number"]] = invoice.invoiceNumber;
+  row[colMap["Project Name"]] = invoice.projectName;
+  row[colMap["Reminder Level"]] = level.days;
+  row[colMap["Days Overdue"]] = invoice.daysOverdue;
+  row[colMap["Outstanding"]] = invoice.outstanding;
+  row[colMap["Recipients"]] = recipients.join(", ");
+  row[colMap["Status"]] = status;
+  row[colMap["Sent at"]] = Utilities.formatDate(
+    new Date(),
+    Session.getScriptTimeZone(),
+    "dd/MM/yyyy HH:mm"
+  );
+  sheet.appendRow(row);
+}
+
+function readOverdueInvoicesForReminders_(spreadsheet) {
+  var sheet = getSheet(spreadsheet, CONFIG.SHEETS.INVOICES);
+  var values = sheet.getDataRange().getValues();
+  var colMap = buildColumnMap(values[0] || []);
+  var paidById = getInvoicePaymentTotalsById_(spreadsheet);
+  var creditedById = getCreditedTotalsByInvoiceId_(spreadsheet);
+  var today = startOfInvoiceDay_();
+  var invoices = [];
+  for (var i = 1; i < values.length; i++) {
+    var row = values[i];
+    var id = String(row[colMap["ID"]] || "");
+    if (!id) continue;
+    if (!isInvoiceReceivable_(getInvoiceStatus_(row, colMap))) continue;
+    var summary = buildInvoicePaymentSummary_(
+      row[colMap["Total"]],
+      row[colMap["Due Date"]],
+      paidById[id] || 0,
+      creditedById[id] || 0,
+      today
+    );
+    if (!(summary.daysOverdue > 0)) continue;
+    invoices.push({
+      id: id,
+      invoiceNumber: String(row[colMap["Invoice Number"]] || ""),
+      projectName: String(row[colMap["Project Name"]] || ""),
+      clientName: String(row[colMap["Client Name"]] || ""),
+      ourCompany: String(row[colMap["Our Company"]] || ""),
+      invoiceDate: formatDate(row[colMap["Invoice Date"]]),
+      dueDate: formatDate(row[colMap["Due Date"]]),
+      total: roundInvoiceAmount_(row[colMap["Total"]]).toFixed(2),
+      currency: String(row[colMap["Currency"]] || ""),
+      pdfUrl: String(row[colMap["PDF Link"]] || ""),
+      outstanding: summary.outstanding,
+      daysOverdue: summary.daysOverdue,
+    });
+  }
+  return invoices;
+}
+
+function sendInvoiceReminderEmail_(invoice, level, mailSettings, recipients) {
+  var values = {
+    "Invoice Number": invoice.invoiceNumber,
+    "Invoice Date": invoice.invoiceDate,
+    "Due Date": invoice.dueDate,
+    Total: invoice.total,
+    Outstanding: invoice.outstanding,
+    Currency: invoice.currency,
+    "Days Overdue": invoice.daysOverdue,
+    "Our Company": invoice.ourCompany,
+    "Client Name": invoice.clientName,
+    "Project Name": invoice.projectName,
+  };
+  var subject = fillInvoiceMailTemplate_(
+    level.subject || "Payment reminder: invoice {Invoice Number}",
+    values
+  );
+  var greeting = "Dear " + (mailSettings.addressTo || "Sir or Madam") + ",";
+  var details =
+    "Invoice: " +
+    invoice.invoiceNumber +
+    "\nInvoice date: " +
+    invoice.invoiceDate +
+    "\nDue date: " +
+    invoice.dueDate +
+    "\nOutstanding: " +
+    invoice.outstanding +
+    " " +
+    invoice.currency +
+    " (" +
+    invoice.daysOverdue +
+    " days overdue)";
+  var closing =
+    "If the payment has already been made, please disregard this message." +
+    "\n\nKind regards,\n" +
+    invoice.ourCompany;
+  var parts = [greeting, fillInvoiceMailTemplate_(level.message, values), details];
+  if (mailSettings.comments) parts.push(mailSettings.comments);
+  parts.push(closing);
+  var plainBody = parts
+    .filter(function (part) {
+      return !!part;
+    })
+    .join("\n\n");
+
+  var options = {
+    to: recipients.to.join(","),
+    subject: subject,
+    body: plainBody,
+    htmlBody: invoiceMailTextToHtml_(plainBody),
+  };
+  if (recipients.cc.length) options.cc = recipients.cc.join(",");
+  var pdf = getInvoiceMailPdfBlob_(invoice.pdfUrl);
+  if (pdf) options.attachments = [pdf];
+  MailApp.sendEmail(options);
+}
+
+/**
+ * Send due reminders for overdue invoices. Entry point of the daily trigger;
+ * being global, it is also callable from the pages, so it is limited to
+ * full-access users (the trigger runs as the admin who installed it).
+ * @returns {Object} { success, sent, skipped: [{ invoiceNumber, reason }] }
+ */
+function sendOverdueInvoiceReminders() {
+  if (!isFullAccessUser(getCurrentUserEmail())) {
+    return { success: false, message: "No permission to send reminders." };
+  }
+  try {
+    var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+    var levels = getInvoiceReminderSchedule_(spreadsheet);
+    if (!levels.length) return { success: true, sent: 0, skipped: [] };
+    var sent = readSentInvoiceReminders_(spreadsheet);
+    var mailSettingsByProject = readClientMailSettingsByProject_();
+    var sentCount = 0;
+    var skipped = [];
+
+    readOverdueInvoicesForReminders_(spreadsheet).forEach(function (invoice) {
+      var level = levels.filter(function (l) {
+        return invoice.daysOverdue >= l.days;
+      })[0];
+      if (!level) return;
+      if (sent[invoice.id] && sent[invoice.id][level.days]) return;
+
+      var mailSettings =
+        mailSettingsByProject[normalizeClientProjectName_(invoice.projectName)];
+      var recipients = buildInvoiceMailRecipients_(mailSettings);
+      if (!recipients.to.length) {
+        skipped.push({
+          invoiceNumber: invoice.invoiceNumber,
+          reason: "No \"Mail to\" address in Clients Information.",
+        });
+        return;
+      }
+
+      try {
+        sendInvoiceReminderEmail_(invoice, level, mailSettings, recipients);
+        appendInvoiceReminderLog_(
+          spreadsheet,
+          invoice,
+          level,
+          recipients.to.concat(recipients.cc),
+          INVOICE_REMINDER_STATUS_SENT
+        );
+        sentCount++;
+      } catch (error) {
+        console.error("Reminder for invoice " + invoice.invoiceNumber + " failed:", error);
+        appendInvoiceReminderLog_(
+          spreadsheet,
+          invoice,
+          level,
+          recipients.to.concat(recipients.cc),
+          "Failed: " + error.message
+        );
+        skipped.push({ invoiceNumber: invoice.invoiceNumber, reason: error.message });
+      }
+    });
+
+    if (skipped.length) {
+      console.warn("Overdue reminders skipped:", JSON.stringify(skipped));
+    }
+    return { success: true, sent: sentCount, skipped: skipped };
+  } catch (error) {
+    console.error("Overdue reminders failed:", error);
+    return { success: false, message: error.message };
+  }
+}
@@ -0,0 +1,233 @@
+// Author notifications of Invoice Requests.
+//
+// When a stage marked "Notify Author" in the Stages sheet is ticked, the
+// person in Created By gets an email with a link to the request and, once it
+// has an invoice, the invoice PDF. Each user can turn a stage off from the
+// Notifications button of the page; those opt-outs are rows of the
+// "Notification Opt-outs" sheet.
+
+var INVOICE_REQUESTS_OPT_OUTS_SHEET = "Notification Opt-outs";
+var INVOICE_REQUESTS_OPT_OUTS_HEADERS = ["Email", "Stage"];
+
+function getInvoiceRequestOptOutsSheet_(spreadsheet) {
+  return getOrCreateSheet(
+    spreadsheet,
+    INVOICE_REQUESTS_OPT_OUTS_SHEET,
+    INVOICE_REQUESTS_OPT_OUTS_HEADERS
+  );
+}
+
+// Stage names one user opted out of.
+function readInvoiceRequestOptOuts_(spreadsheet, email) {
+  var normalizedEmail = String(email || "").trim().toLowerCase();
+  var values = getSheetValuesIfExists(
+    spreadsheet,
+    INVOICE_REQUESTS_OPT_OUTS_SHEET
+  );
+  var colMap = buildColumnMap(values[0] || []);
+  var stageNames = [];
+  for (var i = 1; i < values.length; i++) {
+    var rowEmail = String(values[i][colMap["Email"]] || "")
+      .trim()
+      .toLowerCase();
+    if (rowEmail !== normalizedEmail) continue;
+    stageNames.push(String(values[i][colMap["Stage"]] || "").trim());
+  }
+  return stageNames;
+}
+
+/**
+ * Author notice for a status change, or null when nobody is to be told.
+ * @param {Array} stages - From loadInvoiceRequestStages_
+ * @param {Array} rowValues - Requests row from column A
+ * @param {number} columnOffset - Status column offset
+ * @param {string} oldValue - Checkbox status before the change
+ * @param {string} newValue - Checkbox status after the change
+ * @returns {Object|null} { id, email, stage, project }
+ */
+function getInvoiceRequestAuthorNotice_(
+  stages,
+  rowValues,
+  columnOffset,
+  oldValue,
+  newValue
+) {
+  if (newValue !== "checked" || oldValue === "checked") return null;
+  var stage = stages[columnOffset - INVOICE_REQUESTS_STATUS_FIRST_OFFSET];
+  if (!stage || !stage.notifyAuthor) return null;
+  var start = INVOICE_REQUESTS_FIRST_COLUMN - 1;
+  var email = String(
+    rowValues[start + INVOICE_REQUESTS_CREATED_BY_OFFSET] || ""
+  )
+    .trim()
+    .toLowerCase();
+  // Nobody needs an email about their own tick.
+  if (!email || email === getCurrentUserEmail().trim().toLowerCase()) {
+    return null;
+  }
+  return {
+    id: String(rowValues[0] || "").trim(),
+    email: email,
+    stage: stage.name,
+    project: String(
+      rowValues[start + INVOICE_REQUESTS_PROJECT_OFFSET] || ""
+    ).trim(),
+  };
+}
+
+// Number and PDF link of the invoice linked to a request, if any.
+function getInvoiceRequestInvoiceSummary_(spreadsheet, rowId) {
+  var sheet = spreadsheet.getSheetByName(INVOICE_REQUESTS_SHEET_NAME);
+  var sheetRow = findInvoiceRequestSheetRowsByIds_(sheet, [rowId])[rowId];
+  var invoiceId = sheetRow
+    ? readInvoiceRequestInvoiceIds_(sheet, sheetRow, 1)[0]
+    : "";
+  if (!invoiceId) return null;
+  var found = findDocumentMailRow_(
+    getSheet(getSpreadsheet(CONFIG.SPREADSHEET_ID), CONFIG.SHEETS.INVOICES),
+    invoiceId
+  );
+  if (!found) return null;
+  return {
+    number: String(found.row[found.colMap["Invoice Number"]] || ""),
+    pdfUrl: String(found.row[found.colMap["PDF Link"]] || ""),
+  };
+}
+
+/**
+ * Email the request author. Sent after the script lock is released; failures
+ * are only logged, the status change itself has already been saved.
+ * @param {Spreadsheet} spreadsheet - Invoice Requests file
+ * @param {Object} notice - From getInvoiceRequestAuthorNotice_
+ */
+function sendInvoiceRequestAuthorNotification_(spreadsheet, notice) {
+  try {
+    var optOuts = readInvoiceRequestOptOuts_(spreadsheet, notice.email);
+    if (optOuts.indexOf(notice.stage) !== -1) return;
+    var requestUrl =
+      getInvoiceRequestsPageUrl_() +
+      "&invoiceRequestId=" +
+      encodeURIComponent(notice.id);
+    var invoice = getInvoiceRequestInvoiceSummary_(spreadsheet, notice.id);
+    var paragraph =
+      "Етап «" + notice.stage + "» вашої заявки на інвойс виконано.";
+
+    var plainBody =
+      "Привіт.\n\n" +
+      paragraph +
+      "\n\n" +
+      "Project: " +
+      notice.project +
+      "\n" +
+      "Stage: " +
+      notice.stage +
+      "\n" +
+      (invoice && invoice.number ? "Invoice: " + invoice.number + "\n" : "") +
+      "\n" +
+      "View request: " +
+      requestUrl +
+      (invoice && invoice.pdfUrl ? "\nInvoice PDF: " + invoice.pdfUrl : "") +
+      "\n\nTo stop these emails, use Notifications on the Invoice Requests page.";
+
+    var htmlBody =
+      "<p>Привіт.</p>" +
+      "<p>" +
+      escapeInvoiceRequestHtml_(paragraph) +
+      "</p>" +
+      "<p><b>Project:</b> " +
+      escapeInvoiceRequestHtml_(notice.project) +
+      "<br>" +
+      "<b>Stage:</b> " +
+      escapeInvoiceRequestHtml_(notice.stage) +
+      (invoice && invoice.number
+        ? "<br><b>Invoice:</b> " + escapeInvoiceRequestHtml_(invoice.number)
+        : "") +
+      "</p>" +
+      '<p>View request: <a href="' +
+      escapeInvoiceRequestHtml_(requestUrl) +
+      '">link</a>' +
+      (invoice && invoice.pdfUrl
+        ? '<br>Invoice PDF: <a href="' +
+          escapeInvoiceRequestHtml_(invoice.pdfUrl) +
+          '">link</a>'
+        : "") +
+      "</p>" +
+      '<p style="color:#6c757d">To stop these emails, use Notifications on ' +
+      "the Invoice Requests page.</p>";
+
+    MailApp.sendEmail({
+      to: notice.email,
+      subject: "Invoice request: " + notice.stage + " - " + notice.project,
+      body: plainBody,
+      htmlBody: htmlBody,
+    });
+  } catch (error) {
+    console.error("Invoice request author notification failed:", error);
+  }
+}
+
+/**
+ * Stages that notify the author, with the current user's choice
+ * @returns {Object} { success, stages: [{ name, enabled }] }
+ */
+function getInvoiceRequestAuthorNotificationSettings() {
+  assertInvoiceRequestsAccess_();
+  var spreadsheet = SpreadsheetApp.openById(INVOICE_REQUESTS_SPREADSHEET_ID);
+  var stages = loadInvoiceRequestStages_(spreadsheet);
+  var optOuts = readInvoiceRequestOptOuts_(spreadsheet, getCurrentUserEmail());
+  return {
+    success: true,
+    stages: stages
+      .filter(function (stage) {
+        return stage.notifyAuthor;
+      })
+      .map(function (stage) {
+        return {
+          name: stage.name,
+          enabled: optOuts.indexOf(stage.name) === -1,
+        };
+      }),
+  };
+}
+
+/**
+ * Turn author emails of one stage on or off for the current user
+ * @param {string} stageName - Stage from the Stages sheet
+ * @param {boolean} enabled - False to opt out
+ * @returns {Object} Same as getInvoiceRequestAuthorNotificationSettings
+ */
+function setInvoiceRequestAuthorNotification(stageName, enabled) {
+  assertInvoiceRequestsAccess_();
+  var name = String(stageName || "").trim();
+  var spreadsheet = SpreadsheetApp.openById(INVOICE_REQUESTS_SPREADSHEET_ID);
+  var stages = loadInvoiceRequestStages_(spreadsheet);
+  if (getInvoiceRequestStageOffset_(stages, name) === -1) {
+    return { success: false, message: 'Stage "' + name + '" was not found.' };
+  }
+  var email = getCurrentUserEmail().trim().toLowerCase();
+
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    throw new Error("The sheet is busy. Please try again.");
+  }
+  try {
+    var sheet = getInvoiceRequestOptOutsSheet_(spreadsheet);
+    var values = sheet.getDataRange().getValues();
+    var colMap = buildColumnMap(values[0] || []);
+    for (var i = values.length - 1; i >= 1; i--) {
+      var rowEmail = String(values[i][colMap["Email"]] || "")
+        .trim()
+        .toLowerCase();
+      var rowStage = String(values[i][colMap["Stage"]] || "").trim();
+      if (rowEmail === email && rowStage === name) sheet.deleteRow(i + 1);
+    }
+    if (!enabled) sheet.appendRow([email, name]);
+  } finally {
+    try {
+      lock.releaseLock();
+    } catch (error) {
+      console.warn("Could not release Invoice Requests opt-outs lock:", error);
+    }
+  }
+  return getInvoiceRequestAuthorNotificationSettings();
+}
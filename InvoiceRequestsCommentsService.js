@@ -0,0 +1,296 @@
+// Comment threads of Invoice Requests.
+//
+// Each request has a discussion in the "Comments" sheet of the Invoice
+// Requests file, one row per entry with author and time; the Comment cell of
+// the Requests sheet stays as it is. Writing @name@company.com in a comment
+// emails that person a link to the request, as long as they are an app user
+// (Invoice Requests access or the Lists sheet) or share the domain of the
+// script owner; other addresses are skipped. Full-access users see every
+// thread; limited users only those of their own requests
+// (invoiceRequestRowOwnedByEmail_), the same rows they see in the list.
+
+var INVOICE_REQUESTS_COMMENTS_SHEET = "Comments";
+var INVOICE_REQUESTS_COMMENTS_HEADERS = [
+  "Request ID",
+  "Author",
+  "Email",
+  "Comment",
+  "Created At",
+];
+var INVOICE_REQUESTS_COMMENT_MAX_LENGTH = 5000;
+
+/**
+ * Number of comments per request, for the list payload
+ * @param {Spreadsheet} spreadsheet - Invoice Requests file
+ * @returns {Object} Map of request ID -> count
+ */
+function countInvoiceRequestComments_(spreadsheet) {
+  var counts = {};
+  var sheet = spreadsheet.getSheetByName(INVOICE_REQUESTS_COMMENTS_SHEET);
+  if (!sheet || sheet.getLastRow() < 2) return counts;
+  var values = sheet.getDataRange().getValues();
+  var idColumn = buildColumnMap(values[0] || [])["Request ID"];
+  for (var i = 1; i < values.length; i++) {
+    var id = String(values[i][idColumn] || "").trim();
+    if (id) counts[id] = (counts[id] || 0) + 1;
+  }
+  return counts;
+}
+
+function readInvoiceRequestComments_(spreadsheet, rowId) {
+  var sheet = spreadsheet.getSheetByName(INVOICE_REQUESTS_COMMENTS_SHEET);
+  var values = sheet ? sheet.getDataRange().getValues() : [];
+  var colMap = buildColumnMap(values[0] || []);
+  var comments = [];
+  for (var i = 1; i < values.length; i++) {
+    var row = values[i];
+    if (String(row[colMap["Request ID"]] || "").trim() !== rowId) continue;
+    var createdAtMs = parseInvoiceRequestTimestamp_(row[colMap["Created At"]]);
+    comments.push({
+      author: String(row[colMap["Author"]] || ""),
+      email: String(row[colMap["Email"]] || ""),
+      text: String(row[colMap["Comment"]] || ""),
+      createdAt: createdAtMs
+        ? formatInvoiceRequestTimestamp_(new Date(createdAtMs))
+        : "",
+      createdAtMs: createdAtMs,
+    });
+  }
+  comments.sort(function (left, right) {
+    return left.createdAtMs - right.createdAtMs;
+  });
+  return comments;
+}
+
+// Requests row of a thread the current user may read and write, or null.
+function getInvoiceRequestCommentRow_(spreadsheet, rowId) {
+  var sheet = spreadsheet.getSheetByName(INVOICE_REQUESTS_SHEET_NAME);
+  if (!sheet) throw new Error('Sheet "Requests" was not found.');
+  var sheetRow = findInvoiceRequestSheetRowsByIds_(sheet, [rowId])[rowId];
+  if (!sheetRow) return null;
+  var rowValues = sheet
+    .getRange(sheetRow, 1, 1, INVOICE_REQUESTS_LAST_COLUMN)
+    .getValues()[0];
+  if (
+    getInvoiceRequestAccessMode_() === "limited" &&
+    !invoiceRequestRowOwnedByEmail_(rowValues, getCurrentUserEmail())
+  ) {
+    throw new Error("No permission to comment on this invoice request.");
+  }
+  return rowValues;
+}
+
+function invoiceRequestCommentProject_(rowValues) {
+  var start = INVOICE_REQUESTS_FIRST_COLUMN - 1;
+  return String(
+    rowValues[start + INVOICE_REQUESTS_PROJECT_OFFSET] || ""
+  ).trim();
+}
+
+// Unique emails written as @email in a comment.
+function getInvoiceRequestCommentMentions_(text) {
+  var mentions = [];
+  var pattern = /(^|[^\w.+-])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+  var match;
+  while ((match = pattern.exec(String(text || "")))) {
+    var email = match[2].replace(/\.+$/, "").toLowerCase();
+    if (mentions.indexOf(email) === -1) mentions.push(email);
+  }
+  return mentions;
+}
+
+// Whether a mentioned email may be notified: an Invoice Requests user, a
+// person of the Lists sheet or an address on the script owner's domain.
+function isInvoiceRequestMentionAllowed_(email, lists) {
+  if (lists.authorByEmail.hasOwnProperty(email)) return true;
+  if (lists.notificationEmails.indexOf(email) !== -1) return true;
+  var ownerEmail = String(Session.getEffectiveUser().getEmail() || "")
+    .trim()
+    .toLowerCase();
+  var ownerDomain = ownerEmail.split("@")[1] || "";
+  if (ownerDomain && email.split("@")[1] === ownerDomain) return true;
+  if (isFullAccessUser(email)) return true;
+  var ac = CONFIG.ACCESS_CONTROL;
+  var sheetName = ac.SECTION_SHEETS[getPageSection("InvoiceRequests")];
+  if (!sheetName) return false;
+  var sectionEmails = getEmailsFromAccessSheet(ac.SPREADSHEET_ID, sheetName);
+  return sectionEmails.indexOf(email) !== -1;
+}
+
+function sendInvoiceRequestMentionNotification_(recipients, mention) {
+  try {
+    var requestUrl =
+      getInvoiceRequestsPageUrl_() +
+      "&invoiceRequestId=" +
+      encodeURIComponent(mention.id);
+    var paragraph = "Вас згадали в коментарі до заявки на інвойс.";
+
+    var plainBody =
+      "Привіт.\n\n" +
+      paragraph +
+      "\n\n" +
+      "Project: " +
+      mention.project +
+      "\n" +
+      "Author: " +
+      mention.author +
+      "\n\n" +
+      mention.text +
+      "\n\n" +
+      "View request: " +
+      requestUrl;
+
+    var htmlBody =
+      "<p>Привіт.</p>" +
+      "<p>" +
+      escapeInvoiceRequestHtml_(paragraph) +
+      "</p>" +
+      "<p><b>Project:</b> " +
+      escapeInvoiceRequestHtml_(mention.project) +
+      "<br>" +
+      "<b>Author:</b> " +
+      escapeInvoiceRequestHtml_(mention.author) +
+      "</p>" +
+      '<blockquote style="white-space:pre-wrap">' +
+      escapeInvoiceRequestHtml_(mention.text) +
+      "</blockquote>" +
+      '<p>View request: <a href="' +
+      escapeInvoiceRequestHtml_(requestUrl) +
+      '">link</a></p>';
+
+    MailApp.sendEmail({
+      to: recipients[0],
+      bcc: recipients.slice(1).join(","),
+      subject: "Mentioned on invoice request - " + mention.project,
+      body: plainBody,
+      htmlBody: htmlBody,
+    });
+  } catch (error) {
+    console.error("Invoice request mention notification failed:", error);
+  }
+}
+
+/**
+ * Comment thread of one request for the side panel
+ * @param {string} rowId - Request ID (column A)
+ * @returns {Object} { success, project, comments: [{ author, email, text,
+ *   createdAt, createdAtMs }] }
+ */
+function getInvoiceRequestComments(rowId) {
+  assertInvoiceRequestsAccess_();
+  var id = String(rowId || "").trim();
+  var spreadsheet = SpreadsheetApp.openById(INVOICE_REQUESTS_SPREADSHEET_ID);
+  loadInvoiceRequestStages_(spreadsheet);
+  var rowValues = getInvoiceRequestCommentRow_(spreadsheet, id);
+  if (!rowValues) {
+    return { success: false, message: "This row was removed. Reload the page." };
+  }
+  return {
+    success: true,
+    project: invoiceRequestCommentProject_(rowValues),
+    comments: readInvoiceRequestComments_(spreadsheet, id),
+  };
+}
+
+/**
+ * Add a comment to a request and email the people it mentions
+ * @param {string} rowId - Request ID (column A)
+ * @param {string} text - Comment text
+ * @returns {Object} Same as getInvoiceRequestComments, plus mentioned: [email],
+ *   skippedMentions: [email] and mentionMessage when some were not emailed
+ */
+function addInvoiceRequestComment(rowId, text) {
+  assertInvoiceRequestsAccess_();
+  var id = String(rowId || "").trim();
+  var comment = String(text || "").trim();
+  if (!comment) {
+    return {
+      success: false,
+      validation: true,
+      message: "Write a comment first.",
+    };
+  }
+  if (comment.length > INVOICE_REQUESTS_COMMENT_MAX_LENGTH) {
+    return {
+      success: false,
+      validation: true,
+      message:
+        "Comments are limited to " +
+        INVOICE_REQUESTS_COMMENT_MAX_LENGTH +
+        " characters.",
+    };
+  }
+
+  var spreadsheet = SpreadsheetApp.openById(INVOICE_REQUESTS_SPREADSHEET_ID);
+  loadInvoiceRequestStages_(spreadsheet);
+  var email = getCurrentUserEmail();
+  var author = resolveInvoiceRequestAuthor_(spreadsheet, email);
+  var project = "";
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    throw new Error("The sheet is busy. Please try again.");
+  }
+  try {
+    var rowValues = getInvoiceRequestCommentRow_(spreadsheet, id);
+    if (!rowValues) {
+      return {
+        success: false,
+        message: "This row was removed. Reload the page.",
+      };
+    }
+    project = invoiceRequestCommentProject_(rowValues);
+    var sheet = getOrCreateSheet(
+      spreadsheet,
+      INVOICE_REQUESTS_COMMENTS_SHEET,
+      INVOICE_REQUESTS_COMMENTS_HEADERS
+    );
+    var range = sheet.getRange(
+      sheet.getLastRow() + 1,
+      1,
+      1,
+      INVOICE_REQUESTS_COMMENTS_HEADERS.length
+    );
+    // Plain text, so a comment starting with "=" is not read as a formula.
+    range.offset(0, 3, 1, 1).setNumberFormat("@");
+    range.setValues([[id, author, email, comment, new Date()]]);
+    SpreadsheetApp.flush();
+    invalidateInvoiceRequestsListCache_();
+  } finally {
+    try {
+      lock.releaseLock();
+    } catch (error) {
+      console.warn("Could not release Invoice Requests comments lock:", error);
+    }
+  }
+
+  var lists = getInvoiceRequestListsLookup_(spreadsheet);
+  var mentioned = [];
+  var skippedMentions = [];
+  getInvoiceRequestCommentMentions_(comment).forEach(function (mention) {
+    if (mention === email) return;
+    if (isInvoiceRequestMentionAllowed_(mention, lists)) {
+      mentioned.push(mention);
+    } else {
+      skippedMentions.push(mention);
+    }
+  });
+  if (mentioned.length) {
+    sendInvoiceRequestMentionNotification_(mentioned, {
+      id: id,
+      project: project,
+      author: author,
+      text: comment,
+    });
+  }
+  return {
+    success: true,
+    project: project,
+    comments: readInvoiceRequestComments_(spreadsheet, id),
+    mentioned: mentioned,
+    skippedMentions: skippedMentions,
+    mentionMessage: skippedMentions.length
+      ? "Comment saved. Not emailed (not an app user): " +
+        skippedMentions.join(", ")
+      : "",
+  };
+}
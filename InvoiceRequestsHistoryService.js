@@ -0,0 +1,135 @@
+// Status history of Invoice Requests.
+//
+// Every change of a status checkbox appends one row to the "Status Log"
+// sheet of the Invoice Requests file: request ID, status column, old and new
+// value, user and time. Log rows are never edited or removed, so the history
+// also shows how long each request sat at each stage.
+
+var INVOICE_REQUESTS_STATUS_LOG_SHEET = "Status Log";
+var INVOICE_REQUESTS_STATUS_LOG_HEADERS = [
+  "Request ID",
+  "Column",
+  "Status",
+  "Old Value",
+  "New Value",
+  "Changed By",
+  "Changed At",
+];
+
+function invoiceRequestStatusColumnLetter_(columnOffset) {
+  var column = sheetColumnForInvoiceRequestOffset_(columnOffset);
+  var letter = "";
+  while (column > 0) {
+    letter = String.fromCharCode(65 + ((column - 1) % 26)) + letter;
+    column = Math.floor((column - 1) / 26);
+  }
+  return letter;
+}
+
+/**
+ * Append status changes to the log. Callers hold the script lock.
+ * @param {Spreadsheet} spreadsheet - Invoice Requests file
+ * @param {Array} changes - [{ id, columnOffset, oldValue, newValue }] with
+ *   checkbox statuses ("checked", "unchecked", "notApplicable")
+ */
+function appendInvoiceRequestStatusLog_(spreadsheet, changes) {
+  var entries = (changes || []).filter(function (change) {
+    return change.oldValue !== change.newValue;
+  });
+  if (!entries.length) return;
+
+  var headers = spreadsheet
+    .getSheetByName(INVOICE_REQUESTS_SHEET_NAME)
+    .getRange(
+      1,
+      INVOICE_REQUESTS_FIRST_COLUMN,
+      1,
+      INVOICE_REQUESTS_COLUMN_COUNT
+    )
+    .getDisplayValues()[0];
+  var email = getCurrentUserEmail();
+  var changedAt = new Date();
+  var rows = entries.map(function (change) {
+    return [
+      change.id,
+      invoiceRequestStatusColumnLetter_(change.columnOffset),
+      String(headers[change.columnOffset] || "").trim(),
+      change.oldValue,
+      change.newValue,
+      email,
+      changedAt,
+    ];
+  });
+  var log = getOrCreateSheet(
+    spreadsheet,
+    INVOICE_REQUESTS_STATUS_LOG_SHEET,
+    INVOICE_REQUESTS_STATUS_LOG_HEADERS
+  );
+  log
+    .getRange(log.getLastRow() + 1, 1, rows.length, rows[0].length)
+    .setValues(rows);
+}
+
+/**
+ * Status history of one request for the side panel
+ * @param {string} rowId - Request ID (column A)
+ * @returns {Object} { success, project, createdAt, createdAtMs, entries:
+ *   [{ column, status, oldValue, newValue, changedBy, changedAt, changedAtMs }] }
+ */
+function getInvoiceRequestStatusHistory(rowId) {
+  assertInvoiceRequestsAccess_();
+  if (getInvoiceRequestAccessMode_() === "limited") {
+    throw new Error("No permission to view the status history.");
+  }
+  var id = String(rowId || "").trim();
+  var spreadsheet = SpreadsheetApp.openById(INVOICE_REQUESTS_SPREADSHEET_ID);
+  loadInvoiceRequestStages_(spreadsheet);
+  var sheet = spreadsheet.getSheetByName(INVOICE_REQUESTS_SHEET_NAME);
+  var sheetRow = findInvoiceRequestSheetRowsByIds_(sheet, [id])[id];
+  if (!sheetRow) {
+    return { success: false, message: "This row was removed. Reload the page." };
+  }
+  var rowValues = sheet
+    .getRange(sheetRow, 1, 1, INVOICE_REQUESTS_LAST_COLUMN)
+    .getValues()[0];
+  var start = INVOICE_REQUESTS_FIRST_COLUMN - 1;
+  var createdAtMs = parseInvoiceRequestTimestamp_(
+    rowValues[start + INVOICE_REQUESTS_CREATED_AT_OFFSET]
+  );
+
+  var entries = [];
+  var log = spreadsheet.getSheetByName(INVOICE_REQUESTS_STATUS_LOG_SHEET);
+  var values = log ? log.getDataRange().getValues() : [];
+  var colMap = buildColumnMap(values[0] || []);
+  for (var i = 1; i < values.length; i++) {
+    var row = values[i];
+    if (String(row[colMap["Request ID"]] || "").trim() !== id) continue;
+    var changedAtMs = parseInvoiceRequestTimestamp_(row[colMap["Changed At"]]);
+    entries.push({
+      column: String(row[colMap["Column"]] || ""),
+      status: String(row[colMap["Status"]] || ""),
+      oldValue: String(row[colMap["Old Value"]] || ""),
+      newValue: String(row[colMap["New Value"]] || ""),
+      changedBy: String(row[colMap["Changed By"]] || ""),
+      changedAt: changedAtMs
+        ? formatInvoiceRequestTimestamp_(new Date(changedAtMs))
+        : "",
+      changedAtMs: changedAtMs,
+    });
+  }
+  entries.sort(function (left, right) {
+    return left.changedAtMs - right.changedAtMs;
+  });
+
+  return {
+    success: true,
+    project: String(
+      rowValues[start + INVOICE_REQUESTS_PROJECT_OFFSET] || ""
+    ).trim(),
+    createdAt: createdAtMs
+      ? formatInvoiceRequestTimestamp_(new Date(createdAtMs))
+      : "",
+    createdAtMs: createdAtMs,
+    entries: entries,
+  };
+}
@@ -6,26 +6,49 @@ var INVOICE_REQUESTS_SHEET_NAME = "Requests";
 var INVOICE_REQUESTS_INFORMATION_SHEET = "Information";
 var INVOICE_REQUESTS_LISTS_SHEET = "Lists";
 var INVOICE_REQUESTS_FIRST_COLUMN = 2; // B
-var INVOICE_REQUESTS_COLUMN_COUNT = 18; // B:S
-var INVOICE_REQUESTS_LAST_COLUMN = 19; // S
 var INVOICE_REQUESTS_STATUS_FIRST_OFFSET = 4; // F
-var INVOICE_REQUESTS_STATUS_COUNT = 8; // F:M
 var INVOICE_REQUESTS_PROJECT_OFFSET = 0; // B
 var INVOICE_REQUESTS_DETAILS_OFFSET = 1; // C
 var INVOICE_REQUESTS_COMMENT_OFFSET = 2; // D
 var INVOICE_REQUESTS_AUTHOR_OFFSET = 3; // E
+var INVOICE_REQUESTS_TRAILING_COLUMN_COUNT = 6; // Rate file .. Edited at
+// The status columns follow the Stages sheet (InvoiceRequestsStagesService.js),
+// so everything after them moves with the stage count. The values below are
+// the original eight-stage layout (F:M); setInvoiceRequestStageCount_ updates them.
+var INVOICE_REQUESTS_STATUS_COUNT = 8; // F:M
+var INVOICE_REQUESTS_COLUMN_COUNT = 18; // B:S
+var INVOICE_REQUESTS_LAST_COLUMN = 19; // S
 var INVOICE_REQUESTS_RATE_FILE_OFFSET = 12; // N
 var INVOICE_REQUESTS_CLIENT_FOLDER_OFFSET = 13; // O
 var INVOICE_REQUESTS_CREATED_BY_OFFSET = 14; // P
 var INVOICE_REQUESTS_CREATED_AT_OFFSET = 15; // Q
 var INVOICE_REQUESTS_EDITED_BY_OFFSET = 16; // R
 var INVOICE_REQUESTS_EDITED_AT_OFFSET = 17; // S
-var INVOICE_REQUESTS_TRAILING_COLUMN_COUNT = 6; // N:S
+// Linked invoice, outside the grid so the page columns are unchanged.
+var INVOICE_REQUESTS_INVOICE_ID_COLUMN = 20; // T
+var INVOICE_REQUESTS_INVOICE_ID_HEADER = "Invoice ID";
+// Stage ticked when an invoice is created from the request.
+var INVOICE_REQUESTS_INVOICE_STAGE = "Инв";
 // Stored in the status cell. No background color is used for N/A.
 var INVOICE_REQUESTS_NOT_APPLICABLE = "✕";
 var INVOICE_REQUESTS_LIST_CACHE_KEY = "invoiceRequestsList";
 var INVOICE_REQUESTS_LEGACY_NOT_APPLICABLE = "⊟";
 
+function setInvoiceRequestStageCount_(stageCount) {
+  var trailing = INVOICE_REQUESTS_STATUS_FIRST_OFFSET + stageCount;
+  INVOICE_REQUESTS_STATUS_COUNT = stageCount;
+  INVOICE_REQUESTS_RATE_FILE_OFFSET = trailing;
+  INVOICE_REQUESTS_CLIENT_FOLDER_OFFSET = trailing + 1;
+  INVOICE_REQUESTS_CREATED_BY_OFFSET = trailing + 2;
+  INVOICE_REQUESTS_CREATED_AT_OFFSET = trailing + 3;
+  INVOICE_REQUESTS_EDITED_BY_OFFSET = trailing + 4;
+  INVOICE_REQUESTS_EDITED_AT_OFFSET = trailing + 5;
+  INVOICE_REQUESTS_COLUMN_COUNT = trailing + INVOICE_REQUESTS_TRAILING_COLUMN_COUNT;
+  INVOICE_REQUESTS_LAST_COLUMN =
+    INVOICE_REQUESTS_FIRST_COLUMN + INVOICE_REQUESTS_COLUMN_COUNT - 1;
+  INVOICE_REQUESTS_INVOICE_ID_COLUMN = INVOICE_REQUESTS_LAST_COLUMN + 1;
+}
+
 function isInvoiceRequestStatusColumn_(columnOffset) {
   return (
     columnOffset >= INVOICE_REQUESTS_STATUS_FIRST_OFFSET &&
@@ -170,6 +193,19 @@ function resetInvoiceRequestStatuses_(sheet, sheetRow) {
   statusRange.setBackground(null);
 }
 
+// Column T values of rowCount rows from firstRow; empty when there is no column T.
+function readInvoiceRequestInvoiceIds_(sheet, firstRow, rowCount) {
+  if (rowCount < 1 || sheet.getMaxColumns() < INVOICE_REQUESTS_INVOICE_ID_COLUMN) {
+    return [];
+  }
+  return sheet
+    .getRange(firstRow, INVOICE_REQUESTS_INVOICE_ID_COLUMN, rowCount, 1)
+    .getValues()
+    .map(function (row) {
+      return String(row[0] || "").trim();
+    });
+}
+
 // Projects list for dropdowns / validation. Does not read rate or folder links.
 function getInvoiceRequestProjects_(spreadsheet) {
   var sheet = spreadsheet.getSheetByName(
@@ -544,6 +580,7 @@ function invoiceRequestPayloadRowOwnedByEmail_(row, email) {
 }
 
 function buildInvoiceRequestsPayload_(spreadsheet, projectsOrLookup) {
+  var stages = loadInvoiceRequestStages_(spreadsheet);
   var accessMode = getInvoiceRequestAccessMode_();
   var email = getCurrentUserEmail();
   var cached = getCachedJson_(INVOICE_REQUESTS_LIST_CACHE_KEY);
@@ -569,6 +606,7 @@ function buildInvoiceRequestsPayload_(spreadsheet, projectsOrLookup) {
       return invoiceRequestPayloadRowOwnedByEmail_(row, email);
     });
   }
+  if (accessMode === "full") annotateInvoiceRequestSla_(rows, stages);
 
   return {
     headers: base.headers || [],
@@ -578,6 +616,7 @@ function buildInvoiceRequestsPayload_(spreadsheet, projectsOrLookup) {
     showStatusColumns: accessMode === "full",
     showAuthorColumn: accessMode === "full",
     showClientFolderColumn: accessMode === "full",
+    stages: serializeInvoiceRequestStages_(stages),
     fileUpdatedAt: getInvoiceRequestsFileUpdatedAt_(),
   };
 }
@@ -627,6 +666,8 @@ function readInvoiceRequestsSheetPayload_(spreadsheet, projectsOrLookup) {
   );
   var values = range.getValues();
   var displayValues = range.getDisplayValues();
+  var invoiceIds = readInvoiceRequestInvoiceIds_(sheet, 1, lastRow);
+  var commentCounts = countInvoiceRequestComments_(spreadsheet);
   var headers = displayValues[0].slice(
     INVOICE_REQUESTS_FIRST_COLUMN - 1,
     INVOICE_REQUESTS_FIRST_COLUMN -
@@ -704,6 +745,8 @@ function readInvoiceRequestsSheetPayload_(spreadsheet, projectsOrLookup) {
         values[rowIndex][editedAtColumn],
         displayValues[rowIndex][editedAtColumn]
       ),
+      invoiceId: invoiceIds[rowIndex] || "",
+      commentCount: commentCounts[rowId] || 0,
     });
   }
 
@@ -747,9 +790,12 @@ function writeInvoiceRequestStatus_(range, status) {
 /**
  * Immediate single-checkbox save (finance status columns).
  * Conflict-checks only that cell; does not rebuild the full list.
+ * change.stage is the stage name the page showed for the column.
  */
 function saveInvoiceRequestStatusCell(change) {
   assertInvoiceRequestsAccess_();
+  var spreadsheet = SpreadsheetApp.openById(INVOICE_REQUESTS_SPREADSHEET_ID);
+  var stages = loadInvoiceRequestStages_(spreadsheet);
   change = change || {};
   var rowId = String(change.id || "").trim();
   var columnOffset = Number(change.columnOffset);
@@ -783,10 +829,8 @@ function saveInvoiceRequestStatusCell(change) {
     throw new Error("The sheet is busy. Please try again.");
   }
 
+  var authorNotice = null;
   try {
-    var spreadsheet = SpreadsheetApp.openById(
-      INVOICE_REQUESTS_SPREADSHEET_ID
-    );
     var sheet = spreadsheet.getSheetByName(INVOICE_REQUESTS_SHEET_NAME);
     if (!sheet) throw new Error('Sheet "Requests" was not found.');
 
@@ -803,6 +847,18 @@ function saveInvoiceRequestStatusCell(change) {
     }
 
     var sheetColumn = sheetColumnForInvoiceRequestOffset_(columnOffset);
+    // The page sends the stage it showed; columns moved since it loaded
+    // would otherwise make the offset tick a different stage.
+    var columnHeader = String(
+      sheet.getRange(1, sheetColumn).getDisplayValue() || ""
+    ).trim();
+    if (String(change.stage || "").trim() !== columnHeader) {
+      return {
+        success: false,
+        message: "The status columns have changed. Reload the page.",
+        fileUpdatedAt: fileUpdatedAt,
+      };
+    }
     var cellRange = sheet.getRange(sheetRow, sheetColumn);
     var currentRaw = cellRange.getValue();
     var currentToken = getInvoiceRequestOriginalToken_(
@@ -827,9 +883,42 @@ function saveInvoiceRequestStatusCell(change) {
       };
     }
 
+    var rowValues = sheet
+      .getRange(sheetRow, 1, 1, INVOICE_REQUESTS_LAST_COLUMN)
+      .getValues()[0];
+    var stageProblem = checkInvoiceRequestStageTick_(
+      stages,
+      rowValues,
+      columnOffset,
+      nextValue,
+      getCurrentUserEmail()
+    );
+    if (stageProblem) {
+      return {
+        success: false,
+        message: stageProblem,
+        fileUpdatedAt: fileUpdatedAt,
+      };
+    }
+
     writeInvoiceRequestStatus_(cellRange, nextValue);
+    appendInvoiceRequestStatusLog_(spreadsheet, [
+      {
+        id: rowId,
+        columnOffset: columnOffset,
+        oldValue: currentStatus,
+        newValue: nextValue,
+      },
+    ]);
     SpreadsheetApp.flush();
     invalidateInvoiceRequestsListCache_();
+    authorNotice = getInvoiceRequestAuthorNotice_(
+      stages,
+      rowValues,
+      columnOffset,
+      currentStatus,
+      nextValue
+    );
 
     return {
       success: true,
@@ -850,6 +939,9 @@ function saveInvoiceRequestStatusCell(change) {
     } catch (error) {
       console.warn("Could not release Invoice Requests status lock:", error);
     }
+    if (authorNotice) {
+      sendInvoiceRequestAuthorNotification_(spreadsheet, authorNotice);
+    }
   }
 }
 
@@ -867,6 +959,8 @@ function createInvoiceRequest(data) {
     };
   }
 
+  var spreadsheet = SpreadsheetApp.openById(INVOICE_REQUESTS_SPREADSHEET_ID);
+  loadInvoiceRequestStages_(spreadsheet);
   var lock = LockService.getScriptLock();
   if (!lock.tryLock(30000)) {
     throw new Error("The sheet is busy. Please try saving again.");
@@ -875,9 +969,6 @@ function createInvoiceRequest(data) {
   var sheet = null;
   var newRow = -1;
   try {
-    var spreadsheet = SpreadsheetApp.openById(
-      INVOICE_REQUESTS_SPREADSHEET_ID
-    );
     var informationLookup = getInvoiceRequestInformationLookup_(
       spreadsheet
     );
@@ -939,7 +1030,7 @@ function createInvoiceRequest(data) {
       .getRange(newRow, 1, 1, 5)
       .setValues([[newId, project, details, comment, author]]);
 
-    // Processing statuses F:M belong to the person handling the request.
+    // Processing statuses belong to the person handling the request.
     // A newly submitted request must leave them completely empty.
     var statusRange = sheet.getRange(
       newRow,
@@ -1018,6 +1109,7 @@ function createInvoiceRequest(data) {
       showStatusColumns: payload.showStatusColumns,
       showAuthorColumn: payload.showAuthorColumn,
       showClientFolderColumn: payload.showClientFolderColumn,
+      stages: payload.stages,
       // Sent by a separate client call so the UI is not blocked on MailApp.
       notifications: [
         {
@@ -1076,7 +1168,12 @@ function findInvoiceRequestSheetRowsByIds_(sheet, rowIds) {
   return map;
 }
 
-function buildInvoiceRequestRowPayloadFromSheet_(sheet, sheetRow, rowId) {
+function buildInvoiceRequestRowPayloadFromSheet_(
+  sheet,
+  sheetRow,
+  rowId,
+  commentCounts
+) {
   var range = sheet.getRange(sheetRow, 1, 1, INVOICE_REQUESTS_LAST_COLUMN);
   var valuesRow = range.getValues()[0];
   var displayRow = range.getDisplayValues()[0];
@@ -1139,9 +1236,260 @@ function buildInvoiceRequestRowPayloadFromSheet_(sheet, sheetRow, rowId) {
       valuesRow[editedAtColumn],
       displayRow[editedAtColumn]
     ),
+    invoiceId: readInvoiceRequestInvoiceIds_(sheet, sheetRow, 1)[0] || "",
+    commentCount: (commentCounts || {})[String(rowId)] || 0,
   };
 }
 
+/**
+ * Request shown on InvoiceGenerator when an invoice is created from it
+ * @param {string} rowId - Request ID (column A)
+ * @returns {Object} { success, request: { id, project, details, comment,
+ *   invoiceId, invoiceNumber } }; invoiceId only while that invoice is not void
+ */
+function getInvoiceRequestForInvoice(rowId) {
+  assertInvoiceRequestsAccess_();
+  if (!isInvoiceRequestsFullAccess()) {
+    return { success: false, message: "No permission to create invoices from requests." };
+  }
+  var spreadsheet = SpreadsheetApp.openById(INVOICE_REQUESTS_SPREADSHEET_ID);
+  loadInvoiceRequestStages_(spreadsheet);
+  var sheet = spreadsheet.getSheetByName(INVOICE_REQUESTS_SHEET_NAME);
+  if (!sheet) throw new Error('Sheet "Requests" was not found.');
+  var id = String(rowId || "").trim();
+  var sheetRow = findInvoiceRequestSheetRowsByIds_(sheet, [id])[id];
+  if (!sheetRow) {
+    return { success: false, message: "This invoice request was not found." };
+  }
+  var cells = sheet
+    .getRange(
+      sheetRow,
+      INVOICE_REQUESTS_FIRST_COLUMN,
+      1,
+      INVOICE_REQUESTS_COMMENT_OFFSET + 1
+    )
+    .getDisplayValues()[0];
+  var linked = getInvoiceRequestLinkedInvoice_(
+    readInvoiceRequestInvoiceIds_(sheet, sheetRow, 1)[0] || ""
+  );
+  return {
+    success: true,
+    request: {
+      id: id,
+      project: cells[INVOICE_REQUESTS_PROJECT_OFFSET],
+      details: cells[INVOICE_REQUESTS_DETAILS_OFFSET],
+      comment: cells[INVOICE_REQUESTS_COMMENT_OFFSET],
+      invoiceId: linked ? linked.id : "",
+      invoiceNumber: linked ? String(linked.invoiceNumber) : "",
+    },
+  };
+}
+
+// Invoice linked to a request that still counts: not deleted and not void.
+function getInvoiceRequestLinkedInvoice_(invoiceId) {
+  if (!invoiceId) return null;
+  var invoice = findInvoiceRowForPayments_(
+    getSpreadsheet(CONFIG.SPREADSHEET_ID),
+    invoiceId
+  );
+  return invoice && !isInvoiceVoid_(invoice.status) ? invoice : null;
+}
+
+function buildInvoiceRequestLinkedMessage_(invoice) {
+  return (
+    "The invoice request is already linked to invoice " +
+    (invoice.invoiceNumber || invoice.id) +
+    " (" +
+    invoice.status +
+    "). Void or delete that invoice first."
+  );
+}
+
+/**
+ * Reason an invoice cannot be created from a request, checked before saving
+ * @param {string} rowId - Request ID (column A)
+ * @returns {string} Empty when the request can be linked
+ */
+function getInvoiceRequestLinkProblem_(rowId) {
+  if (!isInvoiceRequestsFullAccess()) {
+    return "No permission to create invoices from requests.";
+  }
+  var spreadsheet = SpreadsheetApp.openById(INVOICE_REQUESTS_SPREADSHEET_ID);
+  loadInvoiceRequestStages_(spreadsheet);
+  var sheet = spreadsheet.getSheetByName(INVOICE_REQUESTS_SHEET_NAME);
+  if (!sheet) return 'Sheet "Requests" was not found.';
+  var id = String(rowId || "").trim();
+  var sheetRow = findInvoiceRequestSheetRowsByIds_(sheet, [id])[id];
+  if (!sheetRow) return "This invoice request was not found.";
+  var linked = getInvoiceRequestLinkedInvoice_(
+    readInvoiceRequestInvoiceIds_(sheet, sheetRow, 1)[0] || ""
+  );
+  return linked ? buildInvoiceRequestLinkedMessage_(linked) : "";
+}
+
+/**
+ * Link a request to the invoice created from it and tick its invoice status.
+ * Called after the invoice is saved, so it reports problems instead of throwing.
+ * @param {string} rowId - Request ID (column A)
+ * @param {string} invoiceId - ID of the new invoice
+ * @returns {Object} { success, message? }
+ */
+function linkInvoiceRequestToInvoice_(rowId, invoiceId) {
+  try {
+    if (!isInvoiceRequestsFullAccess()) {
+      return { success: false, message: "No permission to update invoice requests." };
+    }
+    var spreadsheet = SpreadsheetApp.openById(INVOICE_REQUESTS_SPREADSHEET_ID);
+    var stages = loadInvoiceRequestStages_(spreadsheet);
+    var invoiceStageOffset = getInvoiceRequestStageOffset_(
+      stages,
+      INVOICE_REQUESTS_INVOICE_STAGE
+    );
+    var lock = LockService.getScriptLock();
+    if (!lock.tryLock(10000)) {
+      return { success: false, message: "The Invoice Requests sheet is busy." };
+    }
+    var authorNotice = null;
+    try {
+      var sheet = spreadsheet.getSheetByName(INVOICE_REQUESTS_SHEET_NAME);
+      if (!sheet) throw new Error('Sheet "Requests" was not found.');
+      var id = String(rowId || "").trim();
+      var sheetRow = findInvoiceRequestSheetRowsByIds_(sheet, [id])[id];
+      if (!sheetRow) {
+        return { success: false, message: "The invoice request was removed." };
+      }
+      // Another invoice may have been linked since the check before saving.
+      var linkedId = readInvoiceRequestInvoiceIds_(sheet, sheetRow, 1)[0] || "";
+      var linked = linkedId !== String(invoiceId)
+        ? getInvoiceRequestLinkedInvoice_(linkedId)
+        : null;
+      if (linked) {
+        return { success: false, message: buildInvoiceRequestLinkedMessage_(linked) };
+      }
+      if (sheet.getMaxColumns() < INVOICE_REQUESTS_INVOICE_ID_COLUMN) {
+        sheet.insertColumnsAfter(
+          sheet.getMaxColumns(),
+          INVOICE_REQUESTS_INVOICE_ID_COLUMN - sheet.getMaxColumns()
+        );
+      }
+      var headerCell = sheet.getRange(1, INVOICE_REQUESTS_INVOICE_ID_COLUMN);
+      if (!String(headerCell.getValue() || "").trim()) {
+        headerCell.setValue(INVOICE_REQUESTS_INVOICE_ID_HEADER);
+      }
+      sheet.getRange(sheetRow, INVOICE_REQUESTS_INVOICE_ID_COLUMN).setValue(invoiceId);
+      if (invoiceStageOffset !== -1) {
+        var statusRange = sheet.getRange(
+          sheetRow,
+          sheetColumnForInvoiceRequestOffset_(invoiceStageOffset)
+        );
+        var previousStatus = getInvoiceRequestCheckboxStatus_(statusRange.getValue());
+        writeInvoiceRequestStatus_(statusRange, "checked");
+        appendInvoiceRequestStatusLog_(spreadsheet, [
+          {
+            id: id,
+            columnOffset: invoiceStageOffset,
+            oldValue: previousStatus,
+            newValue: "checked",
+          },
+        ]);
+        authorNotice = getInvoiceRequestAuthorNotice_(
+          stages,
+          sheet
+            .getRange(sheetRow, 1, 1, INVOICE_REQUESTS_LAST_COLUMN)
+            .getValues()[0],
+          invoiceStageOffset,
+          previousStatus,
+          "checked"
+        );
+      }
+      SpreadsheetApp.flush();
+      invalidateInvoiceRequestsListCache_();
+      return { success: true };
+    } finally {
+      try {
+        lock.releaseLock();
+      } catch (error) {
+        console.warn("Could not release Invoice Requests lock:", error);
+      }
+      if (authorNotice) {
+        sendInvoiceRequestAuthorNotification_(spreadsheet, authorNotice);
+      }
+    }
+  } catch (error) {
+    console.error("Error linking invoice request:", error);
+    return { success: false, message: error.message };
+  }
+}
+
+// Sheet rows of the requests linked to an invoice.
+function findInvoiceRequestRowsByInvoiceId_(sheet, invoiceId) {
+  var rows = [];
+  readInvoiceRequestInvoiceIds_(sheet, 1, sheet.getLastRow()).forEach(
+    function (linkedId, index) {
+      if (index > 0 && linkedId === String(invoiceId)) rows.push(index + 1);
+    }
+  );
+  return rows;
+}
+
+/**
+ * Clear the link of requests to a deleted draft, and untick their invoice
+ * stage, so a new invoice can be created from them. Problems are only
+ * logged; the draft is already gone.
+ * @param {string} invoiceId - ID of the deleted invoice
+ */
+function unlinkInvoiceRequestFromInvoice_(invoiceId) {
+  try {
+    var spreadsheet = SpreadsheetApp.openById(INVOICE_REQUESTS_SPREADSHEET_ID);
+    // Sets the Invoice ID column for the applied stage count.
+    var stages = loadInvoiceRequestStages_(spreadsheet);
+    var invoiceStageOffset = getInvoiceRequestStageOffset_(
+      stages,
+      INVOICE_REQUESTS_INVOICE_STAGE
+    );
+    var sheet = spreadsheet.getSheetByName(INVOICE_REQUESTS_SHEET_NAME);
+    if (!sheet || !findInvoiceRequestRowsByInvoiceId_(sheet, invoiceId).length) {
+      return;
+    }
+    var lock = LockService.getScriptLock();
+    if (!lock.tryLock(10000)) {
+      console.warn("Invoice Requests busy; request still linked to " + invoiceId);
+      return;
+    }
+    try {
+      var changes = [];
+      findInvoiceRequestRowsByInvoiceId_(sheet, invoiceId).forEach(function (sheetRow) {
+        sheet.getRange(sheetRow, INVOICE_REQUESTS_INVOICE_ID_COLUMN).clearContent();
+        if (invoiceStageOffset === -1) return;
+        var statusRange = sheet.getRange(
+          sheetRow,
+          sheetColumnForInvoiceRequestOffset_(invoiceStageOffset)
+        );
+        var previousStatus = getInvoiceRequestCheckboxStatus_(statusRange.getValue());
+        if (previousStatus !== "checked") return;
+        writeInvoiceRequestStatus_(statusRange, "unchecked");
+        changes.push({
+          id: String(sheet.getRange(sheetRow, 1).getValue() || "").trim(),
+          columnOffset: invoiceStageOffset,
+          oldValue: previousStatus,
+          newValue: "unchecked",
+        });
+      });
+      if (changes.length) appendInvoiceRequestStatusLog_(spreadsheet, changes);
+      SpreadsheetApp.flush();
+      invalidateInvoiceRequestsListCache_();
+    } finally {
+      try {
+        lock.releaseLock();
+      } catch (error) {
+        console.warn("Could not release Invoice Requests lock:", error);
+      }
+    }
+  } catch (error) {
+    console.error("Error unlinking invoice request:", error);
+  }
+}
+
 function getInvoiceRequestProjectOptions() {
   assertInvoiceRequestsAccess_();
   return getInvoiceRequestProjects_(
@@ -1155,6 +1503,8 @@ function saveInvoiceRequestChanges(changes) {
     return { success: true, updated: 0, patch: true, rows: [] };
   }
 
+  var spreadsheet = SpreadsheetApp.openById(INVOICE_REQUESTS_SPREADSHEET_ID);
+  loadInvoiceRequestStages_(spreadsheet);
   var lock = LockService.getScriptLock();
   if (!lock.tryLock(30000)) {
     throw new Error("The sheet is busy. Please try saving again.");
@@ -1163,9 +1513,6 @@ function saveInvoiceRequestChanges(changes) {
   try {
     var accessMode = getInvoiceRequestAccessMode_();
     var email = getCurrentUserEmail();
-    var spreadsheet = SpreadsheetApp.openById(
-      INVOICE_REQUESTS_SPREADSHEET_ID
-    );
     var sheet = spreadsheet.getSheetByName(INVOICE_REQUESTS_SHEET_NAME);
     if (!sheet) throw new Error('Sheet "Requests" was not found.');
 
@@ -1351,6 +1698,20 @@ function saveInvoiceRequestChanges(changes) {
         )
         .setValue(editedAt);
       resetInvoiceRequestStatuses_(sheet, meta.sheetRow);
+      var previousValues = rowValuesFor_(meta.sheetRow);
+      var statusResets = [];
+      for (var statusIndex = 0; statusIndex < INVOICE_REQUESTS_STATUS_COUNT; statusIndex++) {
+        var statusOffset = INVOICE_REQUESTS_STATUS_FIRST_OFFSET + statusIndex;
+        statusResets.push({
+          id: contentRowIds[metaIndex],
+          columnOffset: statusOffset,
+          oldValue: getInvoiceRequestCheckboxStatus_(
+            previousValues[INVOICE_REQUESTS_FIRST_COLUMN - 1 + statusOffset]
+          ),
+          newValue: "unchecked",
+        });
+      }
+      appendInvoiceRequestStatusLog_(spreadsheet, statusResets);
     }
 
     SpreadsheetApp.flush();
@@ -1366,13 +1727,17 @@ function saveInvoiceRequestChanges(changes) {
     }
 
     var patchedRows = [];
+    var commentCounts = contentRowIds.length
+      ? countInvoiceRequestComments_(spreadsheet)
+      : {};
     for (var p = 0; p < contentRowIds.length; p++) {
       var patchedId = contentRowIds[p];
       patchedRows.push(
         buildInvoiceRequestRowPayloadFromSheet_(
           sheet,
           contentEditsByRow[patchedId].sheetRow,
-          patchedId
+          patchedId,
+          commentCounts
         )
       );
     }
@@ -0,0 +1,227 @@
+// SLA targets of the Invoice Requests stages.
+//
+// "SLA Working Days" in the Stages sheet is how many working days a stage may
+// take, counted from the request's activity time (Edited at, else Created at;
+// an edit resets the statuses, so the clock restarts with it). A stage still
+// unticked after that is overdue: the grid highlights the row, and a daily
+// trigger emails the Lists notification recipients a digest per stage.
+// Working days skip the public holidays of the project's company, as invoice
+// due dates do (DueDateService.js).
+
+/**
+ * Public holidays for the SLA of each project, read once per execution
+ * @returns {Function} projectName -> map of yyyy-MM-dd -> holiday name
+ */
+function buildInvoiceRequestSlaHolidays_() {
+  var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+  var companyByProject = {};
+  var values = getSheet(spreadsheet, CONFIG.SHEETS.LISTS)
+    .getDataRange()
+    .getValues();
+  for (var i = 1; i < values.length; i++) {
+    var project = String(values[i][CONFIG.COLUMNS.PROJECT_NAME] || "")
+      .trim()
+      .toLowerCase();
+    if (project && !companyByProject.hasOwnProperty(project)) {
+      companyByProject[project] = String(
+        values[i][CONFIG.COLUMNS.OUR_COMPANY] || ""
+      ).trim();
+    }
+  }
+  var countryByCompany = {};
+  var holidaysByCountry = {};
+  return function (projectName) {
+    var company =
+      companyByProject[String(projectName || "").trim().toLowerCase()] || "";
+    if (!countryByCompany.hasOwnProperty(company)) {
+      var details = company ? getOurCompanyDetails_(spreadsheet, company) : null;
+      countryByCompany[company] = details ? details.countryCode : "";
+    }
+    var country = countryByCompany[company];
+    if (!holidaysByCountry[country]) {
+      holidaysByCountry[country] = readPublicHolidays_(spreadsheet, country);
+    }
+    return holidaysByCountry[country];
+  };
+}
+
+/**
+ * Last day a stage can be ticked on time
+ * @param {number} activityAt - Request activity time (ms)
+ * @param {number} slaDays - Working days allowed
+ * @param {Object} holidays - Map of yyyy-MM-dd -> name, skipped with weekends
+ * @returns {Date|null} Null when there is no target
+ */
+function getInvoiceRequestSlaDeadline_(activityAt, slaDays, holidays) {
+  if (!activityAt || !(slaDays > 0)) return null;
+  return addInvoicePaymentDelay_(
+    new Date(activityAt),
+    slaDays,
+    DUE_DATE_DAY_TYPE_WORKING,
+    holidays
+  );
+}
+
+/**
+ * Status offsets of a payload row that are past their SLA
+ * @param {Object} row - Payload row (cells, activityAt)
+ * @param {Array} stages - From loadInvoiceRequestStages_
+ * @param {string} todayKey - yyyy-MM-dd
+ * @param {Object} holidays - Public holidays of the row's project
+ * @returns {Array} Column offsets
+ */
+function getInvoiceRequestOverdueStages_(row, stages, todayKey, holidays) {
+  var overdue = [];
+  stages.forEach(function (stage, index) {
+    var columnOffset = INVOICE_REQUESTS_STATUS_FIRST_OFFSET + index;
+    var cell = row.cells[columnOffset];
+    if (!cell || cell.value !== "unchecked") return;
+    var deadline = getInvoiceRequestSlaDeadline_(
+      row.activityAt,
+      stage.slaDays,
+      holidays
+    );
+    if (deadline && exchangeRateDateKey_(deadline) < todayKey) {
+      overdue.push(columnOffset);
+    }
+  });
+  return overdue;
+}
+
+// Sets row.overdueStages on each payload row for the grid highlight.
+function annotateInvoiceRequestSla_(rows, stages) {
+  var todayKey = exchangeRateDateKey_(new Date());
+  var holidaysForProject = buildInvoiceRequestSlaHolidays_();
+  rows.forEach(function (row) {
+    row.overdueStages = getInvoiceRequestOverdueStages_(
+      row,
+      stages,
+      todayKey,
+      holidaysForProject(row.cells[INVOICE_REQUESTS_PROJECT_OFFSET].value)
+    );
+  });
+}
+
+/**
+ * Daily digest of overdue requests, grouped by stage. Runs from a
+ * time-driven trigger (SCHEDULED_JOBS); limited to full-access users, as
+ * pages can call it too.
+ * @returns {Object} { success, sent, overdue }
+ */
+function sendInvoiceRequestSlaDigest() {
+  if (!isFullAccessUser(getCurrentUserEmail())) {
+    return { success: false, message: "No permission to send the SLA digest." };
+  }
+  try {
+    var spreadsheet = SpreadsheetApp.openById(INVOICE_REQUESTS_SPREADSHEET_ID);
+    var stages = loadInvoiceRequestStages_(spreadsheet);
+    var recipients =
+      getInvoiceRequestListsLookup_(spreadsheet).notificationEmails;
+    if (!recipients.length) return { success: true, sent: 0, overdue: 0 };
+
+    var todayKey = exchangeRateDateKey_(new Date());
+    var byStage = stages.map(function () {
+      return [];
+    });
+    var overdueCount = 0;
+    var holidaysForProject = buildInvoiceRequestSlaHolidays_();
+    var rows = readInvoiceRequestsSheetPayload_(spreadsheet, []).rows;
+    rows.forEach(function (row) {
+      var project = row.cells[INVOICE_REQUESTS_PROJECT_OFFSET].value;
+      var holidays = holidaysForProject(project);
+      var overdue = getInvoiceRequestOverdueStages_(
+        row,
+        stages,
+        todayKey,
+        holidays
+      );
+      overdue.forEach(function (columnOffset) {
+        var stageIndex = columnOffset - INVOICE_REQUESTS_STATUS_FIRST_OFFSET;
+        byStage[stageIndex].push({
+          id: row.id,
+          project: project,
+          author: row.cells[INVOICE_REQUESTS_AUTHOR_OFFSET].value,
+          since: formatInvoiceRequestTimestamp_(new Date(row.activityAt)),
+          deadline: formatDate(
+            getInvoiceRequestSlaDeadline_(
+              row.activityAt,
+              stages[stageIndex].slaDays,
+              holidays
+            )
+          ),
+        });
+        overdueCount++;
+      });
+    });
+    if (!overdueCount) return { success: true, sent: 0, overdue: 0 };
+
+    var pageUrl = getInvoiceRequestsPageUrl_();
+    var plainParts = [];
+    var htmlParts = [];
+    stages.forEach(function (stage, index) {
+      var items = byStage[index];
+      if (!items.length) return;
+      var title =
+        stage.name + " (" + stage.slaDays + " working days): " + items.length;
+      plainParts.push(
+        title +
+          "\n" +
+          items
+            .map(function (item) {
+              return (
+                "- #" +
+                item.id +
+                " " +
+                item.project +
+                ", " +
+                item.author +
+                ", since " +
+                item.since +
+                ", due " +
+                item.deadline
+              );
+            })
+            .join("\n")
+      );
+      htmlParts.push(
+        "<h3>" +
+          escapeInvoiceRequestHtml_(title) +
+          "</h3><ul>" +
+          items
+            .map(function (item) {
+              return (
+                "<li>#" +
+                escapeInvoiceRequestHtml_(item.id) +
+                " <b>" +
+                escapeInvoiceRequestHtml_(item.project) +
+                "</b>, " +
+                escapeInvoiceRequestHtml_(item.author) +
+                ", since " +
+                escapeInvoiceRequestHtml_(item.since) +
+                ", due " +
+                escapeInvoiceRequestHtml_(item.deadline) +
+                "</li>"
+              );
+            })
+            .join("") +
+          "</ul>"
+      );
+    });
+
+    MailApp.sendEmail({
+      to: recipients[0],
+      bcc: recipients.slice(1).join(","),
+      subject: "Invoice requests overdue: " + overdueCount,
+      body: plainParts.join("\n\n") + "\n\nView requests: " + pageUrl,
+      htmlBody:
+        htmlParts.join("") +
+        '<p>View requests: <a href="' +
+        escapeInvoiceRequestHtml_(pageUrl) +
+        '">link</a></p>',
+    });
+    return { success: true, sent: 1, overdue: overdueCount };
+  } catch (error) {
+    console.error("Invoice request SLA digest failed:", error);
+    return { success: false, message: error.message };
+  }
+}
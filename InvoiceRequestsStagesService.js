@@ -0,0 +1,325 @@
+// Status pipeline of Invoice Requests.
+//
+// The status checkbox columns after Author are defined in the "Stages" sheet
+// of the Invoice Requests file: stage name, order, who may tick it (emails,
+// blank for every full-access user), whether it must be done before later
+// stages can be ticked, its SLA (InvoiceRequestsSlaService.js) and whether
+// ticking it emails the request author
+// (InvoiceRequestsAuthorNotificationsService.js). The Requests sheet follows
+// that list once an admin runs "Apply invoice request stages"
+// (applyInvoiceRequestStages): a stage that was added, moved or removed has
+// its column inserted, moved or deleted to match. Until then pages keep the
+// columns the sheet has; reads never change the layout. Columns are matched
+// by header, so a stage is renamed in both sheets. The first apply fills the
+// Stages sheet from the existing F:M headers, so the current data stays where
+// it is.
+
+var INVOICE_REQUESTS_STAGES_SHEET = "Stages";
+var INVOICE_REQUESTS_STAGES_HEADERS = [
+  "Stage",
+  "Order",
+  "Who May Tick",
+  "Required Before Later",
+  "SLA Working Days",
+  "Notify Author",
+];
+// Number of status columns in the Requests sheet; unset means the original F:M.
+var INVOICE_REQUESTS_STAGE_COLUMNS_PROPERTY = "INVOICE_REQUESTS_STAGE_COLUMNS";
+var invoiceRequestStages_ = null;
+
+function isInvoiceRequestStageFlagSet_(value) {
+  if (value === true) return true;
+  var text = String(value || "").trim().toLowerCase();
+  return text === "true" || text === "yes" || text === "да" || text === "1";
+}
+
+// Headers of the status columns the Requests sheet has now.
+function getAppliedInvoiceRequestStages_(sheet) {
+  var stored = PropertiesService.getScriptProperties().getProperty(
+    INVOICE_REQUESTS_STAGE_COLUMNS_PROPERTY
+  );
+  var count = stored === null ? INVOICE_REQUESTS_STATUS_COUNT : Number(stored);
+  if (!count) return [];
+  return sheet
+    .getRange(1, invoiceRequestStageColumn_(0), 1, count)
+    .getDisplayValues()[0]
+    .map(function (header) {
+      return String(header || "").trim();
+    });
+}
+
+// Record how many status columns the Requests sheet has.
+function storeInvoiceRequestStageColumnCount_(count) {
+  PropertiesService.getScriptProperties().setProperty(
+    INVOICE_REQUESTS_STAGE_COLUMNS_PROPERTY,
+    String(count)
+  );
+}
+
+// Stages sheet with its headers; an empty sheet is filled from the applied
+// columns. Only the admin action creates it.
+function ensureInvoiceRequestStagesSheet_(spreadsheet, applied) {
+  var stagesSheet = getOrCreateSheet(
+    spreadsheet,
+    INVOICE_REQUESTS_STAGES_SHEET,
+    INVOICE_REQUESTS_STAGES_HEADERS
+  );
+  ensureSheetColumns_(stagesSheet, INVOICE_REQUESTS_STAGES_HEADERS);
+  if (stagesSheet.getLastRow() < 2 && applied.length) {
+    stagesSheet
+      .getRange(2, 1, applied.length, INVOICE_REQUESTS_STAGES_HEADERS.length)
+      .setValues(
+        applied.map(function (name, index) {
+          return [name, index + 1, "", false, "", false];
+        })
+      );
+    stagesSheet.getRange(2, 4, applied.length, 1).insertCheckboxes();
+    stagesSheet.getRange(2, 6, applied.length, 1).insertCheckboxes();
+  }
+  return stagesSheet;
+}
+
+/**
+ * Stages sheet rows, ordered; empty when the sheet does not exist yet
+ * @returns {Array} [{ name, order, tickers: [email], required, slaDays,
+ *   notifyAuthor }]
+ */
+function readInvoiceRequestStages_(spreadsheet) {
+  var values = getSheetValuesIfExists(spreadsheet, INVOICE_REQUESTS_STAGES_SHEET);
+  var colMap = buildColumnMap(values[0] || []);
+  var stages = [];
+  var seen = {};
+  for (var i = 1; i < values.length; i++) {
+    var name = String(values[i][colMap["Stage"]] || "").trim();
+    if (!name) continue;
+    if (seen[name]) {
+      throw new Error('Stage "' + name + '" is listed twice in the Stages sheet.');
+    }
+    seen[name] = true;
+    var order = Number(values[i][colMap["Order"]]);
+    stages.push({
+      name: name,
+      order: isNaN(order) ? Number.MAX_VALUE : order,
+      row: i,
+      tickers: String(values[i][colMap["Who May Tick"]] || "")
+        .split(/[,;\s]+/)
+        .map(function (email) {
+          return email.trim().toLowerCase();
+        })
+        .filter(Boolean),
+      required: isInvoiceRequestStageFlagSet_(
+        values[i][colMap["Required Before Later"]]
+      ),
+      slaDays: parseInt(values[i][colMap["SLA Working Days"]], 10) || 0,
+      notifyAuthor: isInvoiceRequestStageFlagSet_(
+        values[i][colMap["Notify Author"]]
+      ),
+    });
+  }
+  stages.sort(function (left, right) {
+    return left.order - right.order || left.row - right.row;
+  });
+  return stages.map(function (stage) {
+    return {
+      name: stage.name,
+      order: stage.order,
+      tickers: stage.tickers,
+      required: stage.required,
+      slaDays: stage.slaDays,
+      notifyAuthor: stage.notifyAuthor,
+    };
+  });
+}
+
+function invoiceRequestStageColumn_(index) {
+  return (
+    sheetColumnForInvoiceRequestOffset_(INVOICE_REQUESTS_STATUS_FIRST_OFFSET) +
+    index
+  );
+}
+
+/**
+ * Insert, move and delete status columns so they follow the stage list.
+ * A removed stage is deleted only while none of its cells is ticked or N/A.
+ * Everything that can refuse is checked before the first column changes, and
+ * the column count is stored after each insert or delete, so a sync that
+ * stops halfway still reads the columns the sheet has. Callers hold the
+ * script lock.
+ */
+function syncInvoiceRequestStageColumns_(sheet, applied, names) {
+  var columns = applied.slice(0);
+  var lastRow = sheet.getLastRow();
+  columns.forEach(function (name, index) {
+    if (!name || columns.indexOf(name) !== index) {
+      throw new Error(
+        "Status column headers in Requests must be filled in and unique to apply the Stages sheet."
+      );
+    }
+  });
+
+  columns.forEach(function (name, index) {
+    if (names.indexOf(name) !== -1 || lastRow < 2) return;
+    var used = sheet
+      .getRange(2, invoiceRequestStageColumn_(index), lastRow - 1, 1)
+      .getValues()
+      .some(function (row) {
+        return getInvoiceRequestCheckboxStatus_(row[0]) !== "unchecked";
+      });
+    if (used) {
+      throw new Error(
+        'Stage "' +
+          name +
+          '" was removed from the Stages sheet, but some requests have it ticked. ' +
+          "Clear its column in Requests or add the stage back."
+      );
+    }
+  });
+  for (var removeIndex = columns.length - 1; removeIndex >= 0; removeIndex--) {
+    if (names.indexOf(columns[removeIndex]) !== -1) continue;
+    sheet.deleteColumn(invoiceRequestStageColumn_(removeIndex));
+    columns.splice(removeIndex, 1);
+    storeInvoiceRequestStageColumnCount_(columns.length);
+  }
+
+  names.forEach(function (name) {
+    if (columns.indexOf(name) !== -1) return;
+    sheet.insertColumnAfter(invoiceRequestStageColumn_(columns.length) - 1);
+    storeInvoiceRequestStageColumnCount_(columns.length + 1);
+    sheet.getRange(1, invoiceRequestStageColumn_(columns.length)).setValue(name);
+    columns.push(name);
+  });
+
+  names.forEach(function (name, index) {
+    var current = columns.indexOf(name);
+    if (current === index) return;
+    sheet.moveColumns(
+      sheet.getRange(1, invoiceRequestStageColumn_(current)),
+      invoiceRequestStageColumn_(index)
+    );
+    columns.splice(current, 1);
+    columns.splice(index, 0, name);
+  });
+}
+
+// Stage of a column that has no row in the Stages sheet yet.
+function defaultInvoiceRequestStage_(name, index) {
+  return {
+    name: name,
+    order: index + 1,
+    tickers: [],
+    required: false,
+    slaDays: 0,
+    notifyAuthor: false,
+  };
+}
+
+/**
+ * Load the stages of the status columns the Requests sheet has now and apply
+ * that layout to this execution. Settings come from the Stages sheet; only
+ * the admin action changes the columns.
+ * @param {Spreadsheet} spreadsheet - Invoice Requests file
+ * @returns {Array} Stages in column order
+ */
+function loadInvoiceRequestStages_(spreadsheet) {
+  if (invoiceRequestStages_) return invoiceRequestStages_;
+  var sheet = spreadsheet.getSheetByName(INVOICE_REQUESTS_SHEET_NAME);
+  if (!sheet) throw new Error('Sheet "Requests" was not found.');
+
+  var byName = {};
+  readInvoiceRequestStages_(spreadsheet).forEach(function (stage) {
+    byName[stage.name] = stage;
+  });
+  var stages = getAppliedInvoiceRequestStages_(sheet).map(function (name, index) {
+    return byName[name] || defaultInvoiceRequestStage_(name, index);
+  });
+
+  setInvoiceRequestStageCount_(stages.length);
+  invoiceRequestStages_ = stages;
+  return stages;
+}
+
+/**
+ * Make the Requests status columns follow the Stages sheet. Creates the
+ * Stages sheet from the current columns on first use.
+ * @returns {Object} { success, message }
+ */
+function applyInvoiceRequestStagesFromData() {
+  var spreadsheet = SpreadsheetApp.openById(INVOICE_REQUESTS_SPREADSHEET_ID);
+  var sheet = spreadsheet.getSheetByName(INVOICE_REQUESTS_SHEET_NAME);
+  if (!sheet) throw new Error('Sheet "Requests" was not found.');
+
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) {
+    throw new Error("The sheet is busy. Please try again.");
+  }
+  try {
+    var applied = getAppliedInvoiceRequestStages_(sheet);
+    ensureInvoiceRequestStagesSheet_(spreadsheet, applied);
+    var names = readInvoiceRequestStages_(spreadsheet).map(function (stage) {
+      return stage.name;
+    });
+    if (JSON.stringify(applied) === JSON.stringify(names)) {
+      return { success: true, message: "The status columns already match the Stages sheet." };
+    }
+    syncInvoiceRequestStageColumns_(sheet, applied, names);
+    SpreadsheetApp.flush();
+    invalidateInvoiceRequestsListCache_();
+    invoiceRequestStages_ = null;
+    return { success: true, message: "Status columns: " + names.join(", ") + "." };
+  } finally {
+    try {
+      lock.releaseLock();
+    } catch (error) {
+      console.warn("Could not release Invoice Requests stages lock:", error);
+    }
+  }
+}
+
+function getInvoiceRequestStageOffset_(stages, name) {
+  for (var i = 0; i < stages.length; i++) {
+    if (stages[i].name === name) return INVOICE_REQUESTS_STATUS_FIRST_OFFSET + i;
+  }
+  return -1;
+}
+
+/**
+ * Check who may tick a stage and that required earlier stages are done
+ * @param {Array} stages - From loadInvoiceRequestStages_
+ * @param {Array} rowValues - Requests row from column A
+ * @param {number} columnOffset - Status column offset
+ * @param {string} nextValue - "checked", "unchecked" or "notApplicable"
+ * @param {string} email - Current user
+ * @returns {string} Problem message, empty when allowed
+ */
+function checkInvoiceRequestStageTick_(stages, rowValues, columnOffset, nextValue, email) {
+  var stageIndex = columnOffset - INVOICE_REQUESTS_STATUS_FIRST_OFFSET;
+  var stage = stages[stageIndex];
+  if (!stage) return "Unknown status column.";
+  var normalized = String(email || "").trim().toLowerCase();
+  if (stage.tickers.length && stage.tickers.indexOf(normalized) === -1) {
+    return 'You may not change "' + stage.name + '".';
+  }
+  if (nextValue !== "checked") return "";
+  for (var i = 0; i < stageIndex; i++) {
+    if (!stages[i].required) continue;
+    var status = getInvoiceRequestCheckboxStatus_(
+      rowValues[invoiceRequestStageColumn_(i) - 1]
+    );
+    if (status === "unchecked") {
+      return 'Tick "' + stages[i].name + '" before "' + stage.name + '".';
+    }
+  }
+  return "";
+}
+
+// Stage definitions for the page (tickers are shown as a hint only).
+function serializeInvoiceRequestStages_(stages) {
+  return (stages || []).map(function (stage) {
+    return {
+      name: stage.name,
+      tickers: stage.tickers,
+      required: stage.required,
+      slaDays: stage.slaDays,
+    };
+  });
+}
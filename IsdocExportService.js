@@ -0,0 +1,207 @@
+// ISDOC 6.0.2 export (Czech e-invoice standard) for invoices and credit notes.
+//
+// ISDOC amounts are in CZK. Documents in another currency also carry the
+// document amounts in the *Curr elements, with ForeignCurrencyCode and the
+// CZK rate of the issue date from the Exchange Rates sheet (the rate stored
+// on the invoice is against EUR). Credit notes use DocumentType 2 with the
+// same positive amounts as the PDF and reference the invoice they correct.
+
+var ISDOC_NAMESPACE = "http://isdoc.cz/namespace/2013";
+var ISDOC_VERSION = "6.0.2";
+var ISDOC_DOCUMENT_TYPE_INVOICE = "1";
+var ISDOC_DOCUMENT_TYPE_CREDIT_NOTE = "2";
+var ISDOC_PAYMENT_MEANS_BANK_TRANSFER = "42";
+var ISDOC_LOCAL_CURRENCY = "CZK";
+
+/**
+ * CZK for one unit of the document currency on the issue date, or the last
+ * earlier day with a rate. Kept on the model so validation and building read
+ * the sheet once.
+ * @param {Object} model - From loadEInvoiceDocument_
+ * @returns {number|null} 1 for CZK documents, null when there is no rate
+ */
+function getIsdocCurrencyRate_(model) {
+  if (model.currencyCode === ISDOC_LOCAL_CURRENCY) return 1;
+  if (model.isdocCurrencyRate === undefined) {
+    var stored = findExchangeRate_(
+      readExchangeRateDays_(getSpreadsheet(CONFIG.SPREADSHEET_ID)),
+      model.currencyCode,
+      ISDOC_LOCAL_CURRENCY,
+      exchangeRateDateKey_(model.issueDate)
+    );
+    model.isdocCurrencyRate = stored ? parseFloat(stored.rate.toFixed(4)) : null;
+  }
+  return model.isdocCurrencyRate;
+}
+
+/**
+ * ISDOC rules on top of validateEInvoiceDocument_
+ * @param {Object} model - From loadEInvoiceDocument_
+ * @returns {Array} Readable problem descriptions
+ */
+function validateIsdocDocument_(model) {
+  var problems = [];
+  if (!/^[0-9a-fA-F]{8}(-[0-9a-fA-F]{4}){3}-[0-9a-fA-F]{12}$/.test(model.id)) {
+    problems.push("ISDOC needs a UUID document ID; this row has " + model.id + ".");
+  }
+  if (model.supplier && model.supplier.vatId && !/^[A-Z]{2}/.test(model.supplier.vatId)) {
+    problems.push("Our Companies: VAT ID must start with the country code (e.g. CZ12345678).");
+  }
+  if (model.customer.street && !model.customer.city) {
+    problems.push("Client address has no city line.");
+  }
+  if (model.currencyCode && !getIsdocCurrencyRate_(model)) {
+    problems.push(
+      "No " + model.currencyCode + "/" + ISDOC_LOCAL_CURRENCY +
+        " exchange rate on or before " + model.issueDate + ". Import the CNB rates."
+    );
+  }
+  return problems;
+}
+
+function isdocParty_(ns, party) {
+  function child(parent, name, text) {
+    return appendEInvoiceElement_(parent, ns, name, text);
+  }
+
+  var partyElement = XmlService.createElement("Party", ns);
+  child(child(partyElement, "PartyIdentification", null), "ID", party.companyId);
+  child(child(partyElement, "PartyName", null), "Name", party.name);
+
+  var address = child(partyElement, "PostalAddress", null);
+  child(address, "StreetName", party.street);
+  child(address, "BuildingNumber", "");
+  child(address, "CityName", party.city);
+  child(address, "PostalZone", party.postalCode);
+  var country = child(address, "Country", null);
+  child(country, "IdentificationCode", party.countryCode);
+  child(country, "Name", "");
+
+  if (party.vatId) {
+    var taxScheme = child(partyElement, "PartyTaxScheme", null);
+    child(taxScheme, "CompanyID", party.vatId);
+    child(taxScheme, "TaxScheme", "VAT");
+  }
+  return partyElement;
+}
+
+/**
+ * Build the ISDOC XML of a validated document
+ * @param {Object} model - From loadEInvoiceDocument_
+ * @returns {string} XML
+ */
+function buildIsdocXml_(model) {
+  var ns = XmlService.getNamespace(ISDOC_NAMESPACE);
+  var isInvoice = model.documentType === "invoice";
+  var vatApplicable = model.supplier.vatId ? "true" : "false";
+  var rate = model.taxRate;
+  var currRate = getIsdocCurrencyRate_(model);
+  var isForeign = model.currencyCode !== ISDOC_LOCAL_CURRENCY;
+
+  function child(parent, name, text) {
+    return appendEInvoiceElement_(parent, ns, name, text);
+  }
+
+  // Amount in CZK, preceded (or followed) by the document currency amount
+  // in <name>Curr for foreign-currency documents, as the schema orders them.
+  function amount(parent, name, value, currAfter) {
+    if (isForeign && !currAfter) child(parent, name + "Curr", eInvoiceAmount_(value));
+    child(parent, name, eInvoiceAmount_(value * currRate));
+    if (isForeign && currAfter) child(parent, name + "Curr", eInvoiceAmount_(value));
+  }
+
+  var root = XmlService.createElement("Invoice", ns).setAttribute("version", ISDOC_VERSION);
+  child(root, "DocumentType", isInvoice ? ISDOC_DOCUMENT_TYPE_INVOICE : ISDOC_DOCUMENT_TYPE_CREDIT_NOTE);
+  child(root, "ID", model.number);
+  child(root, "UUID", model.id.toUpperCase());
+  child(root, "IssueDate", model.issueDate);
+  child(root, "TaxPointDate", model.issueDate);
+  child(root, "VATApplicable", vatApplicable);
+  child(root, "ElectronicPossibilityAgreementReference", "");
+  if (model.note) child(root, "Note", model.note);
+  child(root, "LocalCurrencyCode", ISDOC_LOCAL_CURRENCY);
+  if (isForeign) child(root, "ForeignCurrencyCode", model.currencyCode);
+  child(root, "CurrRate", String(currRate));
+  child(root, "RefCurrRate", "1");
+
+  child(root, "AccountingSupplierParty", null).addContent(isdocParty_(ns, model.supplier));
+  child(root, "AccountingCustomerParty", null).addContent(isdocParty_(ns, model.customer));
+
+  if (model.originalInvoice) {
+    var original = child(
+      child(root, "OriginalDocumentReferences", null),
+      "OriginalDocumentReference",
+      null
+    ).setAttribute("id", "original-invoice");
+    child(original, "ID", model.originalInvoice.number);
+    child(original, "IssueDate", model.originalInvoice.issueDate);
+    child(original, "UUID", model.originalInvoice.id.toUpperCase());
+  }
+
+  var linesElement = child(root, "InvoiceLines", null);
+  model.lines.forEach(function (line, i) {
+    var lineTax = roundInvoiceAmount_((line.amount * rate) / 100);
+    var lineElement = child(linesElement, "InvoiceLine", null);
+    child(lineElement, "ID", String(i + 1));
+    child(lineElement, "InvoicedQuantity", String(line.quantity)).setAttribute("unitCode", "HUR");
+    amount(lineElement, "LineExtensionAmount", line.amount);
+    amount(lineElement, "LineExtensionAmountTaxInclusive", line.amount + lineTax);
+    child(lineElement, "LineExtensionTaxAmount", eInvoiceAmount_(lineTax * currRate));
+    child(lineElement, "UnitPrice", eInvoiceAmount_(line.unitPrice * currRate));
+    child(
+      lineElement,
+      "UnitPriceTaxInclusive",
+      eInvoiceAmount_(line.unitPrice * (1 + rate / 100) * currRate)
+    );
+    var category = child(lineElement, "ClassifiedTaxCategory", null);
+    child(category, "Percent", String(rate));
+    child(category, "VATCalculationMethod", "0");
+    child(category, "VATApplicable", vatApplicable);
+    child(child(lineElement, "Item", null), "Description", line.description);
+  });
+
+  var taxTotal = child(root, "TaxTotal", null);
+  var subTotal = child(taxTotal, "TaxSubTotal", null);
+  amount(subTotal, "TaxableAmount", model.subtotal);
+  amount(subTotal, "TaxAmount", model.taxAmount);
+  amount(subTotal, "TaxInclusiveAmount", model.total);
+  amount(subTotal, "AlreadyClaimedTaxableAmount", 0);
+  amount(subTotal, "AlreadyClaimedTaxAmount", 0);
+  amount(subTotal, "AlreadyClaimedTaxInclusiveAmount", 0);
+  amount(subTotal, "DifferenceTaxableAmount", model.subtotal);
+  amount(subTotal, "DifferenceTaxAmount", model.taxAmount);
+  amount(subTotal, "DifferenceTaxInclusiveAmount", model.total);
+  var taxCategory = child(subTotal, "TaxCategory", null);
+  child(taxCategory, "Percent", String(rate));
+  child(taxCategory, "VATApplicable", vatApplicable);
+  amount(taxTotal, "TaxAmount", model.taxAmount);
+
+  var monetary = child(root, "LegalMonetaryTotal", null);
+  amount(monetary, "TaxExclusiveAmount", model.subtotal, true);
+  amount(monetary, "TaxInclusiveAmount", model.total, true);
+  amount(monetary, "AlreadyClaimedTaxExclusiveAmount", 0, true);
+  amount(monetary, "AlreadyClaimedTaxInclusiveAmount", 0, true);
+  amount(monetary, "DifferenceTaxExclusiveAmount", model.subtotal, true);
+  amount(monetary, "DifferenceTaxInclusiveAmount", model.total, true);
+  amount(monetary, "PayableRoundingAmount", 0, true);
+  amount(monetary, "PaidDepositsAmount", 0, true);
+  amount(monetary, "PayableAmount", model.total, true);
+
+  // Bank transfer details only when the bank details hold an IBAN
+  if (isInvoice && model.bank.iban) {
+    var payment = child(child(root, "PaymentMeans", null), "Payment", null);
+    child(payment, "PaidAmount", eInvoiceAmount_(model.total * currRate));
+    child(payment, "PaymentMeansCode", ISDOC_PAYMENT_MEANS_BANK_TRANSFER);
+    var details = child(payment, "Details", null);
+    child(details, "PaymentDueDate", model.dueDate);
+    child(details, "ID", model.bank.iban);
+    child(details, "BankCode", "");
+    child(details, "Name", "");
+    child(details, "IBAN", model.bank.iban);
+    child(details, "BIC", model.bank.bic);
+    var variableSymbol = model.number.replace(/\D/g, "").slice(-10);
+    if (variableSymbol) child(details, "VariableSymbol", variableSymbol);
+  }
+
+  return XmlService.getPrettyFormat().format(XmlService.createDocument(root));
+}
@@ -0,0 +1,384 @@
+// Normalized line items for invoices, credit notes and bills.
+//
+// "Line Items" has one row per document line, keyed by Document Type,
+// Document ID and Line, so a document can have any number of lines. Invoices
+// and credit notes keep theirs in the main spreadsheet, bills in the bills
+// spreadsheet. During the transition the wide "Row N ..." / "Вид услугN"
+// columns are still filled for the lines that fit, and reads fall back to them
+// for documents that have no rows here yet (see migrateLineItemsFromData).
+
+var LINE_ITEMS_SHEET = "Line Items";
+var LINE_ITEMS_HEADERS = [
+  "Document Type",
+  "Document ID",
+  "Line",
+  "Service",
+  "Period",
+  "Quantity",
+  "Rate",
+  "Amount",
+];
+var LINE_ITEM_TYPE_INVOICE = "Invoice";
+var LINE_ITEM_TYPE_CREDIT_NOTE = "Credit Note";
+var LINE_ITEM_TYPE_BILL = "Bill";
+var BILL_WIDE_SERVICE_ROWS = 10;
+var CREDIT_NOTE_WIDE_FIRST_COLUMN = 18;
+var CREDIT_NOTE_WIDE_COLUMNS_PER_ROW = 4;
+
+var LINE_ITEMS_LOCK_TIMEOUT_MS = 30000;
+
+function getLineItemsSheet_(spreadsheet) {
+  return getOrCreateSheet(spreadsheet, LINE_ITEMS_SHEET, LINE_ITEMS_HEADERS);
+}
+
+function lineItemKey_(documentType, documentId) {
+  return documentType + "|" + String(documentId);
+}
+
+function lineItemText_(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).trim();
+}
+
+function hasLineItemContent_(line) {
+  return !!(line.service || line.period || line.quantity || line.rate || line.amount);
+}
+
+/**
+ * Read every line item of a spreadsheet, grouped by document
+ * @param {Spreadsheet} spreadsheet
+ * @returns {Object} { "Type|ID": [{ line, service, period, quantity, rate, amount }] }
+ */
+function readAllLineItems_(spreadsheet) {
+  var sheet = getSheet(spreadsheet, LINE_ITEMS_SHEET);
+  if (!sheet || sheet.getLastRow() < 2) return {};
+  var values = sheet.getDataRange().getValues();
+  var displayValues = sheet.getDataRange().getDisplayValues();
+  var colMap = buildColumnMap(values[0]);
+  var byDocument = {};
+  for (var i = 1; i < values.length; i++) {
+    var row = values[i];
+    var documentId = lineItemText_(row[colMap["Document ID"]]);
+    if (!documentId) continue;
+    var key = lineItemKey_(lineItemText_(row[colMap["Document Type"]]), documentId);
+    if (!byDocument[key]) byDocument[key] = [];
+    byDocument[key].push({
+      line: parseInt(row[colMap["Line"]], 10) || 0,
+      service: lineItemText_(row[colMap["Service"]]),
+      period: lineItemText_(displayValues[i][colMap["Period"]]),
+      quantity: lineItemText_(row[colMap["Quantity"]]),
+      rate: lineItemText_(row[colMap["Rate"]]),
+      amount: lineItemText_(row[colMap["Amount"]]),
+    });
+  }
+  Object.keys(byDocument).forEach(function (key) {
+    byDocument[key].sort(function (a, b) {
+      return a.line - b.line;
+    });
+  });
+  return byDocument;
+}
+
+/**
+ * Line items of one document
+ * @returns {Array|null} Lines in order, or null when the document has none
+ *   stored here yet (wide layout)
+ */
+function readLineItems_(spreadsheet, documentType, documentId) {
+  var lines = readAllLineItems_(spreadsheet)[lineItemKey_(documentType, documentId)];
+  return lines && lines.length ? lines : null;
+}
+
+function buildLineItemRows_(documentType, documentId, lines) {
+  return lines.map(function (line, i) {
+    return [
+      documentType,
+      String(documentId),
+      i + 1,
+      line.service || "",
+      // Keep periods like "01.2025" as text
+      line.period ? "'" + line.period : "",
+      line.quantity || "",
+      line.rate || "",
+      line.amount || "",
+    ];
+  });
+}
+
+/**
+ * Remove the line items of one document
+ */
+function deleteLineItems_(spreadsheet, documentType, documentId) {
+  var sheet = getSheet(spreadsheet, LINE_ITEMS_SHEET);
+  if (!sheet) return;
+  var lastRow = sheet.getLastRow();
+  if (lastRow < 2) return;
+  var keys = sheet.getRange(2, 1, lastRow - 1, 2).getValues();
+  // Delete bottom-up in contiguous blocks so row numbers stay valid
+  var end = -1;
+  for (var i = keys.length - 1; i >= -1; i--) {
+    var matches =
+      i >= 0 &&
+      String(keys[i][0]) === documentType &&
+      String(keys[i][1]) === String(documentId);
+    if (matches && end === -1) end = i;
+    if (!matches && end !== -1) {
+      sheet.deleteRows(i + 3, end - i);
+      end = -1;
+    }
+  }
+}
+
+/**
+ * Run a document row write and its line item changes under the script lock.
+ * Lines of every document share one sheet and are deleted by row number, so
+ * two saves at once could remove each other's rows. Invoice and credit note
+ * creation already hold the lock and call writeLineItems_ directly.
+ * @param {Function} write - Writes the row and the line items
+ */
+function runWithLineItemsLock_(write) {
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(LINE_ITEMS_LOCK_TIMEOUT_MS)) {
+    throw new Error("Line items are busy. Please try again.");
+  }
+  try {
+    write();
+  } finally {
+    try {
+      lock.releaseLock();
+    } catch (error) {
+      console.warn("Could not release line items lock:", error);
+    }
+  }
+}
+
+/**
+ * Replace the line items of one document
+ * @param {Spreadsheet} spreadsheet
+ * @param {string} documentType - LINE_ITEM_TYPE_*
+ * @param {string} documentId
+ * @param {Array} lines - [{ service, period, quantity, rate, amount }]
+ */
+function writeLineItems_(spreadsheet, documentType, documentId, lines) {
+  deleteLineItems_(spreadsheet, documentType, documentId);
+  var rows = buildLineItemRows_(
+    documentType,
+    documentId,
+    (lines || []).filter(hasLineItemContent_)
+  );
+  if (!rows.length) return;
+  var sheet = getLineItemsSheet_(spreadsheet);
+  sheet
+    .getRange(sheet.getLastRow() + 1, 1, rows.length, LINE_ITEMS_HEADERS.length)
+    .setValues(rows);
+}
+
+// ── Layout converters ───────────────────────────────────────────────────────
+
+// Invoice form items: [#, Service, Period, Quantity, Rate/hour, Amount]
+function invoiceItemsToLines_(items) {
+  return (items || []).map(function (item) {
+    return {
+      service: lineItemText_(item[1]),
+      period: lineItemText_(item[2]),
+      quantity: lineItemText_(item[3]),
+      rate: lineItemText_(item[4]),
+      amount: lineItemText_(item[5]),
+    };
+  });
+}
+
+function linesToInvoiceItems_(lines) {
+  return lines.map(function (line, i) {
+    return [String(i + 1), line.service, line.period, line.quantity, line.rate, line.amount];
+  });
+}
+
+// Credit note form items: [#, Description, Period, Amount]
+function creditNoteItemsToLines_(items) {
+  return (items || []).map(function (item) {
+    return {
+      service: lineItemText_(item[1]),
+      period: lineItemText_(item[2]),
+      quantity: "",
+      rate: "",
+      amount: lineItemText_(item[3]),
+    };
+  });
+}
+
+function linesToCreditNoteItems_(lines) {
+  return lines.map(function (line, i) {
+    return [String(i + 1), line.service, line.period, line.amount];
+  });
+}
+
+// Bill form services: { services, period, hours, rate, amount }
+function billServicesToLines_(services) {
+  return (services || []).map(function (svc) {
+    svc = svc || {};
+    return {
+      service: lineItemText_(svc.services),
+      period: lineItemText_(svc.period),
+      quantity: lineItemText_(svc.hours),
+      rate: lineItemText_(svc.rate),
+      amount: lineItemText_(svc.amount),
+    };
+  });
+}
+
+function linesToBillServices_(lines) {
+  return lines.map(function (line) {
+    return {
+      services: line.service,
+      period: line.period,
+      hours: line.quantity,
+      rate: line.rate,
+      amount: line.amount,
+    };
+  });
+}
+
+// ── Wide layout readers (documents saved before the line-items sheet) ───────
+
+function readInvoiceWideItems_(row, colMap) {
+  var items = [];
+  for (var n = 1; n <= CONFIG.INVOICE_TABLE.MAX_ROWS; n++) {
+    var numKey = "Row " + n + " #";
+    if (colMap[numKey] === undefined) continue;
+    var item = [
+      row[colMap[numKey]] || "",
+      row[colMap["Row " + n + " Service"]] || "",
+      row[colMap["Row " + n + " Period"]] || "",
+      row[colMap["Row " + n + " Quantity"]] || "",
+      row[colMap["Row " + n + " Rate/hour"]] || "",
+      row[colMap["Row " + n + " Amount"]] || "",
+    ];
+    if (item.some(function (cell) { return cell && cell.toString().trim() !== ""; })) {
+      items.push(item);
+    }
+  }
+  return items;
+}
+
+function readCreditNoteWideItems_(row) {
+  var items = [];
+  for (var i = 0; i < CONFIG.CREDIT_NOTE_TABLE.MAX_ROWS; i++) {
+    var base = CREDIT_NOTE_WIDE_FIRST_COLUMN + i * CREDIT_NOTE_WIDE_COLUMNS_PER_ROW;
+    var item = row.slice(base, base + CREDIT_NOTE_WIDE_COLUMNS_PER_ROW);
+    if (item.some(function (cell) { return cell && cell.toString().trim() !== ""; })) {
+      items.push(item);
+    }
+  }
+  return items;
+}
+
+// displayRow is used for the period so "01.2025" is not read back as a date.
+function readBillWideServices_(row, displayRow, columnMap) {
+  function cell(values, name) {
+    var idx = columnMap[name];
+    if (idx === undefined) return "";
+    var value = values[idx];
+    return value === null || value === undefined ? "" : String(value);
+  }
+  var services = [];
+  for (var n = 1; n <= BILL_WIDE_SERVICE_ROWS; n++) {
+    var svc = cell(row, "Вид услуг" + n);
+    var hrs = cell(row, "Часы" + n);
+    var rt = cell(row, "Рейт" + n);
+    var amt = cell(row, "Сумма" + n);
+    if (!svc && !hrs && !rt && !amt) continue;
+    services.push({
+      services: svc,
+      period: cell(displayRow, "Период работы" + n),
+      hours: hrs,
+      rate: rt,
+      amount: amt,
+    });
+  }
+  return services;
+}
+
+// ── Migration ───────────────────────────────────────────────────────────────
+
+function migrateSheetLineItems_(spreadsheet, sheet, documentType, toLines, existing) {
+  var values = sheet.getDataRange().getValues();
+  var displayValues = sheet.getDataRange().getDisplayValues();
+  var colMap = buildColumnMap(values[0] || []);
+  var rows = [];
+  var documents = 0;
+  for (var i = 1; i < values.length; i++) {
+    var documentId = lineItemText_(values[i][colMap["ID"] !== undefined ? colMap["ID"] : 0]);
+    if (!documentId || existing[lineItemKey_(documentType, documentId)]) continue;
+    var lines = toLines(values[i], displayValues[i], colMap).filter(hasLineItemContent_);
+    if (!lines.length) continue;
+    rows = rows.concat(buildLineItemRows_(documentType, documentId, lines));
+    documents++;
+  }
+  if (rows.length) {
+    var target = getLineItemsSheet_(spreadsheet);
+    target
+      .getRange(target.getLastRow() + 1, 1, rows.length, LINE_ITEMS_HEADERS.length)
+      .setValues(rows);
+  }
+  return documents;
+}
+
+/**
+ * Copy line items of documents saved in the wide layout into "Line Items".
+ * Documents that already have line items are skipped, so it can be re-run.
+ * @returns {Object} { success, invoices, creditNotes, bills } counts of migrated documents
+ */
+function migrateLineItemsFromData() {
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) {
+    return { success: false, message: "The sheet is busy. Please try again." };
+  }
+  try {
+    var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+    var existing = readAllLineItems_(spreadsheet);
+    var invoices = migrateSheetLineItems_(
+      spreadsheet,
+      getSheet(spreadsheet, CONFIG.SHEETS.INVOICES),
+      LINE_ITEM_TYPE_INVOICE,
+      function (row, displayRow, colMap) {
+        return invoiceItemsToLines_(readInvoiceWideItems_(row, colMap));
+      },
+      existing
+    );
+    var creditNotes = migrateSheetLineItems_(
+      spreadsheet,
+      getSheet(spreadsheet, CONFIG.SHEETS.CREDITNOTES),
+      LINE_ITEM_TYPE_CREDIT_NOTE,
+      function (row) {
+        return creditNoteItemsToLines_(readCreditNoteWideItems_(row));
+      },
+      existing
+    );
+
+    var billsSpreadsheet = SpreadsheetApp.openById(CONFIG.BILLS_SPREADSHEET_ID);
+    var billsSheet = billsSpreadsheet.getSheetByName(CONFIG.SHEETS.BILLS);
+    var bills = billsSheet
+      ? migrateSheetLineItems_(
+          billsSpreadsheet,
+          billsSheet,
+          LINE_ITEM_TYPE_BILL,
+          function (row, displayRow, colMap) {
+            return billServicesToLines_(readBillWideServices_(row, displayRow, colMap));
+          },
+          readAllLineItems_(billsSpreadsheet)
+        )
+      : 0;
+
+    return { success: true, invoices: invoices, creditNotes: creditNotes, bills: bills };
+  } catch (error) {
+    console.error("Line items migration failed:", error);
+    return { success: false, message: error.message };
+  } finally {
+    try {
+      lock.releaseLock();
+    } catch (error) {
+      console.warn("Could not release line items lock:", error);
+    }
+  }
+}
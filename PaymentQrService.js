@@ -0,0 +1,566 @@
+// Payment QR code for invoice documents ({Payment QR} placeholder).
+//
+// EUR invoices get an EPC069-12 (SEPA credit transfer) code, CZK invoices a
+// SPAYD ("QR Platba") code. Both are built from the IBAN in Bank Details 1/2,
+// the total and the invoice number. The QR symbol is encoded here (byte mode,
+// error correction level M as EPC069-12 requires) and written as a PNG, so no
+// external QR service sees payment data. Other currencies, or bank details
+// without an IBAN, leave the placeholder empty.
+
+var PAYMENT_QR_PLACEHOLDER = "\\{Payment QR\\}";
+var PAYMENT_QR_SIZE_PT = 120;
+var PAYMENT_QR_MODULE_PX = 8;
+var PAYMENT_QR_QUIET_ZONE = 4;
+
+// Error correction level M, indexed by version (1-40)
+var QR_ECC_CODEWORDS_PER_BLOCK_M = [
+  -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26,
+  26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+];
+var QR_ERROR_CORRECTION_BLOCKS_M = [
+  -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18,
+  20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49,
+];
+var QR_FORMAT_BITS_M = 0;
+
+// ── Payment payloads ────────────────────────────────────────────────────────
+
+function paymentQrText_(value, maxLength) {
+  return eInvoiceText_(value).replace(/\s+/g, " ").slice(0, maxLength);
+}
+
+/**
+ * EPC069-12 payload (version 002, UTF-8, SEPA credit transfer)
+ * @returns {string}
+ */
+function buildEpcQrPayload_(payment) {
+  return [
+    "BCD",
+    "002",
+    "1",
+    "SCT",
+    payment.bic,
+    paymentQrText_(payment.beneficiary, 70),
+    payment.iban,
+    "EUR" + payment.amount.toFixed(2),
+    "",
+    "",
+    paymentQrText_("Invoice " + payment.reference, 140),
+  ].join("\n");
+}
+
+/**
+ * SPAYD 1.0 payload (Czech "QR Platba")
+ * @returns {string}
+ */
+function buildSpaydQrPayload_(payment) {
+  function value(text) {
+    return String(text).replace(/\*/g, "");
+  }
+  var fields = [
+    "SPD",
+    "1.0",
+    "ACC:" + payment.iban + (payment.bic ? "+" + payment.bic : ""),
+    "AM:" + payment.amount.toFixed(2),
+    "CC:CZK",
+  ];
+  if (payment.dueDate) fields.push("DT:" + payment.dueDate);
+  var variableSymbol = payment.reference.replace(/\D/g, "").slice(-10);
+  if (variableSymbol) fields.push("X-VS:" + variableSymbol);
+  fields.push("MSG:" + value(paymentQrText_("Invoice " + payment.reference, 60)));
+  return fields.join("*");
+}
+
+/**
+ * QR payload for an invoice, or "" when it gets no payment QR
+ * @param {Object} data - Invoice form data (currency, bankDetails1/2, invoiceNumber, dueDate, ourCompany)
+ * @param {number} totalAmount
+ * @returns {string}
+ */
+function buildPaymentQrPayload_(data, totalAmount) {
+  var currencyCode = eInvoiceCurrencyCode_(data.currency);
+  var amount = roundInvoiceAmount_(totalAmount);
+  if ((currencyCode !== "EUR" && currencyCode !== "CZK") || amount <= 0) return "";
+
+  var bank = parseEInvoiceBankDetails_(
+    [data.bankDetails1, data.bankDetails2].map(eInvoiceText_).join("\n")
+  );
+  if (!bank.iban) return "";
+
+  var company = getOurCompanyDetails_(getSpreadsheet(CONFIG.SPREADSHEET_ID), data.ourCompany);
+  // Form due dates are dd/MM/yyyy; SPAYD wants yyyyMMdd
+  var dueParts = eInvoiceText_(data.dueDate).match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  var payment = {
+    iban: bank.iban,
+    bic: bank.bic,
+    amount: amount,
+    beneficiary: (company && company.name) || data.ourCompany,
+    reference: eInvoiceText_(data.invoiceNumber),
+    dueDate: dueParts ? dueParts[3] + dueParts[2] + dueParts[1] : "",
+  };
+  return currencyCode === "EUR" ? buildEpcQrPayload_(payment) : buildSpaydQrPayload_(payment);
+}
+
+/**
+ * Replace the {Payment QR} placeholder with the payment QR image, or remove
+ * it when the invoice gets no QR
+ * @param {Body} body - Invoice document body
+ * @param {Object} data - Invoice form data
+ * @param {number} totalAmount
+ */
+function insertPaymentQr(body, data, totalAmount) {
+  var found = body.findText(PAYMENT_QR_PLACEHOLDER);
+  if (!found) return;
+
+  var payload = "";
+  try {
+    payload = buildPaymentQrPayload_(data, totalAmount);
+  } catch (error) {
+    console.warn("Could not build payment QR:", error);
+  }
+
+  while (found) {
+    var text = found.getElement().asText();
+    text.deleteText(found.getStartOffset(), found.getEndOffsetInclusive());
+    if (payload) {
+      var paragraph = text.getParent();
+      var image = paragraph.insertInlineImage(
+        paragraph.getChildIndex(text) + 1,
+        createQrPngBlob_(payload, "payment-qr.png")
+      );
+      image.setWidth(PAYMENT_QR_SIZE_PT).setHeight(PAYMENT_QR_SIZE_PT);
+    }
+    found = body.findText(PAYMENT_QR_PLACEHOLDER);
+  }
+}
+
+// ── QR encoder (byte mode, level M) ─────────────────────────────────────────
+
+function qrRawDataModules_(version) {
+  var result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    var numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function qrDataCodewords_(version) {
+  return (
+    Math.floor(qrRawDataModules_(version) / 8) -
+    QR_ECC_CODEWORDS_PER_BLOCK_M[version] * QR_ERROR_CORRECTION_BLOCKS_M[version]
+  );
+}
+
+function qrGfMultiply_(x, y) {
+  var z = 0;
+  for (var i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z & 0xff;
+}
+
+function qrReedSolomonDivisor_(degree) {
+  var result = [];
+  for (var i = 0; i < degree - 1; i++) result.push(0);
+  result.push(1);
+  var root = 1;
+  for (var k = 0; k < degree; k++) {
+    for (var j = 0; j < result.length; j++) {
+      result[j] = qrGfMultiply_(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = qrGfMultiply_(root, 0x02);
+  }
+  return result;
+}
+
+function qrReedSolomonRemainder_(data, divisor) {
+  var result = divisor.map(function () {
+    return 0;
+  });
+  data.forEach(function (b) {
+    var factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach(function (coef, i) {
+      result[i] ^= qrGfMultiply_(coef, factor);
+    });
+  });
+  return result;
+}
+
+// Data codewords for the smallest version that fits, with the version
+function qrEncodeData_(bytes) {
+  var version = 1;
+  for (; version <= 40; version++) {
+    var countBits = version <= 9 ? 8 : 16;
+    if (4 + countBits + bytes.length * 8 <= qrDataCodewords_(version) * 8) break;
+  }
+  if (version > 40) throw new Error("Payment QR data is too long.");
+
+  var bits = [];
+  function append(value, length) {
+    for (var i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  }
+  append(0x4, 4); // byte mode
+  append(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(function (b) {
+    append(b, 8);
+  });
+
+  var capacityBits = qrDataCodewords_(version) * 8;
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (var pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+  var codewords = [];
+  for (var i = 0; i < bits.length; i += 8) {
+    var b = 0;
+    for (var j = 0; j < 8; j++) b = (b << 1) | bits[i + j];
+    codewords.push(b);
+  }
+  return { version: version, codewords: codewords };
+}
+
+// Split into blocks, add error correction and interleave
+function qrAddErrorCorrection_(version, data) {
+  var numBlocks = QR_ERROR_CORRECTION_BLOCKS_M[version];
+  var blockEccLen = QR_ECC_CODEWORDS_PER_BLOCK_M[version];
+  var rawCodewords = Math.floor(qrRawDataModules_(version) / 8);
+  var numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  var shortBlockLen = Math.floor(rawCodewords / numBlocks);
+  var divisor = qrReedSolomonDivisor_(blockEccLen);
+
+  var blocks = [];
+  for (var i = 0, k = 0; i < numBlocks; i++) {
+    var dataLen = shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1);
+    var dat = data.slice(k, k + dataLen);
+    k += dataLen;
+    var ecc = qrReedSolomonRemainder_(dat, divisor);
+    if (i < numShortBlocks) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+
+  var result = [];
+  for (var n = 0; n < blocks[0].length; n++) {
+    for (var b = 0; b < blocks.length; b++) {
+      // Skip the padding byte of short blocks
+      if (n !== shortBlockLen - blockEccLen || b >= numShortBlocks) {
+        result.push(blocks[b][n]);
+      }
+    }
+  }
+  return result;
+}
+
+function qrAlignmentPositions_(version) {
+  if (version === 1) return [];
+  var numAlign = Math.floor(version / 7) + 2;
+  var step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  var result = [6];
+  for (var pos = version * 4 + 10; result.length < numAlign; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+}
+
+/**
+ * Encode text as a QR symbol
+ * @param {string} text
+ * @returns {Array} Square matrix of booleans (true = dark), without quiet zone
+ */
+function encodeQrMatrix_(text) {
+  var bytes = Utilities.newBlob(text).getBytes().map(function (b) {
+    return b & 0xff;
+  });
+  var encoded = qrEncodeData_(bytes);
+  var version = encoded.version;
+  var size = version * 4 + 17;
+  var modules = [];
+  var isFunction = [];
+  for (var y = 0; y < size; y++) {
+    modules.push(new Array(size).fill(false));
+    isFunction.push(new Array(size).fill(false));
+  }
+
+  function setFunction(x, y, dark) {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  }
+
+  function drawFormatBits(mask) {
+    var data = (QR_FORMAT_BITS_M << 3) | mask;
+    var rem = data;
+    for (var i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    var bits = ((data << 10) | rem) ^ 0x5412;
+    function bit(i) {
+      return ((bits >>> i) & 1) !== 0;
+    }
+    for (var a = 0; a <= 5; a++) setFunction(8, a, bit(a));
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for (var b = 9; b < 15; b++) setFunction(14 - b, 8, bit(b));
+    for (var c = 0; c < 8; c++) setFunction(size - 1 - c, 8, bit(c));
+    for (var d = 8; d < 15; d++) setFunction(8, size - 15 + d, bit(d));
+    setFunction(8, size - 8, true);
+  }
+
+  // Timing patterns, finder patterns, alignment patterns, version information
+  for (var t = 0; t < size; t++) {
+    setFunction(6, t, t % 2 === 0);
+    setFunction(t, 6, t % 2 === 0);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(function (center) {
+    for (var dy = -4; dy <= 4; dy++) {
+      for (var dx = -4; dx <= 4; dx++) {
+        var xx = center[0] + dx;
+        var yy = center[1] + dy;
+        var dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (xx >= 0 && xx < size && yy >= 0 && yy < size) {
+          setFunction(xx, yy, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+  });
+  var alignPos = qrAlignmentPositions_(version);
+  var last = alignPos.length - 1;
+  alignPos.forEach(function (ay, i) {
+    alignPos.forEach(function (ax, j) {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (var dy = -2; dy <= 2; dy++) {
+        for (var dx = -2; dx <= 2; dx++) {
+          setFunction(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+  drawFormatBits(0);
+  if (version >= 7) {
+    var rem = version;
+    for (var r = 0; r < 12; r++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    var versionBits = (version << 12) | rem;
+    for (var v = 0; v < 18; v++) {
+      var dark = ((versionBits >>> v) & 1) !== 0;
+      var va = size - 11 + (v % 3);
+      var vb = Math.floor(v / 3);
+      setFunction(va, vb, dark);
+      setFunction(vb, va, dark);
+    }
+  }
+
+  // Data in the zigzag order
+  var codewords = qrAddErrorCorrection_(version, encoded.codewords);
+  var bitIndex = 0;
+  for (var right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (var vert = 0; vert < size; vert++) {
+      for (var col = 0; col < 2; col++) {
+        var x = right - col;
+        var upward = ((right + 1) & 2) === 0;
+        var yPos = upward ? size - 1 - vert : vert;
+        if (!isFunction[yPos][x] && bitIndex < codewords.length * 8) {
+          modules[yPos][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) !== 0;
+          bitIndex++;
+        }
+      }
+    }
+  }
+
+  // Pick the mask with the lowest penalty
+  function applyMask(mask) {
+    for (var my = 0; my < size; my++) {
+      for (var mx = 0; mx < size; mx++) {
+        var invert;
+        switch (mask) {
+          case 0: invert = (mx + my) % 2 === 0; break;
+          case 1: invert = my % 2 === 0; break;
+          case 2: invert = mx % 3 === 0; break;
+          case 3: invert = (mx + my) % 3 === 0; break;
+          case 4: invert = (Math.floor(mx / 3) + Math.floor(my / 2)) % 2 === 0; break;
+          case 5: invert = ((mx * my) % 2) + ((mx * my) % 3) === 0; break;
+          case 6: invert = (((mx * my) % 2) + ((mx * my) % 3)) % 2 === 0; break;
+          default: invert = (((mx + my) % 2) + ((mx * my) % 3)) % 2 === 0;
+        }
+        if (invert && !isFunction[my][mx]) modules[my][mx] = !modules[my][mx];
+      }
+    }
+  }
+
+  var bestMask = 0;
+  var bestPenalty = Infinity;
+  for (var mask = 0; mask < 8; mask++) {
+    applyMask(mask);
+    drawFormatBits(mask);
+    var penalty = qrPenaltyScore_(modules);
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    applyMask(mask); // XOR again to undo
+  }
+  applyMask(bestMask);
+  drawFormatBits(bestMask);
+  return modules;
+}
+
+// Penalty rules of ISO/IEC 18004 section 7.8.3
+function qrPenaltyScore_(modules) {
+  var size = modules.length;
+  var result = 0;
+  var finderLike = [true, false, true, true, true, false, true];
+
+  function lineAt(i, j, vertical) {
+    return vertical ? modules[j][i] : modules[i][j];
+  }
+
+  function isLight(i, j, vertical) {
+    return j < 0 || j >= size || !lineAt(i, j, vertical);
+  }
+
+  [false, true].forEach(function (vertical) {
+    for (var i = 0; i < size; i++) {
+      var runLength = 0;
+      for (var j = 0; j < size; j++) {
+        if (j > 0 && lineAt(i, j, vertical) === lineAt(i, j - 1, vertical)) {
+          runLength++;
+          if (runLength === 5) result += 3;
+          else if (runLength > 5) result++;
+        } else {
+          runLength = 1;
+        }
+        // 1:1:3:1:1 pattern with four light modules on one side
+        var matches = j + 7 <= size;
+        for (var k = 0; matches && k < 7; k++) {
+          matches = lineAt(i, j + k, vertical) === finderLike[k];
+        }
+        if (matches) {
+          var before = true;
+          var after = true;
+          for (var m = 1; m <= 4; m++) {
+            before = before && isLight(i, j - m, vertical);
+            after = after && isLight(i, j + 6 + m, vertical);
+          }
+          if (before || after) result += 40;
+        }
+      }
+    }
+  });
+
+  var dark = 0;
+  for (var y = 0; y < size; y++) {
+    for (var x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (
+        x < size - 1 &&
+        y < size - 1 &&
+        modules[y][x] === modules[y][x + 1] &&
+        modules[y][x] === modules[y + 1][x] &&
+        modules[y][x] === modules[y + 1][x + 1]
+      ) {
+        result += 3;
+      }
+    }
+  }
+  var total = size * size;
+  result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return result;
+}
+
+// ── PNG writer (1-bit grayscale, stored deflate blocks) ─────────────────────
+
+var qrCrcTable_ = null;
+
+function qrCrc32_(bytes) {
+  if (!qrCrcTable_) {
+    qrCrcTable_ = [];
+    for (var n = 0; n < 256; n++) {
+      var c = n;
+      for (var k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      qrCrcTable_.push(c >>> 0);
+    }
+  }
+  var crc = 0xffffffff;
+  for (var i = 0; i < bytes.length; i++) {
+    crc = qrCrcTable_[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function qrUint32Bytes_(value) {
+  return [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+}
+
+function qrPngChunk_(type, data) {
+  var typeAndData = type.split("").map(function (ch) {
+    return ch.charCodeAt(0);
+  }).concat(data);
+  return qrUint32Bytes_(data.length)
+    .concat(typeAndData)
+    .concat(qrUint32Bytes_(qrCrc32_(typeAndData)));
+}
+
+// zlib stream of stored (uncompressed) deflate blocks
+function qrZlibStored_(bytes) {
+  var out = [0x78, 0x01];
+  for (var offset = 0; offset < bytes.length || offset === 0; offset += 65535) {
+    var block = bytes.slice(offset, offset + 65535);
+    var isLast = offset + 65535 >= bytes.length;
+    out.push(isLast ? 1 : 0, block.length & 0xff, block.length >>> 8);
+    out.push(~block.length & 0xff, (~block.length >>> 8) & 0xff);
+    Array.prototype.push.apply(out, block);
+    if (isLast) break;
+  }
+  var a = 1;
+  var b = 0;
+  for (var i = 0; i < bytes.length; i++) {
+    a = (a + bytes[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return out.concat(qrUint32Bytes_(((b << 16) | a) >>> 0));
+}
+
+/**
+ * Render text as a QR code PNG
+ * @param {string} text
+ * @param {string} name - Blob name
+ * @returns {Blob}
+ */
+function createQrPngBlob_(text, name) {
+  var modules = encodeQrMatrix_(text);
+  var scale = PAYMENT_QR_MODULE_PX;
+  var quiet = PAYMENT_QR_QUIET_ZONE;
+  var width = (modules.length + quiet * 2) * scale;
+  var rowBytes = Math.ceil(width / 8);
+
+  var raw = [];
+  for (var py = 0; py < width; py++) {
+    raw.push(0); // filter type: none
+    var my = Math.floor(py / scale) - quiet;
+    for (var byteIndex = 0; byteIndex < rowBytes; byteIndex++) {
+      var value = 0;
+      for (var bit = 0; bit < 8; bit++) {
+        var px = byteIndex * 8 + bit;
+        var mx = Math.floor(px / scale) - quiet;
+        var dark =
+          px < width && my >= 0 && my < modules.length && mx >= 0 && mx < modules.length &&
+          modules[my][mx];
+        // 1 = white in 1-bit grayscale
+        if (!dark) value |= 0x80 >>> bit;
+      }
+      raw.push(value);
+    }
+  }
+
+  var header = qrUint32Bytes_(width).concat(qrUint32Bytes_(width), [1, 0, 0, 0, 0]);
+  var png = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]
+    .concat(qrPngChunk_("IHDR", header))
+    .concat(qrPngChunk_("IDAT", qrZlibStored_(raw)))
+    .concat(qrPngChunk_("IEND", []));
+  var signed = png.map(function (b) {
+    return b > 127 ? b - 256 : b;
+  });
+  return Utilities.newBlob(signed, "image/png", name);
+}
@@ -0,0 +1,225 @@
+// Peppol BIS Billing 3.0 (UBL 2.1) export for invoices and credit notes.
+//
+// Before anything is saved the document is checked against a local subset of
+// the EN 16931 / Peppol schematron rules that our data can break. Violations
+// are returned as "[rule ID] message" so they can be looked up in the Peppol
+// documentation. Electronic addresses use the "EM" (email) scheme: Our
+// Companies "Email" for the seller and the client card's "Mail to" for the
+// buyer.
+
+var PEPPOL_CUSTOMIZATION_ID =
+  "urn:cen.eu:en16931:2017#compliant#urn:fdc:peppol.eu:2017:poacc:billing:3.0";
+var PEPPOL_PROFILE_ID = "urn:fdc:peppol.eu:2017:poacc:billing:01:1.0";
+var PEPPOL_ENDPOINT_SCHEME_EMAIL = "EM";
+var PEPPOL_PAYMENT_MEANS_CREDIT_TRANSFER = "30";
+var UBL_INVOICE_NAMESPACE = "urn:oasis:names:specification:ubl:schema:xsd:Invoice-2";
+var UBL_CREDIT_NOTE_NAMESPACE = "urn:oasis:names:specification:ubl:schema:xsd:CreditNote-2";
+var UBL_CAC_NAMESPACE =
+  "urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2";
+var UBL_CBC_NAMESPACE =
+  "urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2";
+var EU_COUNTRY_CODES = [
+  "AT", "BE", "BG", "CY", "CZ", "DE", "DK", "EE", "ES", "FI", "FR", "GR", "HR", "HU",
+  "IE", "IT", "LT", "LU", "LV", "MT", "NL", "PL", "PT", "RO", "SE", "SI", "SK",
+];
+
+/**
+ * VAT category of the document (UNCL5305): standard rated when there is
+ * tax, otherwise the client's VAT regime when it is set, else guessed:
+ * reverse charge for EU business clients in another country, export outside
+ * the EU, or not subject to VAT when we have no VAT ID.
+ * @returns {Object} { id, percent, exemptionReason }
+ */
+function getPeppolTaxCategory_(model) {
+  var supplierCountry = model.supplier ? model.supplier.countryCode : "";
+  var customerCountry = model.customer.countryCode;
+  if (model.taxRate > 0) {
+    return { id: "S", percent: model.taxRate, exemptionReason: "" };
+  }
+  if (!model.supplier || !model.supplier.vatId) {
+    return { id: "O", percent: null, exemptionReason: "Not subject to VAT" };
+  }
+  if (model.vatRegime === VAT_REGIME_REVERSE_CHARGE) {
+    return { id: "AE", percent: 0, exemptionReason: "Reverse charge" };
+  }
+  if (model.vatRegime === VAT_REGIME_EXPORT) {
+    return { id: "G", percent: 0, exemptionReason: "Export outside the EU" };
+  }
+  if (model.vatRegime === VAT_REGIME_EXEMPT) {
+    return { id: "E", percent: 0, exemptionReason: "Exempt from VAT" };
+  }
+  if (
+    model.customer.vatId &&
+    EU_COUNTRY_CODES.indexOf(customerCountry) !== -1 &&
+    customerCountry !== supplierCountry
+  ) {
+    return { id: "AE", percent: 0, exemptionReason: "Reverse charge" };
+  }
+  if (customerCountry && EU_COUNTRY_CODES.indexOf(customerCountry) === -1) {
+    return { id: "G", percent: 0, exemptionReason: "Export outside the EU" };
+  }
+  return { id: "E", percent: 0, exemptionReason: "Exempt from VAT" };
+}
+
+/**
+ * Local schematron-style check of the rules our data can break
+ * @param {Object} model - From loadEInvoiceDocument_
+ * @returns {Array} "[rule ID] message" for every violation
+ */
+function validatePeppolDocument_(model) {
+  var supplier = model.supplier || {};
+  var customer = model.customer;
+  var category = getPeppolTaxCategory_(model);
+  var violations = [];
+
+  function rule(id, holds, message) {
+    if (!holds) violations.push("[" + id + "] " + message);
+  }
+
+  rule("BR-06", !!supplier.name, "Seller name is missing.");
+  rule("BR-07", !!customer.name, "Buyer name is missing.");
+  rule("BR-11", /^[A-Z]{2}$/.test(customer.countryCode),
+    'Buyer country is unknown. Enter the client VAT ID with its country prefix in "Company number / VAT ID".');
+  rule("BR-CO-09", !supplier.vatId || /^[A-Z]{2}/.test(supplier.vatId),
+    "Seller VAT ID must start with the country code.");
+  rule("BR-S-02", category.id !== "S" || !!supplier.vatId,
+    "Standard rated documents need the seller VAT ID (Our Companies: VAT ID).");
+  rule("BR-AE-02", category.id !== "AE" || (!!supplier.vatId && !!customer.vatId),
+    "Reverse charge needs both the seller and the buyer VAT ID.");
+  rule("BR-E-02", category.id !== "E" || !!supplier.vatId,
+    "VAT exempt documents need the seller VAT ID.");
+  rule("PEPPOL-EN16931-R020", !!supplier.email,
+    "Seller electronic address is missing (Our Companies: Email).");
+  rule("PEPPOL-EN16931-R010", !!customer.email,
+    'Buyer electronic address is missing (client card "Mail to").');
+  rule("BR-61", model.documentType !== "invoice" || !!model.bank.iban,
+    "Credit transfer needs the payment account: no IBAN found in Bank Details 1/2.");
+
+  model.lines.forEach(function (line, i) {
+    var lineNo = "Line " + (i + 1) + ": ";
+    rule("BR-27", line.unitPrice >= 0, lineNo + "item price must not be negative.");
+    rule("PEPPOL-EN16931-R120",
+      Math.abs(roundInvoiceAmount_(line.quantity * line.unitPrice) - roundInvoiceAmount_(line.amount)) <= 0.02,
+      lineNo + "amount " + eInvoiceAmount_(line.amount) + " is not quantity × rate (" +
+        line.quantity + " × " + eInvoiceAmount_(line.unitPrice) + ").");
+  });
+  return violations;
+}
+
+/**
+ * Build the Peppol BIS 3.0 UBL XML of a validated document
+ * @param {Object} model - From loadEInvoiceDocument_
+ * @returns {string} XML
+ */
+function buildPeppolXml_(model) {
+  var isInvoice = model.documentType === "invoice";
+  var rootNs = XmlService.getNamespace(
+    isInvoice ? UBL_INVOICE_NAMESPACE : UBL_CREDIT_NOTE_NAMESPACE
+  );
+  var cac = XmlService.getNamespace("cac", UBL_CAC_NAMESPACE);
+  var cbc = XmlService.getNamespace("cbc", UBL_CBC_NAMESPACE);
+  var category = getPeppolTaxCategory_(model);
+  var currency = model.currencyCode;
+
+  function agg(parent, name) {
+    return appendEInvoiceElement_(parent, cac, name, null);
+  }
+  function basic(parent, name, text) {
+    return appendEInvoiceElement_(parent, cbc, name, text);
+  }
+  function amount(parent, name, value) {
+    return basic(parent, name, eInvoiceAmount_(value)).setAttribute("currencyID", currency);
+  }
+  function taxCategory(parent, name) {
+    var element = agg(parent, name);
+    basic(element, "ID", category.id);
+    if (category.percent !== null) basic(element, "Percent", String(category.percent));
+    return element;
+  }
+  function party(parent, name, details) {
+    var partyElement = agg(agg(parent, name), "Party");
+    basic(partyElement, "EndpointID", details.email).setAttribute(
+      "schemeID",
+      PEPPOL_ENDPOINT_SCHEME_EMAIL
+    );
+    if (details.companyId) {
+      basic(agg(partyElement, "PartyIdentification"), "ID", details.companyId);
+    }
+    var address = agg(partyElement, "PostalAddress");
+    if (details.street) basic(address, "StreetName", details.street);
+    if (details.city) basic(address, "CityName", details.city);
+    if (details.postalCode) basic(address, "PostalZone", details.postalCode);
+    basic(agg(address, "Country"), "IdentificationCode", details.countryCode);
+    if (details.vatId) {
+      var taxScheme = agg(partyElement, "PartyTaxScheme");
+      basic(taxScheme, "CompanyID", details.vatId);
+      basic(agg(taxScheme, "TaxScheme"), "ID", "VAT");
+    }
+    var legal = agg(partyElement, "PartyLegalEntity");
+    basic(legal, "RegistrationName", details.name);
+    if (details.companyId) basic(legal, "CompanyID", details.companyId);
+  }
+
+  var root = XmlService.createElement(isInvoice ? "Invoice" : "CreditNote", rootNs);
+  basic(root, "CustomizationID", PEPPOL_CUSTOMIZATION_ID);
+  basic(root, "ProfileID", PEPPOL_PROFILE_ID);
+  basic(root, "ID", model.number);
+  basic(root, "IssueDate", model.issueDate);
+  if (isInvoice) {
+    basic(root, "DueDate", model.dueDate);
+    basic(root, "InvoiceTypeCode", "380");
+  } else {
+    basic(root, "CreditNoteTypeCode", "381");
+  }
+  if (model.note) basic(root, "Note", model.note);
+  basic(root, "DocumentCurrencyCode", currency);
+  basic(root, "BuyerReference", model.projectName);
+  if (model.originalInvoice) {
+    var invoiceReference = agg(agg(root, "BillingReference"), "InvoiceDocumentReference");
+    basic(invoiceReference, "ID", model.originalInvoice.number);
+    basic(invoiceReference, "IssueDate", model.originalInvoice.issueDate);
+  }
+
+  party(root, "AccountingSupplierParty", model.supplier);
+  party(root, "AccountingCustomerParty", model.customer);
+
+  if (model.bank.iban) {
+    var paymentMeans = agg(root, "PaymentMeans");
+    basic(paymentMeans, "PaymentMeansCode", PEPPOL_PAYMENT_MEANS_CREDIT_TRANSFER);
+    basic(paymentMeans, "PaymentID", model.number);
+    var account = agg(paymentMeans, "PayeeFinancialAccount");
+    basic(account, "ID", model.bank.iban);
+    if (model.bank.bic) basic(agg(account, "FinancialInstitutionBranch"), "ID", model.bank.bic);
+  }
+
+  var taxTotal = agg(root, "TaxTotal");
+  amount(taxTotal, "TaxAmount", model.taxAmount);
+  var taxSubtotal = agg(taxTotal, "TaxSubtotal");
+  amount(taxSubtotal, "TaxableAmount", model.subtotal);
+  amount(taxSubtotal, "TaxAmount", model.taxAmount);
+  var subtotalCategory = taxCategory(taxSubtotal, "TaxCategory");
+  if (category.exemptionReason) {
+    basic(subtotalCategory, "TaxExemptionReason", category.exemptionReason);
+  }
+  basic(agg(subtotalCategory, "TaxScheme"), "ID", "VAT");
+
+  var monetary = agg(root, "LegalMonetaryTotal");
+  amount(monetary, "LineExtensionAmount", model.subtotal);
+  amount(monetary, "TaxExclusiveAmount", model.subtotal);
+  amount(monetary, "TaxInclusiveAmount", model.total);
+  amount(monetary, "PayableAmount", model.total);
+
+  model.lines.forEach(function (line, i) {
+    var lineElement = agg(root, isInvoice ? "InvoiceLine" : "CreditNoteLine");
+    basic(lineElement, "ID", String(i + 1));
+    basic(lineElement, isInvoice ? "InvoicedQuantity" : "CreditedQuantity", String(line.quantity))
+      .setAttribute("unitCode", isInvoice ? "HUR" : "C62");
+    amount(lineElement, "LineExtensionAmount", line.amount);
+    var item = agg(lineElement, "Item");
+    basic(item, "Name", line.description);
+    basic(agg(taxCategory(item, "ClassifiedTaxCategory"), "TaxScheme"), "ID", "VAT");
+    amount(agg(lineElement, "Price"), "PriceAmount", line.unitPrice);
+  });
+
+  return XmlService.getPrettyFormat().format(XmlService.createDocument(root));
+}
@@ -0,0 +1,464 @@
+// Recurring invoice schedules, run by a daily time-driven trigger.
+//
+// "Recurring Invoices" holds one row per invoice line. Rows with the same
+// Schedule name make one invoice; the schedule-level columns (Project Name,
+// Day of Month, Next Run Date, Next Period, Active, Notify) are read from the
+// first row of the group. When Next Run Date is reached the invoice is created
+// through processInvoiceCreation, then Next Run Date and Next Period move one
+// month ahead. A summary of what was generated is emailed for review to the
+// Notify addresses, or to the trigger owner when Notify is empty.
+//
+// Run Period marks the period (yyyy-MM) being created before the invoice is
+// made, and Last Invoice ID is written as soon as it exists. A run that stops
+// in between (timeout, quota) leaves the marker behind, so the next run does
+// not create the same period twice: it moves on when Last Invoice ID points to
+// an existing invoice, and otherwise reports the schedule until Run Period is
+// cleared by hand.
+//
+// Period Pattern tokens, filled from Next Period: {MMMM} (January), {MMM}
+// (Jan), {MM} (01), {YYYY}, {YY}, {LAST} (last day of the month).
+
+var RECURRING_INVOICES_SHEET = "Recurring Invoices";
+var RECURRING_INVOICES_HEADERS = [
+  "Schedule",
+  "Project Name",
+  "Active",
+  "Day of Month",
+  "Next Run Date",
+  "Next Period",
+  "Service",
+  "Period Pattern",
+  "Quantity",
+  "Rate/hour",
+  "Notify",
+  "Last Invoice ID",
+  "Last Run",
+  "Last Result",
+  "Run Period",
+];
+var RECURRING_INVOICE_MONTH_NAMES = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+function isRecurringScheduleActive_(value) {
+  if (value === true) return true;
+  var text = String(value || "").trim().toLowerCase();
+  return text === "yes" || text === "true" || text === "1";
+}
+
+function lastDayOfRecurringMonth_(year, monthIndex) {
+  return new Date(year, monthIndex + 1, 0).getDate();
+}
+
+// Same day next month, clamped to the month length (31 → 30/28/29).
+function addRecurringMonth_(date, dayOfMonth) {
+  var year = date.getFullYear();
+  var monthIndex = date.getMonth() + 1;
+  if (monthIndex > 11) {
+    monthIndex = 0;
+    year++;
+  }
+  var day = Math.min(
+    dayOfMonth || date.getDate(),
+    lastDayOfRecurringMonth_(year, monthIndex)
+  );
+  return new Date(year, monthIndex, day);
+}
+
+function formatRecurringPeriod_(pattern, periodDate) {
+  var year = periodDate.getFullYear();
+  var monthIndex = periodDate.getMonth();
+  var monthName = RECURRING_INVOICE_MONTH_NAMES[monthIndex];
+  return String(pattern || "{MMMM} {YYYY}")
+    .replace(/\{MMMM\}/g, monthName)
+    .replace(/\{MMM\}/g, monthName.slice(0, 3))
+    .replace(/\{MM\}/g, String(monthIndex + 1).padStart(2, "0"))
+    .replace(/\{YYYY\}/g, String(year))
+    .replace(/\{YY\}/g, String(year).slice(-2))
+    .replace(/\{LAST\}/g, String(lastDayOfRecurringMonth_(year, monthIndex)));
+}
+
+function formatRecurringIsoDate_(date) {
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), "yyyy-MM-dd");
+}
+
+// Fallback when no rate is stored: rate of the project's most recent invoice
+// in the same currency with one.
+function getLastProjectExchangeRate_(spreadsheet, projectName, currencyCode) {
+  var values = getSheet(spreadsheet, CONFIG.SHEETS.INVOICES)
+    .getDataRange()
+    .getValues();
+  var colMap = buildColumnMap(values[0] || []);
+  var key = normalizeClientProjectName_(projectName);
+  var best = null;
+  for (var i = 1; i < values.length; i++) {
+    var row = values[i];
+    if (normalizeClientProjectName_(row[colMap["Project Name"]]) !== key) continue;
+    if (eInvoiceCurrencyCode_(row[colMap["Currency"]]) !== currencyCode) continue;
+    var rate = parseFloat(row[colMap["Exchange Rate"]]);
+    var date = row[colMap["Invoice Date"]];
+    if (!(rate > 0) || !(date instanceof Date)) continue;
+    if (!best || date > best.date) {
+      best = { rate: rate, date: date, number: String(row[colMap["Invoice Number"]] || "") };
+    }
+  }
+  return best;
+}
+
+// Sheets may turn a typed "2025-03" into a date; read both back as yyyy-MM.
+function readRecurringRunPeriod_(value) {
+  if (value instanceof Date) return getRecurringRunPeriod_(value);
+  return String(value || "").trim();
+}
+
+function getRecurringRunPeriod_(periodDate) {
+  return Utilities.formatDate(periodDate, Session.getScriptTimeZone(), "yyyy-MM");
+}
+
+function readRecurringSchedules_(sheet) {
+  var values = sheet.getDataRange().getValues();
+  var colMap = buildColumnMap(values[0] || []);
+  var schedules = {};
+  var order = [];
+  for (var i = 1; i < values.length; i++) {
+    var row = values[i];
+    var name = String(row[colMap["Schedule"]] || "").trim();
+    if (!name) continue;
+    if (!schedules[name]) {
+      schedules[name] = {
+        name: name,
+        projectName: String(row[colMap["Project Name"]] || "").trim(),
+        active: isRecurringScheduleActive_(row[colMap["Active"]]),
+        dayOfMonth: parseInt(row[colMap["Day of Month"]], 10) || 1,
+        nextRunDate: row[colMap["Next Run Date"]],
+        nextPeriod: row[colMap["Next Period"]],
+        runPeriod: readRecurringRunPeriod_(row[colMap["Run Period"]]),
+        lastInvoiceId: String(row[colMap["Last Invoice ID"]] || "").trim(),
+        notify: parseClientMailList_(row[colMap["Notify"]]),
+        lines: [],
+        sheetRows: [],
+      };
+      order.push(name);
+    }
+    schedules[name].sheetRows.push(i + 1);
+    schedules[name].lines.push({
+      service: String(row[colMap["Service"]] || "").trim(),
+      periodPattern: String(row[colMap["Period Pattern"]] || "").trim(),
+      quantity: parseFloat(row[colMap["Quantity"]]) || 0,
+      rate: parseFloat(row[colMap["Rate/hour"]]) || 0,
+    });
+  }
+  return {
+    colMap: colMap,
+    schedules: order.map(function (name) {
+      return schedules[name];
+    }),
+  };
+}
+
+function buildRecurringInvoiceData_(spreadsheet, schedule, runDate, periodDate) {
+  var details = getProjectDetailsFromData(schedule.projectName);
+  if (!hasInvoiceNumberingPattern(details.ourCompany)) {
+    throw new Error(
+      'No invoice numbering pattern for "' + details.ourCompany + '".'
+    );
+  }
+
+  var notes = [];
+  var subtotal = 0;
+  var items = schedule.lines.map(function (line, i) {
+    var amount = roundInvoiceAmount_(line.quantity * line.rate);
+    subtotal = roundInvoiceAmount_(subtotal + amount);
+    return [
+      String(i + 1),
+      line.service,
+      formatRecurringPeriod_(line.periodPattern, periodDate),
+      String(line.quantity),
+      line.rate.toFixed(2),
+      amount.toFixed(2),
+    ];
+  });
+  var taxRate = parseFloat(details.tax) || 0;
+  var total = roundInvoiceAmount_(subtotal + (subtotal * taxRate) / 100);
+
+  var exchangeRate = "";
+  var amountInEUR = "";
+  var currencyCode = getInvoiceCurrencyCode_(details.currency);
+  if (currencyCode !== ACCOUNTING_CURRENCY) {
+    var stored = findExchangeRate_(
+      readExchangeRateDays_(spreadsheet),
+      ACCOUNTING_CURRENCY,
+      currencyCode,
+      formatRecurringIsoDate_(runDate)
+    );
+    if (stored) {
+      exchangeRate = stored.rate.toFixed(4);
+      amountInEUR = (total / parseFloat(exchangeRate)).toFixed(2);
+      notes.push(
+        "Exchange rate " + exchangeRate + " (" + stored.source + ", " +
+          formatExchangeRateDateKey_(stored.date) + ")."
+      );
+    } else {
+      var last = getLastProjectExchangeRate_(
+        spreadsheet,
+        schedule.projectName,
+        currencyCode
+      );
+      if (!last) {
+        throw new Error(
+          "No stored " + currencyCode + " rate and no previous " + currencyCode +
+            " invoice to take the exchange rate from."
+        );
+      }
+      exchangeRate = last.rate.toFixed(4);
+      amountInEUR = (total / last.rate).toFixed(2);
+      notes.push("Exchange rate " + exchangeRate + " copied from invoice " + last.number + ".");
+    }
+  }
+
+  return {
+    data: {
+      projectName: schedule.projectName,
+      invoiceNumber: "",
+      clientName: details.clientName,
+      clientAddress: details.clientAddress,
+      clientNumber: details.clientNumber,
+      invoiceDate: formatRecurringIsoDate_(runDate),
+      dueDate: formatDate(computeInvoiceDueDate_(spreadsheet, runDate, details)),
+      tax: String(taxRate),
+      subtotal: subtotal.toFixed(2),
+      total: total.toFixed(2),
+      exchangeRate: exchangeRate,
+      currency: details.currency,
+      amountInEUR: amountInEUR,
+      bankDetails1: details.bankDetails1,
+      bankDetails2: details.bankDetails2,
+      ourCompany: details.ourCompany,
+      comment: "",
+      items: items,
+      templateId: details.templateId,
+    },
+    notes: notes,
+  };
+}
+
+function writeRecurringScheduleResult_(sheet, colMap, schedule, updates) {
+  schedule.sheetRows.forEach(function (sheetRow) {
+    Object.keys(updates).forEach(function (header) {
+      if (colMap[header] === undefined) return;
+      sheet.getRange(sheetRow, colMap[header] + 1).setValue(updates[header]);
+    });
+  });
+}
+
+function sendRecurringInvoicesSummary_(results) {
+  var byRecipient = {};
+  results.forEach(function (result) {
+    result.notify.forEach(function (email) {
+      var key = email.toLowerCase();
+      if (!byRecipient[key]) byRecipient[key] = [];
+      byRecipient[key].push(result);
+    });
+  });
+  var baseUrl = ScriptApp.getService().getUrl();
+
+  Object.keys(byRecipient).forEach(function (email) {
+    var lines = byRecipient[email].map(function (result) {
+      var text =
+        result.schedule + " (" + result.projectName + ", " + result.period + "): ";
+      if (!result.success) return text + "FAILED — " + result.message;
+      return (
+        text +
+        "invoice " +
+        result.invoiceNumber +
+        ", " +
+        result.total +
+        " " +
+        result.currency +
+        "\n  " +
+        baseUrl +
+        "?page=InvoiceGenerator&id=" +
+        encodeURIComponent(result.invoiceId) +
+        "&mode=view" +
+        (result.notes.length ? "\n  " + result.notes.join(" ") : "")
+      );
+    });
+    var failed = byRecipient[email].filter(function (result) {
+      return !result.success;
+    }).length;
+    var body =
+      "Recurring invoices generated for review:\n\n" +
+      lines.join("\n\n") +
+      "\n\nPlease check the invoices before sending them to clients.";
+    MailApp.sendEmail({
+      to: email,
+      subject:
+        "Recurring invoices: " +
+        (byRecipient[email].length - failed) +
+        " created" +
+        (failed ? ", " + failed + " failed" : ""),
+      body: body,
+      htmlBody: invoiceMailTextToHtml_(body),
+    });
+  });
+}
+
+/**
+ * Create the invoices of all recurring schedules that are due. Entry point of
+ * the daily trigger; limited to full-access users like the other scheduled
+ * jobs, since pages can call it too.
+ * @returns {Object} { success, results: [{ schedule, success, invoiceNumber|message }] }
+ */
+function generateRecurringInvoices() {
+  if (!isFullAccessUser(getCurrentUserEmail())) {
+    return {
+      success: false,
+      message: "No permission to generate recurring invoices.",
+    };
+  }
+  try {
+    var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+    // The sheet is created by installSettingsSheets, not by the trigger.
+    var sheet = getSheet(spreadsheet, RECURRING_INVOICES_SHEET);
+    if (!sheet) return { success: true, results: [] };
+    ensureSheetColumns_(sheet, RECURRING_INVOICES_HEADERS);
+    var read = readRecurringSchedules_(sheet);
+    var today = startOfInvoiceDay_();
+    var results = [];
+
+    read.schedules.forEach(function (schedule) {
+      if (!schedule.active) return;
+      if (!(schedule.nextRunDate instanceof Date)) return;
+      if (startOfInvoiceDay_(schedule.nextRunDate) > today) return;
+
+      var runDate = startOfInvoiceDay_(schedule.nextRunDate);
+      var periodDate =
+        schedule.nextPeriod instanceof Date ? schedule.nextPeriod : runDate;
+      var result = {
+        schedule: schedule.name,
+        projectName: schedule.projectName,
+        period: formatRecurringPeriod_("{MMMM} {YYYY}", periodDate),
+        notify: schedule.notify.length
+          ? schedule.notify
+          : [Session.getEffectiveUser().getEmail()],
+        notes: [],
+      };
+      var runAt = Utilities.formatDate(
+        new Date(),
+        Session.getScriptTimeZone(),
+        "dd/MM/yyyy HH:mm"
+      );
+
+      var runPeriod = getRecurringRunPeriod_(periodDate);
+      var nextDates = {
+        "Next Run Date": addRecurringMonth_(runDate, schedule.dayOfMonth),
+        "Next Period": addRecurringMonth_(
+          new Date(periodDate.getFullYear(), periodDate.getMonth(), 1),
+          1
+        ),
+      };
+      var marked = false;
+
+      try {
+        if (schedule.runPeriod === runPeriod) {
+          // An earlier run stopped after marking this period.
+          var earlier = schedule.lastInvoiceId
+            ? findInvoiceRowForPayments_(spreadsheet, schedule.lastInvoiceId)
+            : null;
+          if (!earlier) {
+            throw new Error(
+              "An earlier run for " + runPeriod + " did not finish. Check the " +
+                "project's invoices, then clear Run Period to try again."
+            );
+          }
+          result.success = true;
+          result.invoiceId = earlier.id;
+          result.invoiceNumber = earlier.invoiceNumber;
+          result.total = earlier.total.toFixed(2);
+          result.currency = earlier.currency;
+          result.notes = ["Created by an earlier run that did not finish."];
+          writeRecurringScheduleResult_(
+            sheet,
+            read.colMap,
+            schedule,
+            Object.assign({}, nextDates, {
+              "Last Run": runAt,
+              "Last Result": "Created " + earlier.invoiceNumber,
+            })
+          );
+        } else {
+          var built = buildRecurringInvoiceData_(spreadsheet, schedule, runDate, periodDate);
+          writeRecurringScheduleResult_(sheet, read.colMap, schedule, {
+            "Run Period": "'" + runPeriod,
+            "Last Invoice ID": "",
+          });
+          SpreadsheetApp.flush();
+          marked = true;
+          var created = processInvoiceCreation(built.data);
+          result.invoiceId = created.id;
+          writeRecurringScheduleResult_(sheet, read.colMap, schedule, {
+            "Last Invoice ID": created.id,
+          });
+          SpreadsheetApp.flush();
+          result.success = true;
+          result.invoiceNumber = created.invoiceNumber;
+          result.total = built.data.total;
+          result.currency = built.data.currency;
+          result.notes = built.notes;
+          writeRecurringScheduleResult_(
+            sheet,
+            read.colMap,
+            schedule,
+            Object.assign({}, nextDates, {
+              "Last Run": runAt,
+              "Last Result": "Created " + created.invoiceNumber,
+            })
+          );
+        }
+      } catch (error) {
+        console.error("Recurring schedule " + schedule.name + " failed:", error);
+        result.success = false;
+        result.message = error.message;
+        var failed = {
+          "Last Run": runAt,
+          "Last Result": "Failed: " + error.message,
+        };
+        // The invoice was not created (its row is removed on failure), so the
+        // period can be retried.
+        if (marked && !result.invoiceId) failed["Run Period"] = "";
+        writeRecurringScheduleResult_(sheet, read.colMap, schedule, failed);
+      }
+      results.push(result);
+    });
+
+    if (results.length) {
+      SpreadsheetApp.flush();
+      sendRecurringInvoicesSummary_(results);
+    }
+    return {
+      success: true,
+      results: results.map(function (result) {
+        return {
+          schedule: result.schedule,
+          success: result.success,
+          invoiceNumber: result.invoiceNumber || "",
+          message: result.message || "",
+        };
+      }),
+    };
+  } catch (error) {
+    console.error("Recurring invoices failed:", error);
+    return { success: false, message: error.message };
+  }
+}
@@ -0,0 +1,301 @@
+// Timesheet CSV import for invoice and bill lines.
+//
+// The time tracker export has one row per entry with the columns Person,
+// Role, Project, Date and Hours (in any order, "h:mm" or decimal hours).
+// Entries are grouped into one line per role and month. Invoice rates come
+// from the project's rates file ("Link to file with rates" on the client
+// card: a sheet with Role and Rate columns), bill rates from the roles/rates
+// of the contractor's latest contract. Nothing is saved here: the preview is
+// returned to the form, which adds the lines after the user confirms.
+
+var TIMESHEET_COLUMNS = ["person", "role", "project", "date", "hours"];
+var TIMESHEET_DOCUMENT_BILL = "bill";
+
+function timesheetKey_(value) {
+  return String(value || "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+// "1,200.50", "1.200,50", "1 200,5" and "7,5": with both separators the
+// last one is the decimal point; a separator repeated alone groups thousands.
+function parseTimesheetNumber_(value) {
+  var text = String(value || "").replace(/[^\d.,\-]/g, "");
+  var comma = text.lastIndexOf(",");
+  var dot = text.lastIndexOf(".");
+  if (comma !== -1 && dot !== -1) {
+    text = comma > dot
+      ? text.replace(/\./g, "").replace(",", ".")
+      : text.replace(/,/g, "");
+  } else if (text.split(",").length > 2) {
+    text = text.replace(/,/g, "");
+  } else if (text.split(".").length > 2) {
+    text = text.replace(/\./g, "");
+  } else {
+    text = text.replace(",", ".");
+  }
+  var number = parseFloat(text);
+  return isNaN(number) ? 0 : number;
+}
+
+// exchangeRateDateKey_ reads "7/15/2025" as month 15; such dates are rejected.
+function isValidTimesheetDateKey_(dateKey) {
+  var parts = dateKey.split("-").map(Number);
+  return (
+    parts[1] >= 1 &&
+    parts[1] <= 12 &&
+    parts[2] >= 1 &&
+    parts[2] <= new Date(parts[0], parts[1], 0).getDate()
+  );
+}
+
+// Decimal hours ("7.5", "7,5") or a duration ("7:30", "07:30:00")
+function parseTimesheetHours_(value) {
+  var text = String(value || "").trim();
+  var duration = text.match(/^(\d+):(\d{1,2})(?::(\d{1,2}))?$/);
+  if (duration) {
+    return (
+      Number(duration[1]) +
+      Number(duration[2]) / 60 +
+      Number(duration[3] || 0) / 3600
+    );
+  }
+  return parseTimesheetNumber_(text);
+}
+
+/**
+ * Parse a timesheet CSV export
+ * @param {string} csvText
+ * @returns {Object} { entries: [{ person, role, project, dateKey, hours }], problems }
+ */
+function parseTimesheetCsv_(csvText) {
+  var text = String(csvText || "").replace(/^\uFEFF/, "");
+  var firstLine = text.split(/\r?\n/)[0] || "";
+  var delimiter =
+    firstLine.split(";").length > firstLine.split(",").length ? ";" : ",";
+  var rows = Utilities.parseCsv(text, delimiter);
+  var problems = [];
+  if (!rows.length) return { entries: [], problems: ["The file is empty."] };
+
+  var colMap = {};
+  rows[0].forEach(function (header, index) {
+    var key = timesheetKey_(header);
+    if (TIMESHEET_COLUMNS.indexOf(key) !== -1 && colMap[key] === undefined) {
+      colMap[key] = index;
+    }
+  });
+  var missing = TIMESHEET_COLUMNS.filter(function (column) {
+    return colMap[column] === undefined;
+  });
+  if (missing.length) {
+    return {
+      entries: [],
+      problems: ["Missing columns: " + missing.join(", ") + "."],
+    };
+  }
+
+  var entries = [];
+  for (var i = 1; i < rows.length; i++) {
+    var row = rows[i];
+    if (row.join("").trim() === "") continue;
+    var dateKey = exchangeRateDateKey_(row[colMap.date]);
+    var hours = parseTimesheetHours_(row[colMap.hours]);
+    if (!dateKey || hours <= 0) {
+      problems.push("Row " + (i + 1) + " skipped: no valid date or hours.");
+      continue;
+    }
+    if (!isValidTimesheetDateKey_(dateKey)) {
+      problems.push(
+        "Row " + (i + 1) + ' skipped: "' + row[colMap.date] +
+          '" is not a valid date (day before month, or year-month-day).'
+      );
+      continue;
+    }
+    entries.push({
+      person: String(row[colMap.person] || "").trim(),
+      role: String(row[colMap.role] || "").trim(),
+      project: String(row[colMap.project] || "").trim(),
+      dateKey: dateKey,
+      hours: hours,
+    });
+  }
+  return { entries: entries, problems: problems };
+}
+
+/**
+ * Role rates from the project's rates file
+ * @param {string} projectName
+ * @returns {Object} { source, rates: { roleKey: rate } }
+ */
+function getTimesheetRatesFromProject_(projectName) {
+  var company = getClientCompanyByProject_(projectName);
+  var url = company ? company.linkRates : "";
+  if (!url) {
+    throw new Error(
+      "The client card of " + projectName + ' has no "' + CLIENTS_INFO_COLUMNS.linkRates + '".'
+    );
+  }
+  var values = SpreadsheetApp.openByUrl(url).getSheets()[0].getDataRange().getValues();
+  var rates = {};
+  for (var h = 0; h < Math.min(values.length, 10); h++) {
+    var roleIndex = -1;
+    var rateIndex = -1;
+    values[h].forEach(function (cell, index) {
+      var key = timesheetKey_(cell);
+      if (roleIndex === -1 && /^(role|роль)/.test(key)) roleIndex = index;
+      if (rateIndex === -1 && /^(rate|рейт|ставка)/.test(key)) rateIndex = index;
+    });
+    if (roleIndex === -1 || rateIndex === -1) continue;
+    for (var i = h + 1; i < values.length; i++) {
+      var role = timesheetKey_(values[i][roleIndex]);
+      var rate = parseTimesheetNumber_(values[i][rateIndex]);
+      if (role && rate > 0) rates[role] = rate;
+    }
+    break;
+  }
+  return { source: "Rates file of " + projectName, rates: rates };
+}
+
+/**
+ * Role rates from the latest contract of a contractor
+ * @param {string} contractorName - "Название контрактора" of the bill
+ * @returns {Object} { source, rates: { roleKey: rate } }
+ */
+function getTimesheetRatesFromContract_(contractorName) {
+  var sheet = SpreadsheetApp.openById(CONFIG.CONTRACTORS_SPREADSHEET_ID).getSheetByName(
+    "Contracts"
+  );
+  var values = sheet ? sheet.getDataRange().getValues() : [];
+  var indexMap = buildColumnMap(values[0] || []);
+  var key = timesheetKey_(contractorName);
+  var latest = null;
+  for (var i = 1; i < values.length; i++) {
+    var row = values[i];
+    if (!key || timesheetKey_(row[indexMap["Название контрактора"]]) !== key) continue;
+    var date = row[indexMap["Дата старта"]] || row[indexMap["Дата договора"]];
+    var time = date instanceof Date ? date.getTime() : 0;
+    if (!latest || time >= latest.time) latest = { row: row, time: time };
+  }
+  if (!latest) {
+    throw new Error("No contract found for contractor " + contractorName + ".");
+  }
+
+  var rates = {};
+  getRolesRatesFromRow(latest.row, indexMap).forEach(function (item) {
+    var rate = parseTimesheetNumber_(item.rate);
+    if (item.role && rate > 0) rates[timesheetKey_(item.role)] = rate;
+  });
+  var number = latest.row[indexMap["№ договора"]] || "";
+  return {
+    source: "Contract " + (number ? number + " " : "") + "of " + contractorName,
+    rates: rates,
+  };
+}
+
+/**
+ * Group timesheet entries into one line per role and month
+ * @param {Array} entries - From parseTimesheetCsv_
+ * @param {Object} rates - roleKey -> rate
+ * @returns {Array} [{ service, period, hours, rate, amount, people }]
+ */
+function buildTimesheetLines_(entries, rates) {
+  var groups = {};
+  entries.forEach(function (entry) {
+    var month = entry.dateKey.slice(0, 7);
+    var groupKey = month + "|" + timesheetKey_(entry.role);
+    if (!groups[groupKey]) {
+      var parts = month.split("-");
+      groups[groupKey] = {
+        service: entry.role || "Services",
+        period: formatRecurringPeriod_("", new Date(Number(parts[0]), Number(parts[1]) - 1, 1)),
+        hours: 0,
+        rate: rates[timesheetKey_(entry.role)] || 0,
+        people: [],
+      };
+    }
+    var group = groups[groupKey];
+    group.hours += entry.hours;
+    if (entry.person && group.people.indexOf(entry.person) === -1) {
+      group.people.push(entry.person);
+    }
+  });
+
+  return Object.keys(groups)
+    .sort()
+    .map(function (groupKey) {
+      var group = groups[groupKey];
+      var hours = roundInvoiceAmount_(group.hours);
+      return {
+        service: group.service,
+        period: group.period,
+        hours: hours.toFixed(2),
+        rate: group.rate ? group.rate.toFixed(2) : "",
+        amount: group.rate ? roundInvoiceAmount_(hours * group.rate).toFixed(2) : "",
+        people: group.people.join(", "),
+      };
+    });
+}
+
+/**
+ * Preview of the lines a timesheet CSV adds to an invoice or bill
+ * @param {string} documentType - "invoice" or "bill"
+ * @param {string} csvText - Content of the CSV file
+ * @param {Object} options - { projectName } for invoices, { contractorName } for bills
+ * @returns {Object} { success, lines, rateSource, warnings, totalHours, totalAmount }
+ */
+function previewTimesheetImportFromData(documentType, csvText, options) {
+  try {
+    options = options || {};
+    var parsed = parseTimesheetCsv_(csvText);
+    var warnings = parsed.problems.slice(0);
+    var entries = parsed.entries;
+    var rateSet;
+
+    if (documentType === TIMESHEET_DOCUMENT_BILL) {
+      if (!options.contractorName) {
+        return { success: false, message: "Select the contractor first." };
+      }
+      rateSet = getTimesheetRatesFromContract_(options.contractorName);
+    } else {
+      if (!options.projectName) {
+        return { success: false, message: "Select the project first." };
+      }
+      var projectKey = normalizeClientProjectName_(options.projectName);
+      var otherProjects = 0;
+      entries = entries.filter(function (entry) {
+        var keep =
+          !entry.project || normalizeClientProjectName_(entry.project) === projectKey;
+        if (!keep) otherProjects++;
+        return keep;
+      });
+      if (otherProjects) {
+        warnings.push("Entries of other projects skipped: " + otherProjects + ".");
+      }
+      rateSet = getTimesheetRatesFromProject_(options.projectName);
+    }
+
+    if (!entries.length) {
+      return { success: false, message: "No timesheet entries to import.", warnings: warnings };
+    }
+
+    var lines = buildTimesheetLines_(entries, rateSet.rates);
+    var totalHours = 0;
+    var totalAmount = 0;
+    lines.forEach(function (line) {
+      totalHours += parseFloat(line.hours);
+      totalAmount += parseFloat(line.amount) || 0;
+      if (!line.rate) warnings.push("No rate for role " + line.service + ".");
+    });
+    return {
+      success: true,
+      lines: lines,
+      rateSource: rateSet.source,
+      warnings: warnings.filter(function (warning, index) {
+        return warnings.indexOf(warning) === index;
+      }),
+      totalHours: roundInvoiceAmount_(totalHours).toFixed(2),
+      totalAmount: roundInvoiceAmount_(totalAmount).toFixed(2),
+    };
+  } catch (error) {
+    console.error("Error previewing timesheet import:", error);
+    return { success: false, message: error.message };
+  }
+}
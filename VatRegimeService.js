@@ -0,0 +1,150 @@
+// VAT regime per client, set on the client card ("VAT regime" column of
+// Clients Information). A blank regime is domestic and keeps the project's
+// tax rate; every other regime is invoiced at 0% and prints its legal note
+// at the {VAT Note} placeholder (or at the end of the document when the
+// template has none). Reverse-charge invoices cannot be issued until the
+// client card has a "Company number / VAT ID". Credit notes linked to an
+// invoice keep the regime and tax rate saved on that invoice.
+
+var VAT_REGIME_DOMESTIC = "Domestic";
+var VAT_REGIME_REVERSE_CHARGE = "EU reverse charge";
+var VAT_REGIME_EXPORT = "Export outside EU";
+var VAT_REGIME_EXEMPT = "Exempt";
+var VAT_REGIMES = [
+  VAT_REGIME_DOMESTIC,
+  VAT_REGIME_REVERSE_CHARGE,
+  VAT_REGIME_EXPORT,
+  VAT_REGIME_EXEMPT,
+];
+var VAT_REGIME_COLUMN = "VAT Regime";
+var VAT_NOTE_PLACEHOLDER = "\\{VAT Note\\}";
+
+var VAT_REGIME_NOTES = {
+  "EU reverse charge":
+    "Reverse charge: VAT to be accounted for by the recipient " +
+    "(Article 196 of Council Directive 2006/112/EC).",
+  "Export outside EU":
+    "Not subject to VAT in the EU: place of supply outside the EU " +
+    "(Article 44 of Council Directive 2006/112/EC).",
+  Exempt: "Exempt from VAT.",
+};
+
+/**
+ * Canonical regime name; blank or unknown values are domestic
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeVatRegime_(value) {
+  var text = String(value || "").trim().toLowerCase();
+  for (var i = 0; i < VAT_REGIMES.length; i++) {
+    if (VAT_REGIMES[i].toLowerCase() === text) return VAT_REGIMES[i];
+  }
+  return VAT_REGIME_DOMESTIC;
+}
+
+/**
+ * Legal note printed on documents of the regime
+ * @param {string} regime
+ * @param {string} vatId - Client VAT ID, shown on reverse-charge documents
+ * @returns {string} Empty for domestic
+ */
+function getVatRegimeNote_(regime, vatId) {
+  var note = VAT_REGIME_NOTES[regime] || "";
+  if (regime === VAT_REGIME_REVERSE_CHARGE && vatId) {
+    note += " Customer VAT ID: " + vatId + ".";
+  }
+  return note;
+}
+
+/**
+ * VAT regime of a project from its client card
+ * @param {string} projectName
+ * @returns {Object} { regime, note, vatId }
+ */
+function resolveVatRegime_(projectName) {
+  var company = projectName ? getClientCompanyByProject_(projectName) : null;
+  var regime = normalizeVatRegime_(company && company.vatRegime);
+  var vatId = company ? company.companyNumberVat : "";
+  return { regime: regime, note: getVatRegimeNote_(regime, vatId), vatId: vatId };
+}
+
+/**
+ * VAT regime and tax rate saved on an invoice row
+ * @param {string} invoiceId
+ * @returns {Object|null} { regime, taxRate }; regime is "" on rows saved
+ *   before VAT regimes existed. Null when the invoice is not found.
+ */
+function getInvoiceVatRegime_(invoiceId) {
+  if (!invoiceId) return null;
+  var values = getSheetValuesIfExists(
+    getSpreadsheet(CONFIG.SPREADSHEET_ID),
+    CONFIG.SHEETS.INVOICES
+  );
+  var colMap = buildColumnMap(values[0] || []);
+  for (var i = 1; i < values.length; i++) {
+    if (String(values[i][colMap["ID"]]) !== String(invoiceId)) continue;
+    var regime =
+      colMap[VAT_REGIME_COLUMN] === undefined ? "" : values[i][colMap[VAT_REGIME_COLUMN]];
+    return {
+      regime: String(regime || "").trim() ? normalizeVatRegime_(regime) : "",
+      taxRate: parseFloat(values[i][colMap["Tax Rate (%)"]]) || 0,
+    };
+  }
+  return null;
+}
+
+/**
+ * Set data.vatRegime / data.vatNote from the client card and zero the tax
+ * for regimes other than domestic. A credit note with data.invoiceId takes
+ * the regime and tax rate of the credited invoice instead, so a later change
+ * on the client card does not change what is credited.
+ * @param {Object} data - Invoice or credit note form data
+ * @returns {number} Tax rate in percent to calculate with
+ */
+function applyVatRegime_(data) {
+  var vat = resolveVatRegime_(data.projectName);
+  var invoice = data.invoiceId ? getInvoiceVatRegime_(data.invoiceId) : null;
+  if (invoice) {
+    if (invoice.regime) {
+      vat.regime = invoice.regime;
+      vat.note = getVatRegimeNote_(invoice.regime, vat.vatId);
+    }
+    data.tax = String(invoice.taxRate);
+  }
+  data.vatRegime = vat.regime;
+  data.vatNote = vat.note;
+  if (vat.regime !== VAT_REGIME_DOMESTIC) data.tax = "0";
+  return parseFloat(data.tax) || 0;
+}
+
+/**
+ * Reason an invoice of the project cannot be issued under its VAT regime
+ * @param {string} projectName
+ * @param {string} regime - Regime saved on the invoice row
+ * @returns {string} Empty when issuing is allowed
+ */
+function getVatRegimeIssueProblem_(projectName, regime) {
+  if (normalizeVatRegime_(regime) !== VAT_REGIME_REVERSE_CHARGE) return "";
+  if (resolveVatRegime_(projectName).vatId) return "";
+  return (
+    'Reverse-charge invoices need the client VAT ID. Fill in "' +
+    CLIENTS_INFO_COLUMNS.companyNumberVat +
+    '" on the client card of ' +
+    projectName +
+    "."
+  );
+}
+
+/**
+ * Print the VAT note at the {VAT Note} placeholder, or as the last
+ * paragraph when the template has no placeholder
+ * @param {Body} body - Document body
+ * @param {string} note
+ */
+function insertVatNote(body, note) {
+  if (body.findText(VAT_NOTE_PLACEHOLDER)) {
+    body.replaceText(VAT_NOTE_PLACEHOLDER, note || "");
+    return;
+  }
+  if (note) body.appendParagraph(note);
+}
@@ -0,0 +1,311 @@
+// Data service for the VAT summary report.
+//
+// For a month or a quarter: output VAT from invoices (drafts and void
+// invoices are left out) less credit notes, and input VAT from contractor
+// bills ("% НДС" / "Сумма НДС"), by our company, tax rate and VAT regime.
+// Amounts are kept in the document currency and converted to EUR with the
+// document's own Amount in EUR, else the Exchange Rates sheet on the document
+// date. Bills are assigned to our company by an optional "Our Company" column
+// on the Bills sheet.
+
+var VAT_REPORT_PERIOD_MONTH = "month";
+var VAT_REPORT_PERIOD_QUARTER = "quarter";
+var VAT_REPORT_SECTION_OUTPUT = "Output";
+var VAT_REPORT_SECTION_INPUT = "Input";
+var VAT_REPORT_SECTION_NET = "Net";
+var VAT_REPORT_SECTIONS = [
+  VAT_REPORT_SECTION_OUTPUT,
+  VAT_REPORT_SECTION_INPUT,
+  VAT_REPORT_SECTION_NET,
+];
+var VAT_REPORT_SOURCES = ["Invoices", "Credit notes", "Bills"];
+var VAT_REPORT_BILL_COMPANY_COLUMN = "Our Company";
+var VAT_REPORT_UNASSIGNED_COMPANY = "Not assigned";
+
+/**
+ * Date range of the month or quarter containing a month
+ * @param {string} periodType - VAT_REPORT_PERIOD_MONTH or VAT_REPORT_PERIOD_QUARTER
+ * @param {string} month - yyyy-MM
+ * @returns {Object} { fromKey, toKey, label } with yyyy-MM-dd keys
+ */
+function getVatReportPeriod_(periodType, month) {
+  var match = String(month || "").match(/^(\d{4})-(\d{1,2})$/);
+  if (!match) throw new Error("Choose a month for the VAT report.");
+  var year = Number(match[1]);
+  var monthNum = Number(match[2]);
+  var firstMonth = monthNum;
+  var lastMonth = monthNum;
+  var label = padExchangeRateDatePart_(monthNum) + "/" + year;
+  if (periodType === VAT_REPORT_PERIOD_QUARTER) {
+    var quarter = Math.floor((monthNum - 1) / 3);
+    firstMonth = quarter * 3 + 1;
+    lastMonth = firstMonth + 2;
+    label = "Q" + (quarter + 1) + " " + year;
+  }
+  var lastDay = new Date(year, lastMonth, 0).getDate();
+  return {
+    fromKey: year + "-" + padExchangeRateDatePart_(firstMonth) + "-01",
+    toKey: year + "-" + padExchangeRateDatePart_(lastMonth) + "-" + padExchangeRateDatePart_(lastDay),
+    label: label,
+  };
+}
+
+// Percent of a rate cell: 19, "19%" and a percent-formatted 0.19 all give 19.
+function parseVatReportRate_(value) {
+  var rate = billParseNum(value);
+  if (isNaN(rate)) return 0;
+  if (rate > 0 && rate < 1) rate = rate * 100;
+  return roundInvoiceAmount_(rate);
+}
+
+// EUR per unit of the document currency, or null when there is no rate.
+function getVatReportEurFactor_(currency, total, amountInEur, dateKey, rateDays) {
+  var code = eInvoiceCurrencyCode_(currency);
+  if (code === ACCOUNTING_CURRENCY) return 1;
+  var totalNum = parseFloat(total);
+  var eurNum = parseFloat(amountInEur);
+  if (totalNum > 0 && eurNum > 0) return eurNum / totalNum;
+  if (!code || !dateKey) return null;
+  var stored = findExchangeRate_(rateDays, ACCOUNTING_CURRENCY, code, dateKey);
+  return stored ? 1 / stored.rate : null;
+}
+
+function createVatReportCollector_(rateDays) {
+  return { rowsByKey: {}, unconverted: [], rateDays: rateDays };
+}
+
+/**
+ * Add one document to its report row
+ * @param {Object} collector - From createVatReportCollector_
+ * @param {Object} doc - { section, source, ourCompany, regime, currency, rate,
+ *   taxable, vat, total, amountInEur, dateKey, number }
+ */
+function addVatReportDocument_(collector, doc) {
+  var key = [doc.ourCompany, doc.section, doc.source, doc.regime, doc.currency, doc.rate].join("|");
+  if (!collector.rowsByKey[key]) {
+    collector.rowsByKey[key] = {
+      ourCompany: doc.ourCompany,
+      section: doc.section,
+      source: doc.source,
+      regime: doc.regime,
+      currency: doc.currency,
+      rate: doc.rate,
+      count: 0,
+      taxable: 0,
+      vat: 0,
+      taxableEur: 0,
+      vatEur: 0,
+    };
+  }
+  var row = collector.rowsByKey[key];
+  row.count++;
+  row.taxable = roundInvoiceAmount_(row.taxable + doc.taxable);
+  row.vat = roundInvoiceAmount_(row.vat + doc.vat);
+
+  var factor = getVatReportEurFactor_(
+    doc.currency,
+    doc.total,
+    doc.amountInEur,
+    doc.dateKey,
+    collector.rateDays
+  );
+  if (factor === null) {
+    collector.unconverted.push({ source: doc.source, number: doc.number, currency: doc.currency });
+    return;
+  }
+  row.taxableEur = roundInvoiceAmount_(row.taxableEur + doc.taxable * factor);
+  row.vatEur = roundInvoiceAmount_(row.vatEur + doc.vat * factor);
+}
+
+// Invoices (sign 1) or credit notes (sign -1) of the main spreadsheet.
+function collectVatReportSalesDocuments_(collector, sheet, period, options) {
+  var values = sheet.getDataRange().getValues();
+  var colMap = buildColumnMap(values[0] || []);
+
+  function cell(row, header) {
+    return colMap[header] === undefined ? "" : row[colMap[header]];
+  }
+
+  for (var i = 1; i < values.length; i++) {
+    var row = values[i];
+    if (!cell(row, "ID")) continue;
+    if (options.isInvoice && !isInvoiceReceivable_(getInvoiceStatus_(row, colMap))) continue;
+    var dateKey = exchangeRateDateKey_(cell(row, options.dateColumn));
+    if (!dateKey || dateKey < period.fromKey || dateKey > period.toKey) continue;
+
+    var regime = String(cell(row, VAT_REGIME_COLUMN) || "").trim();
+    addVatReportDocument_(collector, {
+      section: VAT_REPORT_SECTION_OUTPUT,
+      source: options.source,
+      ourCompany: String(cell(row, "Our Company") || "").trim() || VAT_REPORT_UNASSIGNED_COMPANY,
+      regime: regime ? normalizeVatRegime_(regime) : "",
+      currency: String(cell(row, "Currency") || "").trim(),
+      rate: parseVatReportRate_(cell(row, "Tax Rate (%)")),
+      taxable: options.sign * (parseFloat(cell(row, "Subtotal")) || 0),
+      vat: options.sign * (parseFloat(cell(row, "Tax Amount")) || 0),
+      total: cell(row, "Total"),
+      amountInEur: cell(row, "Amount in EUR"),
+      dateKey: dateKey,
+      number: String(cell(row, options.numberColumn) || ""),
+    });
+  }
+}
+
+// Contractor bills; "Общая сумма" includes the VAT.
+function collectVatReportBills_(collector, period) {
+  var spreadsheet = SpreadsheetApp.openById(CONFIG.BILLS_SPREADSHEET_ID);
+  var sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.BILLS);
+  if (!sheet || sheet.getLastRow() < 2) return;
+  var values = sheet.getDataRange().getValues();
+  var indexMap = {};
+  values[0].forEach(function (h, i) {
+    if (h) indexMap[h.toString().trim()] = i;
+  });
+
+  function cell(row, header) {
+    return indexMap[header] === undefined ? "" : row[indexMap[header]];
+  }
+
+  for (var i = 1; i < values.length; i++) {
+    var row = values[i];
+    if (!cell(row, BILL_FIELD_MAPPING.contractorName)) continue;
+    var dateKey = exchangeRateDateKey_(cell(row, BILL_FIELD_MAPPING.invoiceDate));
+    if (!dateKey || dateKey < period.fromKey || dateKey > period.toKey) continue;
+
+    var vat = billParseNum(cell(row, BILL_FIELD_MAPPING.vatAmount));
+    var total = billParseNum(cell(row, BILL_FIELD_MAPPING.totalAmount));
+    if (isNaN(vat)) vat = 0;
+    if (isNaN(total)) total = 0;
+    addVatReportDocument_(collector, {
+      section: VAT_REPORT_SECTION_INPUT,
+      source: VAT_REPORT_SOURCES[2],
+      ourCompany:
+        String(cell(row, VAT_REPORT_BILL_COMPANY_COLUMN) || "").trim() ||
+        VAT_REPORT_UNASSIGNED_COMPANY,
+      regime: "",
+      currency: String(cell(row, BILL_FIELD_MAPPING.currency) || "").trim(),
+      rate: parseVatReportRate_(cell(row, BILL_FIELD_MAPPING.vatRate)),
+      taxable: total - vat,
+      vat: vat,
+      total: total,
+      amountInEur: "",
+      dateKey: dateKey,
+      number:
+        String(cell(row, BILL_FIELD_MAPPING.contractorName) || "") +
+        " " +
+        String(cell(row, BILL_FIELD_MAPPING.invoiceNumber) || ""),
+    });
+  }
+}
+
+/**
+ * Build the VAT summary of a month or quarter
+ * @param {string} periodType - "month" or "quarter"
+ * @param {string} month - yyyy-MM; the quarter is the one containing it
+ * @returns {Object} { success, period, rows, companies, unconverted }
+ */
+function getVatReportFromData(periodType, month) {
+  try {
+    var period = getVatReportPeriod_(periodType, month);
+    var spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
+    var collector = createVatReportCollector_(readExchangeRateDays_(spreadsheet));
+
+    collectVatReportSalesDocuments_(
+      collector,
+      getSheet(spreadsheet, CONFIG.SHEETS.INVOICES),
+      period,
+      {
+        isInvoice: true,
+        source: VAT_REPORT_SOURCES[0],
+        sign: 1,
+        dateColumn: "Invoice Date",
+        numberColumn: "Invoice Number",
+      }
+    );
+    collectVatReportSalesDocuments_(
+      collector,
+      getSheet(spreadsheet, CONFIG.SHEETS.CREDITNOTES),
+      period,
+      {
+        isInvoice: false,
+        source: VAT_REPORT_SOURCES[1],
+        sign: -1,
+        dateColumn: "CN Date",
+        numberColumn: "CN Number",
+      }
+    );
+    collectVatReportBills_(collector, period);
+
+    var rows = Object.keys(collector.rowsByKey).map(function (key) {
+      return collector.rowsByKey[key];
+    });
+
+    var companiesByName = {};
+    rows.forEach(function (row) {
+      if (!companiesByName[row.ourCompany]) {
+        companiesByName[row.ourCompany] = {
+          ourCompany: row.ourCompany,
+          outputVatEur: 0,
+          inputVatEur: 0,
+          netVatEur: 0,
+        };
+      }
+      var company = companiesByName[row.ourCompany];
+      if (row.section === VAT_REPORT_SECTION_OUTPUT) {
+        company.outputVatEur = roundInvoiceAmount_(company.outputVatEur + row.vatEur);
+      } else {
+        company.inputVatEur = roundInvoiceAmount_(company.inputVatEur + row.vatEur);
+      }
+      company.netVatEur = roundInvoiceAmount_(company.outputVatEur - company.inputVatEur);
+    });
+    var companies = Object.keys(companiesByName)
+      .sort()
+      .map(function (name) {
+        return companiesByName[name];
+      });
+
+    // One net row per company so the CSV carries the position too
+    companies.forEach(function (company) {
+      rows.push({
+        ourCompany: company.ourCompany,
+        section: VAT_REPORT_SECTION_NET,
+        source: "",
+        regime: "",
+        currency: ACCOUNTING_CURRENCY,
+        rate: "",
+        count: "",
+        taxable: "",
+        vat: "",
+        taxableEur: "",
+        vatEur: company.netVatEur,
+      });
+    });
+
+    rows.sort(function (a, b) {
+      if (a.ourCompany !== b.ourCompany) return a.ourCompany.localeCompare(b.ourCompany);
+      if (a.section !== b.section) {
+        return VAT_REPORT_SECTIONS.indexOf(a.section) - VAT_REPORT_SECTIONS.indexOf(b.section);
+      }
+      if (a.source !== b.source) {
+        return VAT_REPORT_SOURCES.indexOf(a.source) - VAT_REPORT_SOURCES.indexOf(b.source);
+      }
+      if (a.rate !== b.rate) return b.rate - a.rate;
+      return a.currency.localeCompare(b.currency);
+    });
+
+    return {
+      success: true,
+      period: {
+        label: period.label,
+        from: formatExchangeRateDateKey_(period.fromKey),
+        to: formatExchangeRateDateKey_(period.toKey),
+      },
+      rows: rows,
+      companies: companies,
+      unconverted: collector.unconverted,
+    };
+  } catch (error) {
+    console.error("Error building VAT report:", error);
+    return { success: false, message: error.message };
+  }
+}
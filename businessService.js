@@ -29,8 +29,20 @@ function processInvoiceCreation(data) {
       throw new Error("Missing folderId for this project.");
     }
 
+    if (data.invoiceRequestId) {
+      const linkProblem = getInvoiceRequestLinkProblem_(data.invoiceRequestId);
+      if (linkProblem) throw new Error(linkProblem);
+    }
+
     // Use dataService to handle the entire process
-    return processFormFromData(data);
+    const result = processFormFromData(data);
+    if (data.invoiceRequestId) {
+      result.invoiceRequest = linkInvoiceRequestToInvoice_(
+        data.invoiceRequestId,
+        result.id
+      );
+    }
+    return result;
   } catch (error) {
     Logger.log(`processInvoiceCreation: ERROR - ${error.toString()}`);
     Logger.log(`Stack Trace: ${error.stack}`);
@@ -127,13 +139,17 @@ function validateInvoiceData(data) {
   const errors = [];
   const requiredFields = [
     "projectName",
-    "invoiceNumber",
     "invoiceDate",
     "dueDate",
     "subtotal",
     "tax",
   ];
 
+  // Invoice number is assigned on save when Our Company has a numbering pattern
+  if (!hasInvoiceNumberingPattern(data.ourCompany)) {
+    requiredFields.splice(1, 0, "invoiceNumber");
+  }
+
   // Check required fields
   requiredFields.forEach((field) => {
     if (!data[field] || data[field].toString().trim() === "") {
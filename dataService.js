@@ -113,6 +113,29 @@ function buildColumnMap(headers) {
   return map;
 }
 
+/**
+ * Append any missing header columns to the end of a sheet.
+ * @param {Sheet} sheet
+ * @param {Array} columnNames - Header names that must exist
+ * @returns {Object} Column map including the new columns
+ */
+function ensureSheetColumns_(sheet, columnNames) {
+  var lastColumn = sheet.getLastColumn();
+  var headers =
+    lastColumn > 0 ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0] : [];
+  var map = buildColumnMap(headers);
+  var missing = columnNames.filter(function (name) {
+    return map[name] === undefined;
+  });
+  if (missing.length > 0) {
+    sheet.getRange(1, lastColumn + 1, 1, missing.length).setValues([missing]);
+    missing.forEach(function (name, i) {
+      map[name] = lastColumn + i;
+    });
+  }
+  return map;
+}
+
 /**
  * Get project names from the Lists sheet
  * @returns {Array} Array of unique project names
@@ -198,9 +221,12 @@ function getProjectDetailsFromData(projectName) {
       throw new Error(ERROR_MESSAGES.NO_TEMPLATE_FOUND(selectedTemplateName));
     }
 
-    // Process tax rate
+    // Process tax rate; regimes other than domestic are invoiced at 0%
+    const vat = resolveVatRegime_(projectName);
     const tax =
-      typeof projectRow[CONFIG.COLUMNS.TAX_RATE] === "number"
+      vat.regime !== VAT_REGIME_DOMESTIC
+        ? 0
+        : typeof projectRow[CONFIG.COLUMNS.TAX_RATE] === "number"
         ? projectRow[CONFIG.COLUMNS.TAX_RATE] * 100
         : parseFloat(projectRow[CONFIG.COLUMNS.TAX_RATE]);
 
@@ -235,6 +261,8 @@ function getProjectDetailsFromData(projectName) {
       }`.trim(),
       clientAddress: projectRow[CONFIG.COLUMNS.CLIENT_ADDRESS] || "",
       tax: isNaN(tax) ? 0 : tax.toFixed(0),
+      vatRegime: vat.regime,
+      vatNote: vat.note,
       currency:
         CONFIG.CURRENCY_SYMBOLS[projectRow[CONFIG.COLUMNS.CURRENCY]] ||
         projectRow[CONFIG.COLUMNS.CURRENCY],
@@ -291,18 +319,51 @@ function getInvoiceListFromData() {
       }
     }
 
-    const result = data.slice(1).map((row) => ({
-      id: row[colIndex.id] || "",
-      projectName: row[colIndex.projectName] || "",
-      invoiceNumber: row[colIndex.invoiceNumber] || "",
-      invoiceDate: formatDate(row[colIndex.invoiceDate]),
-      dueDate: formatDate(row[colIndex.dueDate]),
-      total:
-        row[colIndex.total] !== undefined && row[colIndex.total] !== ""
-          ? parseFloat(row[colIndex.total]).toFixed(2)
-          : "",
-      currency: row[colIndex.currency] || "",
-    }));
+    const colMap = buildColumnMap(headers);
+    const numberingPatterns = getInvoiceNumberingPatterns_(spreadsheet);
+    const paidById = getInvoicePaymentTotalsById_(spreadsheet);
+    const creditedById = getCreditedTotalsByInvoiceId_(spreadsheet);
+    const today = startOfInvoiceDay_();
+
+    const result = data.slice(1).map((row) => {
+      const invoice = {
+        id: row[colIndex.id] || "",
+        projectName: row[colIndex.projectName] || "",
+        invoiceNumber: row[colIndex.invoiceNumber] || "",
+        invoiceDate: formatDate(row[colIndex.invoiceDate]),
+        dueDate: formatDate(row[colIndex.dueDate]),
+        total:
+          row[colIndex.total] !== undefined && row[colIndex.total] !== ""
+            ? parseFloat(row[colIndex.total]).toFixed(2)
+            : "",
+        currency: row[colIndex.currency] || "",
+        status: getInvoiceStatus_(row, colMap),
+        numberReserved: isAutomaticInvoiceNumber_(
+          numberingPatterns,
+          row[colMap["Our Company"]],
+          row[colIndex.invoiceNumber]
+        ),
+      };
+      if (!isInvoiceReceivable_(invoice.status)) {
+        return Object.assign(invoice, {
+          paidAmount: "",
+          creditedAmount: "",
+          outstanding: "",
+          paymentStatus: "",
+          daysOverdue: 0,
+        });
+      }
+      return Object.assign(
+        invoice,
+        buildInvoicePaymentSummary_(
+          row[colIndex.total],
+          row[colIndex.dueDate],
+          paidById[invoice.id] || 0,
+          creditedById[invoice.id] || 0,
+          today
+        )
+      );
+    });
 
     cache.put("invoiceList", JSON.stringify(result), 300); // cache for 5 minutes
     return result;
@@ -447,22 +508,10 @@ function getInvoiceDataByIdFromData(id) {
       return {};
     }
 
-    const items = [];
-    for (var n = 1; n <= CONFIG.INVOICE_TABLE.MAX_ROWS; n++) {
-      var numKey = "Row " + n + " #";
-      if (indexMap[numKey] === undefined) continue;
-      var item = [
-        row[indexMap[numKey]] || "",
-        row[indexMap["Row " + n + " Service"]] || "",
-        row[indexMap["Row " + n + " Period"]] || "",
-        row[indexMap["Row " + n + " Quantity"]] || "",
-        row[indexMap["Row " + n + " Rate/hour"]] || "",
-        row[indexMap["Row " + n + " Amount"]] || ""
-      ];
-      if (item.some(function (cell) { return cell && cell.toString().trim() !== ""; })) {
-        items.push(item);
-      }
-    }
+    const storedLines = readLineItems_(spreadsheet, LINE_ITEM_TYPE_INVOICE, id);
+    const items = storedLines
+      ? linesToInvoiceItems_(storedLines)
+      : readInvoiceWideItems_(row, indexMap);
 
     return {
       projectName: row[indexMap["Project Name"]],
@@ -478,11 +527,23 @@ function getInvoiceDataByIdFromData(id) {
       exchangeRate: row[indexMap["Exchange Rate"]],
       currency: row[indexMap["Currency"]],
       amountInEUR: row[indexMap["Amount in EUR"]],
+      exchangeRateSource: row[indexMap["Exchange Rate Source"]] || "",
+      exchangeRateDate: formatDateForInput(row[indexMap["Exchange Rate Date"]]) || "",
       bankDetails1: row[indexMap["Bank Details 1"]] || "",
       bankDetails2: row[indexMap["Bank Details 2"]] || "",
       ourCompany: row[indexMap["Our Company"]],
       comment: row[indexMap["Comment"]],
       items: items,
+      status: getInvoiceStatus_(row, indexMap),
+      voidReason: row[indexMap["Void Reason"]] || "",
+      voidedBy: row[indexMap["Voided by"]] || "",
+      voidedAt: String(row[indexMap["Voided at"]] || ""),
+      editLocked: isInvoiceEditLocked_(getInvoiceStatus_(row, indexMap)),
+      numberReserved: isAutomaticInvoiceNumber_(
+        getInvoiceNumberingPatterns_(spreadsheet),
+        row[indexMap["Our Company"]],
+        row[indexMap["Invoice Number"]]
+      ),
     };
   } catch (error) {
     console.error("Error getting invoice data by ID:", error);
@@ -547,25 +608,11 @@ function getCreditNoteDataByIdFromData(id) {
       return null; // Return null to match what client expects
     }
 
-    const items = [];
-    console.log(
-      "getCreditNoteDataByIdFromData: CONFIG.CREDIT_NOTE_TABLE.COLUMNS_PER_ROW =",
-      CONFIG.CREDIT_NOTE_TABLE.COLUMNS_PER_ROW
-    );
-    // Base fields: 18 columns (ID through PDF Link)
-    // First table row starts at column 19 (Row 1 #, Row 1 Description, Row 1 Period, Row 1 Amount)
-    for (let i = 0; i < CONFIG.CREDIT_NOTE_TABLE.MAX_ROWS; i++) {
-      const base = 18 + i * 4; // Start from column 19, 4 columns per row
-      const item = row.slice(base, base + 4);
-      console.log(
-        `getCreditNoteDataByIdFromData: Row ${i}, base=${base}, item=`,
-        item
-      );
-      if (item.some((cell) => cell && cell.toString().trim() !== "")) {
-        items.push(item);
-        console.log(`getCreditNoteDataByIdFromData: Added item ${i}:`, item);
-      }
-    }
+    const storedLines = readLineItems_(spreadsheet, LINE_ITEM_TYPE_CREDIT_NOTE, id);
+    const items = storedLines
+      ? linesToCreditNoteItems_(storedLines)
+      : readCreditNoteWideItems_(row);
+    console.log("getCreditNoteDataByIdFromData: Items:", items);
 
     const result = {
       projectName: row[indexMap["Project Name"]],
@@ -582,6 +629,7 @@ function getCreditNoteDataByIdFromData(id) {
       amountInEUR: row[indexMap["Amount in EUR"]],
       ourCompany: row[indexMap["Our Company"]],
       comment: row[indexMap["Comment"]],
+      invoiceId: String(row[indexMap[CREDIT_NOTE_INVOICE_ID_COLUMN]] || ""),
       items: items,
     };
 
@@ -594,6 +642,47 @@ function getCreditNoteDataByIdFromData(id) {
   }
 }
 
+/**
+ * Remove an invoice row whose Doc or PDF could not be created, with its line
+ * items and Doc, and give its automatic number back. Best effort: the caller
+ * rethrows the original error.
+ * @param {Spreadsheet} spreadsheet - Invoices spreadsheet
+ * @param {Sheet} sheet - Invoices sheet
+ * @param {Object} colMap - Invoices column map
+ * @param {string} invoiceId - ID of the new row
+ * @param {Object} data - Invoice data (ourCompany, invoiceDate, invoiceNumber)
+ * @param {Document|null} doc - Doc created before the failure, if any
+ */
+function discardUnfinishedInvoice_(spreadsheet, sheet, colMap, invoiceId, data, doc) {
+  try {
+    if (doc) DriveApp.getFileById(doc.getId()).setTrashed(true);
+  } catch (error) {
+    console.warn("Could not trash the Doc of unfinished invoice " + invoiceId + ":", error);
+  }
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(INVOICE_NUMBERING_LOCK_TIMEOUT_MS)) {
+    console.error("Unfinished invoice " + invoiceId + " was not removed: the sheet is busy.");
+    return;
+  }
+  try {
+    var ids = sheet.getRange(1, colMap["ID"] + 1, sheet.getLastRow(), 1).getValues();
+    for (var i = ids.length - 1; i >= 1; i--) {
+      if (String(ids[i][0]) === invoiceId) sheet.deleteRow(i + 1);
+    }
+    deleteLineItems_(spreadsheet, LINE_ITEM_TYPE_INVOICE, invoiceId);
+    releaseInvoiceNumber_(spreadsheet, data.ourCompany, data.invoiceDate, data.invoiceNumber);
+    SpreadsheetApp.flush();
+  } catch (error) {
+    console.error("Could not remove unfinished invoice " + invoiceId + ":", error);
+  } finally {
+    try {
+      lock.releaseLock();
+    } catch (error) {
+      console.warn("Could not release invoice numbering lock:", error);
+    }
+  }
+}
+
 /**
  * Save invoice data to spreadsheet
  * @param {Object} data - Invoice data to save
@@ -607,89 +696,129 @@ function processFormFromData(data) {
     const sheet = getSheet(spreadsheet, CONFIG.SHEETS.INVOICES);
     const uniqueId = Utilities.getUuid();
 
+    const colMap = ensureSheetColumns_(
+      sheet,
+      INVOICE_LIFECYCLE_COLUMNS.concat(
+        EXCHANGE_RATE_INVOICE_COLUMNS,
+        VAT_REGIME_COLUMN
+      )
+    );
     const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-    const colMap = buildColumnMap(headers);
 
     const formattedDate = formatDate(data.invoiceDate);
+    applyInvoiceDueDate_(spreadsheet, data);
     const [day, month, year] = data.dueDate.split("/");
     const dueDateObject = new Date(year, month - 1, day);
     const formattedDueDate = formatDate(dueDateObject);
 
     const subtotalNum = parseFloat(data.subtotal) || 0;
-    const taxRate = parseFloat(data.tax) || 0;
+    const taxRate = applyVatRegime_(data);
     const taxAmount = (subtotalNum * taxRate) / 100;
     const totalAmount = subtotalNum + taxAmount;
+    const exchange = resolveInvoiceExchangeRate_(spreadsheet, data, totalAmount);
+    // Before a number is reserved, so a template that cannot hold every line
+    // leaves no Draft behind.
+    checkInvoiceTemplateLineSlots(data.templateId, data.items);
+
+    // The number is reserved and the row written under one lock so that
+    // concurrent saves never get the same invoice number.
+    var numberingLock = LockService.getScriptLock();
+    if (!numberingLock.tryLock(INVOICE_NUMBERING_LOCK_TIMEOUT_MS)) {
+      throw new Error("Invoice numbering is busy. Please try again.");
+    }
+    var newRowIndex;
+    var rowData;
+    try {
+      data.invoiceNumber = resolveInvoiceNumberForCreate_(spreadsheet, data);
+
+      // Build row by header names
+      rowData = new Array(headers.length).fill("");
+      rowData[colMap["ID"]] = uniqueId;
+      rowData[colMap["Project Name"]] = data.projectName;
+      rowData[colMap["Invoice Number"]] = data.invoiceNumber;
+      rowData[colMap["Client Name"]] = data.clientName;
+      rowData[colMap["Client Address"]] = data.clientAddress;
+      rowData[colMap["Client Number"]] = data.clientNumber;
+      rowData[colMap["Invoice Date"]] = new Date(data.invoiceDate);
+      rowData[colMap["Due Date"]] = dueDateObject;
+      rowData[colMap["Tax Rate (%)"]] = taxRate.toFixed(0);
+      rowData[colMap[VAT_REGIME_COLUMN]] = data.vatRegime;
+      rowData[colMap["Subtotal"]] = subtotalNum.toFixed(2);
+      rowData[colMap["Tax Amount"]] = taxAmount.toFixed(2);
+      rowData[colMap["Total"]] = totalAmount.toFixed(2);
+      rowData[colMap["Currency"]] = data.currency;
+      applyInvoiceExchangeRate_(rowData, colMap, data, exchange);
+      rowData[colMap["Bank Details 1"]] = data.bankDetails1 || "";
+      rowData[colMap["Bank Details 2"]] = data.bankDetails2 || "";
+      rowData[colMap["Our Company"]] = data.ourCompany || "";
+      rowData[colMap["Comment"]] = data.comment || "";
+      rowData[colMap["Status"]] = INVOICE_STATUS_DRAFT;
+
+      // Service rows
+      if (data.items && data.items.length > 0) {
+        data.items.forEach(function (item, i) {
+          var num = i + 1;
+          if (colMap["Row " + num + " #"] !== undefined) {
+            rowData[colMap["Row " + num + " #"]] = (i + 1).toString();
+            rowData[colMap["Row " + num + " Service"]] = item[1] || "";
+            rowData[colMap["Row " + num + " Period"]] = item[2] ? "'" + item[2].toString() : "";
+            rowData[colMap["Row " + num + " Quantity"]] = item[3] || "";
+            rowData[colMap["Row " + num + " Rate/hour"]] = item[4] || "";
+            rowData[colMap["Row " + num + " Amount"]] = item[5] || "";
+          }
+        });
+      }
 
-    // Build row by header names
-    const rowData = new Array(headers.length).fill("");
-    rowData[colMap["ID"]] = uniqueId;
-    rowData[colMap["Project Name"]] = data.projectName;
-    rowData[colMap["Invoice Number"]] = data.invoiceNumber;
-    rowData[colMap["Client Name"]] = data.clientName;
-    rowData[colMap["Client Address"]] = data.clientAddress;
-    rowData[colMap["Client Number"]] = data.clientNumber;
-    rowData[colMap["Invoice Date"]] = new Date(data.invoiceDate);
-    rowData[colMap["Due Date"]] = dueDateObject;
-    rowData[colMap["Tax Rate (%)"]] = taxRate.toFixed(0);
-    rowData[colMap["Subtotal"]] = subtotalNum.toFixed(2);
-    rowData[colMap["Tax Amount"]] = taxAmount.toFixed(2);
-    rowData[colMap["Total"]] = totalAmount.toFixed(2);
-    rowData[colMap["Exchange Rate"]] = data.currency === "$" ? parseFloat(data.exchangeRate).toFixed(4) : "";
-    rowData[colMap["Currency"]] = data.currency;
-    rowData[colMap["Amount in EUR"]] = data.currency === "$" ? parseFloat(data.amountInEUR).toFixed(2) : "";
-    rowData[colMap["Bank Details 1"]] = data.bankDetails1 || "";
-    rowData[colMap["Bank Details 2"]] = data.bankDetails2 || "";
-    rowData[colMap["Our Company"]] = data.ourCompany || "";
-    rowData[colMap["Comment"]] = data.comment || "";
-
-    // Service rows
-    if (data.items && data.items.length > 0) {
-      data.items.forEach(function (item, i) {
-        var num = i + 1;
-        if (colMap["Row " + num + " #"] !== undefined) {
-          rowData[colMap["Row " + num + " #"]] = (i + 1).toString();
-          rowData[colMap["Row " + num + " Service"]] = item[1] || "";
-          rowData[colMap["Row " + num + " Period"]] = item[2] ? "'" + item[2].toString() : "";
-          rowData[colMap["Row " + num + " Quantity"]] = item[3] || "";
-          rowData[colMap["Row " + num + " Rate/hour"]] = item[4] || "";
-          rowData[colMap["Row " + num + " Amount"]] = item[5] || "";
-        }
-      });
+      newRowIndex = sheet.getLastRow() + 1;
+      sheet.getRange(newRowIndex, 1, 1, rowData.length).setValues([rowData]);
+      writeLineItems_(spreadsheet, LINE_ITEM_TYPE_INVOICE, uniqueId, invoiceItemsToLines_(data.items));
+      SpreadsheetApp.flush();
+    } finally {
+      try {
+        numberingLock.releaseLock();
+      } catch (error) {
+        console.warn("Could not release invoice numbering lock:", error);
+      }
     }
 
-    const newRowIndex = sheet.getLastRow() + 1;
-    sheet.getRange(newRowIndex, 1, 1, rowData.length).setValues([rowData]);
+    // Create documents. If that fails the row is removed again, so no
+    // numbered Draft without files is left behind.
+    let doc = null;
+    let pdfFile;
+    try {
+      const folderId = getProjectFolderId(data.projectName);
+      doc = createInvoiceDoc(
+        data,
+        formattedDate,
+        formattedDueDate,
+        subtotalNum,
+        taxRate,
+        taxAmount,
+        totalAmount,
+        data.templateId,
+        folderId
+      );
+      if (!doc) {
+        throw new Error("Failed to create the Google Doc.");
+      }
 
-    // Create documents
-    const folderId = getProjectFolderId(data.projectName);
-    const doc = createInvoiceDoc(
-      data,
-      formattedDate,
-      formattedDueDate,
-      subtotalNum,
-      taxRate,
-      taxAmount,
-      totalAmount,
-      data.templateId,
-      folderId
-    );
-    if (!doc) {
-      throw new Error("Failed to create the Google Doc.");
-    }
+      Utilities.sleep(1000);
 
-    Utilities.sleep(1000);
+      const pdf = doc.getAs("application/pdf");
+      if (!pdf) {
+        throw new Error("Failed to generate PDF content from the document.");
+      }
 
-    const pdf = doc.getAs("application/pdf");
-    if (!pdf) {
-      throw new Error("Failed to generate PDF content from the document.");
+      const folder = DriveApp.getFolderById(CONFIG.FOLDER_ID);
+      const cleanCompany = (data.ourCompany || "").replace(/[\\/:*?"<>|]/g, "").trim();
+      const cleanClient = (data.clientName || "").replace(/[\\/:*?"<>|]/g, "").trim();
+      const filename = `${data.invoiceDate}_Invoice${data.invoiceNumber}_${cleanCompany}-${cleanClient}`;
+      pdfFile = folder.createFile(pdf).setName(`${filename}.pdf`);
+    } catch (docError) {
+      discardUnfinishedInvoice_(spreadsheet, sheet, colMap, uniqueId, data, doc);
+      throw docError;
     }
 
-    const folder = DriveApp.getFolderById(CONFIG.FOLDER_ID);
-    const cleanCompany = (data.ourCompany || "").replace(/[\\/:*?"<>|]/g, "").trim();
-    const cleanClient = (data.clientName || "").replace(/[\\/:*?"<>|]/g, "").trim();
-    const filename = `${data.invoiceDate}_Invoice${data.invoiceNumber}_${cleanCompany}-${cleanClient}`;
-    const pdfFile = folder.createFile(pdf).setName(`${filename}.pdf`);
-
     // Write Doc/PDF URLs and audit columns
     if (colMap["Google Doc Link"] !== undefined) rowData[colMap["Google Doc Link"]] = doc.getUrl();
     if (colMap["PDF Link"] !== undefined) rowData[colMap["PDF Link"]] = pdfFile.getUrl();
@@ -705,8 +834,11 @@ function processFormFromData(data) {
     CacheService.getScriptCache().remove("invoiceList");
 
     return {
+      id: uniqueId,
       docUrl: doc.getUrl(),
       pdfUrl: pdfFile.getUrl(),
+      invoiceNumber: data.invoiceNumber,
+      exchangeRateMessage: buildExchangeRateReplacedMessage_(exchange),
     };
   } catch (e) {
     Logger.log(`processFormFromData: CRITICAL ERROR - ${e.toString()}`);
@@ -744,12 +876,23 @@ function deleteInvoiceByIdFromData(id) {
     let rowToDelete = -1;
     let docUrl = "";
     let pdfUrl = "";
+    let status = "";
+    let numberReserved = false;
+    let invoiceNumber = "";
 
     for (let i = 1; i < data.length; i++) {
       if (data[i][idCol] === id) {
+        const colMap = buildColumnMap(headers);
         rowToDelete = i + 1; // 1-based index
         docUrl = data[i][docLinkCol] || "";
         pdfUrl = data[i][pdfLinkCol] || "";
+        status = getInvoiceStatus_(data[i], colMap);
+        invoiceNumber = String(data[i][colMap["Invoice Number"]] || "");
+        numberReserved = isAutomaticInvoiceNumber_(
+          getInvoiceNumberingPatterns_(spreadsheet),
+          data[i][colMap["Our Company"]],
+          invoiceNumber
+        );
         break;
       }
     }
@@ -758,6 +901,30 @@ function deleteInvoiceByIdFromData(id) {
       return { success: false, message: "Invoice not found." };
     }
 
+    if (status !== INVOICE_STATUS_DRAFT) {
+      return {
+        success: false,
+        message: "Only draft invoices can be deleted. Void this invoice instead.",
+      };
+    }
+
+    if (numberReserved) {
+      return {
+        success: false,
+        message:
+          "Invoice number " +
+          invoiceNumber +
+          " was assigned by automatic numbering. Void this draft instead so the number stays accounted for.",
+      };
+    }
+
+    if (getInvoicePaymentTotalsById_(spreadsheet)[id]) {
+      return {
+        success: false,
+        message: "This invoice has recorded payments. Delete the payments first.",
+      };
+    }
+
     // 🔹 Удаляем файлы (если есть), логируем ошибки
     let deletedNotes = [];
 
@@ -788,7 +955,10 @@ function deleteInvoiceByIdFromData(id) {
     }
 
     // 🧹 Удаляем строку
-    sheet.deleteRow(rowToDelete);
+    runWithLineItemsLock_(function () {
+      sheet.deleteRow(rowToDelete);
+      deleteLineItems_(spreadsheet, LINE_ITEM_TYPE_INVOICE, id);
+    });
 
     // 🧼 Очищаем кэш
     CacheService.getScriptCache().remove("invoiceList");
@@ -831,6 +1001,10 @@ function updateInvoiceByIdFromData(id, data) {
 
     const spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
     const sheet = getSheet(spreadsheet, CONFIG.SHEETS.INVOICES);
+    ensureSheetColumns_(
+      sheet,
+      EXCHANGE_RATE_INVOICE_COLUMNS.concat(VAT_REGIME_COLUMN)
+    );
     const table = sheet.getDataRange().getValues();
     const headers = table[0];
 
@@ -852,32 +1026,63 @@ function updateInvoiceByIdFromData(id, data) {
     if (rowIndex === -1)
       return { success: false, message: "Invoice not found." };
 
-    // Delete old Doc/PDF (best effort)
-    const oldDocUrl = table[rowIndex][indexMap["Google Doc Link"]] || "";
-    const oldPdfUrl = table[rowIndex][indexMap["PDF Link"]] || "";
-    try {
-      if (oldDocUrl) {
-        const oldDocId = extractFileIdFromUrl(oldDocUrl);
-        if (oldDocId) DriveApp.getFileById(oldDocId).setTrashed(true);
-      }
-    } catch (e) {}
-    try {
-      if (oldPdfUrl) {
-        const oldPdfId = extractFileIdFromUrl(oldPdfUrl);
-        if (oldPdfId) DriveApp.getFileById(oldPdfId).setTrashed(true);
-      }
-    } catch (e) {}
+    const status = getInvoiceStatus_(table[rowIndex], indexMap);
+    if (isInvoiceEditLocked_(status)) {
+      return {
+        success: false,
+        message: isInvoiceVoid_(status)
+          ? "Void invoices cannot be edited."
+          : "This invoice is " + status + ". Only full-access users can edit it.",
+      };
+    }
+
+    // Numbers are never reassigned on edit; a blank number keeps the saved one,
+    // and so does a number assigned from the company's pattern.
+    const savedNumber = table[rowIndex][indexMap["Invoice Number"]] || "";
+    if (
+      !data.invoiceNumber ||
+      data.invoiceNumber.toString().trim() === "" ||
+      isAutomaticInvoiceNumber_(
+        getInvoiceNumberingPatterns_(spreadsheet),
+        table[rowIndex][indexMap["Our Company"]],
+        savedNumber
+      )
+    ) {
+      data.invoiceNumber = savedNumber;
+    }
+    const duplicateNumber = findDuplicateInvoiceNumber_(
+      readInvoiceNumberRows_(spreadsheet),
+      data.ourCompany,
+      data.invoiceNumber,
+      id
+    );
+    if (duplicateNumber) {
+      return {
+        success: false,
+        message: buildDuplicateInvoiceNumberMessage_(
+          data.invoiceNumber,
+          duplicateNumber
+        ),
+      };
+    }
 
     // Recompute like in creation
     const formattedDate = formatDate(data.invoiceDate);
-    const [day, month, year] = (data.dueDate || "01/01/1970").split("/");
+    applyInvoiceDueDate_(spreadsheet, data);
+    const [day, month, year] = data.dueDate.split("/");
     const dueDateObject = new Date(year, month - 1, day);
     const formattedDueDate = formatDate(dueDateObject);
 
     const subtotalNum = parseFloat(data.subtotal) || 0;
-    const taxRate = parseFloat(data.tax) || 0;
+    const taxRate = applyVatRegime_(data);
     const taxAmount = (subtotalNum * taxRate) / 100;
     const totalAmount = subtotalNum + taxAmount;
+    const exchange = resolveInvoiceExchangeRate_(
+      spreadsheet,
+      data,
+      totalAmount,
+      readSavedInvoiceExchangeRate_(table[rowIndex], indexMap)
+    );
 
     // Resolve template and folder like in creation flow
     const detailsForTemplate = getProjectDetailsFromData(data.projectName);
@@ -909,8 +1114,24 @@ function updateInvoiceByIdFromData(id, data) {
     const filename = `${data.invoiceDate}_Invoice${data.invoiceNumber}_${cleanCompany}-${cleanClient}`;
     const pdfFile = folder.createFile(pdf).setName(`${filename}.pdf`);
 
-    // Build row exactly by headers
-    const fullRow = new Array(headers.length).fill("");
+    // Delete old Doc/PDF (best effort) now that the new ones exist
+    const oldDocUrl = table[rowIndex][indexMap["Google Doc Link"]] || "";
+    const oldPdfUrl = table[rowIndex][indexMap["PDF Link"]] || "";
+    try {
+      if (oldDocUrl) {
+        const oldDocId = extractFileIdFromUrl(oldDocUrl);
+        if (oldDocId) DriveApp.getFileById(oldDocId).setTrashed(true);
+      }
+    } catch (e) {}
+    try {
+      if (oldPdfUrl) {
+        const oldPdfId = extractFileIdFromUrl(oldPdfUrl);
+        if (oldPdfId) DriveApp.getFileById(oldPdfId).setTrashed(true);
+      }
+    } catch (e) {}
+
+    // Build row exactly by headers; columns not rebuilt here (delivery log etc.) keep their values
+    const fullRow = table[rowIndex].slice();
     fullRow[indexMap["ID"]] = id;
     fullRow[indexMap["Project Name"]] = data.projectName;
     fullRow[indexMap["Invoice Number"]] = data.invoiceNumber;
@@ -920,16 +1141,12 @@ function updateInvoiceByIdFromData(id, data) {
     fullRow[indexMap["Invoice Date"]] = new Date(data.invoiceDate);
     fullRow[indexMap["Due Date"]] = dueDateObject;
     fullRow[indexMap["Tax Rate (%)"]] = taxRate.toFixed(0);
+    fullRow[indexMap[VAT_REGIME_COLUMN]] = data.vatRegime;
     fullRow[indexMap["Subtotal"]] = subtotalNum.toFixed(2);
     fullRow[indexMap["Tax Amount"]] = taxAmount.toFixed(2);
     fullRow[indexMap["Total"]] = totalAmount.toFixed(2);
-    fullRow[indexMap["Exchange Rate"]] =
-      data.currency === "$"
-        ? parseFloat(data.exchangeRate || 0).toFixed(4)
-        : "";
     fullRow[indexMap["Currency"]] = data.currency;
-    fullRow[indexMap["Amount in EUR"]] =
-      data.currency === "$" ? parseFloat(data.amountInEUR || 0).toFixed(2) : "";
+    applyInvoiceExchangeRate_(fullRow, indexMap, data, exchange);
     fullRow[indexMap["Bank Details 1"]] = data.bankDetails1 || "";
     fullRow[indexMap["Bank Details 2"]] = data.bankDetails2 || "";
     fullRow[indexMap["Our Company"]] = data.ourCompany || "";
@@ -971,7 +1188,10 @@ function updateInvoiceByIdFromData(id, data) {
 
     // Write back row (1-based)
     const sheetRow = rowIndex + 1;
-    sheet.getRange(sheetRow, 1, 1, fullRow.length).setValues([fullRow]);
+    runWithLineItemsLock_(function () {
+      sheet.getRange(sheetRow, 1, 1, fullRow.length).setValues([fullRow]);
+      writeLineItems_(spreadsheet, LINE_ITEM_TYPE_INVOICE, id, invoiceItemsToLines_(data.items));
+    });
     CacheService.getScriptCache().remove("invoiceList");
     return { success: true, docUrl: doc.getUrl(), pdfUrl: pdfFile.getUrl() };
   } catch (error) {
@@ -1040,44 +1260,86 @@ function processCreditNoteFormFromData(data) {
     const formattedDate = formatDate(data.creditNoteDate);
 
     const subtotalNum = parseFloat(data.subtotal) || 0;
-    const taxRate = parseFloat(data.tax) || 0;
+    const taxRate = applyVatRegime_(data);
     const taxAmount = (subtotalNum * taxRate) / 100;
     const totalAmount = subtotalNum + taxAmount;
 
-    const itemCells = [];
-    data.items.forEach((row, i) => {
-      const newRow = [...row];
-      newRow[0] = (i + 1).toString();
-      // Force Period field (index 2) to be saved as text to prevent Google Sheets from converting it to date
-      if (newRow[2]) {
-        newRow[2] = `'${newRow[2].toString()}`; // Add single quote prefix to force text format
-      }
-      itemCells.push(...newRow);
-    });
+    // The credited total is checked and the row written under one lock so
+    // that concurrent saves cannot credit an invoice beyond its total.
+    var creditLock = LockService.getScriptLock();
+    if (!creditLock.tryLock(30000)) {
+      throw new Error("Credit notes are busy. Please try again.");
+    }
+    var newRowIndex;
+    try {
+      const linkProblem = validateCreditNoteInvoiceLink_(
+        spreadsheet,
+        data,
+        roundInvoiceAmount_(totalAmount),
+        null
+      );
+      if (linkProblem) throw new Error(linkProblem);
+
+      // Only the lines that fit the wide "Row N" columns are copied onto the
+      // row; the full list goes to the line-items sheet.
+      const itemCells = [];
+      data.items.slice(0, CONFIG.CREDIT_NOTE_TABLE.MAX_ROWS).forEach((row, i) => {
+        const newRow = [...row];
+        newRow[0] = (i + 1).toString();
+        // Force Period field (index 2) to be saved as text to prevent Google Sheets from converting it to date
+        if (newRow[2]) {
+          newRow[2] = `'${newRow[2].toString()}`; // Add single quote prefix to force text format
+        }
+        itemCells.push(...newRow);
+      });
 
-    const row = [
-      uniqueId,
-      data.projectName,
-      data.creditNoteNumber,
-      data.clientName,
-      data.clientAddress,
-      data.clientNumber,
-      new Date(data.creditNoteDate),
-      taxRate.toFixed(0),
-      subtotalNum.toFixed(2),
-      taxAmount.toFixed(2),
-      totalAmount.toFixed(2),
-      data.currency === "$" ? parseFloat(data.exchangeRate).toFixed(4) : "",
-      data.currency,
-      data.currency === "$" ? parseFloat(data.amountInEUR).toFixed(2) : "",
-      data.ourCompany || "",
-      data.comment || "",
-      "",
-      "", // placeholders for doc & pdf
-    ].concat(itemCells);
-
-    const newRowIndex = sheet.getLastRow() + 1;
-    sheet.getRange(newRowIndex, 1, 1, row.length).setValues([row]);
+      const row = [
+        uniqueId,
+        data.projectName,
+        data.creditNoteNumber,
+        data.clientName,
+        data.clientAddress,
+        data.clientNumber,
+        new Date(data.creditNoteDate),
+        taxRate.toFixed(0),
+        subtotalNum.toFixed(2),
+        taxAmount.toFixed(2),
+        totalAmount.toFixed(2),
+        data.currency === "$" ? parseFloat(data.exchangeRate).toFixed(4) : "",
+        data.currency,
+        data.currency === "$" ? parseFloat(data.amountInEUR).toFixed(2) : "",
+        data.ourCompany || "",
+        data.comment || "",
+        "",
+        "", // placeholders for doc & pdf
+      ].concat(itemCells);
+
+      newRowIndex = sheet.getLastRow() + 1;
+      sheet.getRange(newRowIndex, 1, 1, row.length).setValues([row]);
+      const extraColMap = ensureSheetColumns_(sheet, [
+        VAT_REGIME_COLUMN,
+        CREDIT_NOTE_INVOICE_ID_COLUMN,
+      ]);
+      sheet
+        .getRange(newRowIndex, extraColMap[VAT_REGIME_COLUMN] + 1)
+        .setValue(data.vatRegime);
+      sheet
+        .getRange(newRowIndex, extraColMap[CREDIT_NOTE_INVOICE_ID_COLUMN] + 1)
+        .setValue(data.invoiceId);
+      writeLineItems_(
+        spreadsheet,
+        LINE_ITEM_TYPE_CREDIT_NOTE,
+        uniqueId,
+        creditNoteItemsToLines_(data.items)
+      );
+      SpreadsheetApp.flush();
+    } finally {
+      try {
+        creditLock.releaseLock();
+      } catch (error) {
+        console.warn("Could not release credit note lock:", error);
+      }
+    }
     Logger.log(
       `processCreditNoteFormFromData: Data saved to row ${newRowIndex}`
     );
@@ -1163,6 +1425,7 @@ function processCreditNoteFormFromData(data) {
     );
 
     CacheService.getScriptCache().remove("creditNoteList");
+    syncCreditedInvoices_(spreadsheet, [data.invoiceId]);
 
     return result;
   } catch (error) {
@@ -1196,15 +1459,19 @@ function deleteCreditNoteByIdFromData(id) {
 
     if (idCol === -1) throw new Error("ID column not found.");
 
+    const invoiceIdCol = headers.indexOf(CREDIT_NOTE_INVOICE_ID_COLUMN);
+
     let rowToDelete = -1;
     let docUrl = "";
     let pdfUrl = "";
+    let linkedInvoiceId = "";
 
     for (let i = 1; i < data.length; i++) {
       if (data[i][idCol] === id) {
         rowToDelete = i + 1; // 1-based index
         docUrl = data[i][docLinkCol] || "";
         pdfUrl = data[i][pdfLinkCol] || "";
+        linkedInvoiceId = invoiceIdCol === -1 ? "" : String(data[i][invoiceIdCol] || "");
         break;
       }
     }
@@ -1243,10 +1510,14 @@ function deleteCreditNoteByIdFromData(id) {
     }
 
     // 🧹 Удаляем строку
-    sheet.deleteRow(rowToDelete);
+    runWithLineItemsLock_(function () {
+      sheet.deleteRow(rowToDelete);
+      deleteLineItems_(spreadsheet, LINE_ITEM_TYPE_CREDIT_NOTE, id);
+    });
 
     // 🧼 Очищаем кэш
     CacheService.getScriptCache().remove("creditNoteList");
+    syncCreditedInvoices_(spreadsheet, [linkedInvoiceId]);
 
     // ✅ Возвращаем результат
     return {
@@ -1272,6 +1543,7 @@ function updateCreditNoteByIdFromData(data) {
 
     const spreadsheet = getSpreadsheet(CONFIG.SPREADSHEET_ID);
     const sheet = getSheet(spreadsheet, CONFIG.SHEETS.CREDITNOTES);
+    ensureSheetColumns_(sheet, [VAT_REGIME_COLUMN, CREDIT_NOTE_INVOICE_ID_COLUMN]);
     const sheetData = sheet.getDataRange().getValues();
     const headers = sheetData[0];
 
@@ -1290,6 +1562,21 @@ function updateCreditNoteByIdFromData(data) {
       return { success: false, message: "Credit note not found" };
     }
 
+    const subtotalNum = parseFloat(data.subtotal || 0);
+    const taxRate = applyVatRegime_(data);
+    const taxAmount = calculateTaxAmountFromUtils(subtotalNum, taxRate);
+    const totalAmount = calculateTotalAmountFromUtils(subtotalNum, taxAmount);
+    const previousInvoiceId = String(
+      sheetData[rowToUpdate - 1][headers.indexOf(CREDIT_NOTE_INVOICE_ID_COLUMN)] || ""
+    );
+    const linkProblem = validateCreditNoteInvoiceLink_(
+      spreadsheet,
+      data,
+      roundInvoiceAmount_(totalAmount),
+      data.id
+    );
+    if (linkProblem) return { success: false, message: linkProblem };
+
     // Prepare row data
     const row = new Array(headers.length);
 
@@ -1302,6 +1589,8 @@ function updateCreditNoteByIdFromData(data) {
       "Client Number": data.clientNumber || "",
       "CN Date": data.creditNoteDate ? new Date(data.creditNoteDate) : "",
       "Tax Rate (%)": data.tax || "0",
+      [VAT_REGIME_COLUMN]: data.vatRegime,
+      [CREDIT_NOTE_INVOICE_ID_COLUMN]: data.invoiceId,
       Subtotal: data.subtotal || "0",
       Total: data.total || "0",
       "Exchange Rate": data.exchangeRate || "1.0000",
@@ -1322,18 +1611,18 @@ function updateCreditNoteByIdFromData(data) {
       }
     });
 
-    // Add items data
-    if (data.items && data.items.length > 0) {
-      const baseCol = 18; // Start from column 19 (index 18)
-      data.items.forEach((item, i) => {
-        const startCol = baseCol + i * 4;
-        if (startCol + 3 < headers.length) {
-          row[startCol] = item[0] || ""; // #
-          row[startCol + 1] = item[1] || ""; // Description
-          row[startCol + 2] = item[2] || ""; // Period
-          row[startCol + 3] = item[3] || ""; // Amount
-        }
-      });
+    // Add items data: the wide "Row N" columns hold the lines that fit,
+    // removed lines are cleared; the full list goes to the line-items sheet.
+    const items = data.items || [];
+    const baseCol = 18; // Start from column 19 (index 18)
+    for (let i = 0; i < CONFIG.CREDIT_NOTE_TABLE.MAX_ROWS; i++) {
+      const startCol = baseCol + i * 4;
+      if (startCol + 3 >= headers.length) break;
+      const item = items[i] || [];
+      row[startCol] = item[0] || ""; // #
+      row[startCol + 1] = item[1] || ""; // Description
+      row[startCol + 2] = item[2] || ""; // Period
+      row[startCol + 3] = item[3] || ""; // Amount
     }
 
     // Delete old Doc/PDF (best effort)
@@ -1356,10 +1645,6 @@ function updateCreditNoteByIdFromData(data) {
 
     // Generate new documents
     const formattedDate = formatDate(data.creditNoteDate);
-    const subtotalNum = parseFloat(data.subtotal || 0);
-    const taxRate = parseFloat(data.tax || 0);
-    const taxAmount = calculateTaxAmountFromUtils(subtotalNum, taxRate);
-    const totalAmount = calculateTotalAmountFromUtils(subtotalNum, taxAmount);
 
     // Resolve template and folder like in creation flow
     const detailsForTemplate = getProjectDetailsFromData(data.projectName);
@@ -1411,10 +1696,19 @@ function updateCreditNoteByIdFromData(data) {
     if (cnColMap["Modified at"] !== undefined) row[cnColMap["Modified at"]] = cnAuditNow;
 
     // Update the row
-    sheet.getRange(rowToUpdate, 1, 1, headers.length).setValues([row]);
+    runWithLineItemsLock_(function () {
+      sheet.getRange(rowToUpdate, 1, 1, headers.length).setValues([row]);
+      writeLineItems_(
+        spreadsheet,
+        LINE_ITEM_TYPE_CREDIT_NOTE,
+        data.id,
+        creditNoteItemsToLines_(items)
+      );
+    });
 
     // Clear cache
     CacheService.getScriptCache().remove("creditNoteList");
+    syncCreditedInvoices_(spreadsheet, [previousInvoiceId, data.invoiceId]);
 
     return { success: true, docUrl: doc.getUrl(), pdfUrl: pdfFile.getUrl() };
   } catch (error) {
@@ -2887,20 +3181,25 @@ function getBillDataByIdFromData(id) {
       services: [],
     };
 
-    // Services — same loop, but using simple helpers
-    for (var n = 1; n <= 10; n++) {
-      var svc = getColValue("Вид услуг" + n);
-      var hrs = getColValue("Часы" + n);
-      var rt  = getColValue("Рейт" + n);
-      var amt = getColValue("Сумма" + n);
-      if (!svc && !hrs && !rt && !amt) continue;
-      result.services.push({
-        services: svc,
-        period: getDisplayColValue("Период работы" + n),
-        hours: hrs,
-        rate: rt,
-        amount: amt,
-      });
+    // Services — from the line-items sheet, else the wide columns
+    var storedLines = readLineItems_(spreadsheet, LINE_ITEM_TYPE_BILL, result.id);
+    if (storedLines) {
+      result.services = linesToBillServices_(storedLines);
+    } else {
+      for (var n = 1; n <= 10; n++) {
+        var svc = getColValue("Вид услуг" + n);
+        var hrs = getColValue("Часы" + n);
+        var rt  = getColValue("Рейт" + n);
+        var amt = getColValue("Сумма" + n);
+        if (!svc && !hrs && !rt && !amt) continue;
+        result.services.push({
+          services: svc,
+          period: getDisplayColValue("Период работы" + n),
+          hours: hrs,
+          rate: rt,
+          amount: amt,
+        });
+      }
     }
 
     return result;
@@ -3004,7 +3303,10 @@ function deleteBillByIdFromData(id) {
       }
     }
 
-    sheet.deleteRow(rowToDelete);
+    runWithLineItemsLock_(function () {
+      sheet.deleteRow(rowToDelete);
+      deleteLineItems_(spreadsheet, LINE_ITEM_TYPE_BILL, idStr);
+    });
     CacheService.getScriptCache().remove("billList");
 
     return {
@@ -3203,7 +3505,15 @@ function updateBillByIdFromData(formData) {
     if (columnMap["Modified at"] !== undefined) rowArr[columnMap["Modified at"]] = auditNow;
 
     // Single batch write for the entire row
-    sheet.getRange(rowIndex, 1, 1, rowArr.length).setValues([rowArr]);
+    runWithLineItemsLock_(function () {
+      sheet.getRange(rowIndex, 1, 1, rowArr.length).setValues([rowArr]);
+      writeLineItems_(
+        spreadsheet,
+        LINE_ITEM_TYPE_BILL,
+        billId,
+        billServicesToLines_(formData.services)
+      );
+    });
     CacheService.getScriptCache().remove("billList");
 
     var message = "Bill updated successfully";
@@ -3550,7 +3860,7 @@ function saveBillToData(formData) {
       }
     });
 
-    // Map services rows (up to 10)
+    // Map services rows (up to 10 wide columns; all lines go to Line Items)
     if (formData.services && Array.isArray(formData.services)) {
       formData.services.forEach(function (svc, idx) {
         var num = idx + 1;
@@ -3569,8 +3879,17 @@ function saveBillToData(formData) {
       });
     }
 
-    sheet.appendRow(rowData);
-    var newRowIndex = sheet.getLastRow();
+    var newRowIndex;
+    runWithLineItemsLock_(function () {
+      sheet.appendRow(rowData);
+      newRowIndex = sheet.getLastRow();
+      writeLineItems_(
+        spreadsheet,
+        LINE_ITEM_TYPE_BILL,
+        billId,
+        billServicesToLines_(formData.services)
+      );
+    });
 
     var docUrl = "";
     var docError = "";
@@ -3691,6 +4010,7 @@ var CLIENTS_INFO_COLUMNS = {
   number:            "Number",
   companyAddress:    "Company address",
   vatRate:           "VAT rate",
+  vatRegime:         "VAT regime",
   bankChoice1:       "Sloboda bank choice1",
   bankChoice2:       "Sloboda bank choice2",
   invoiceTemplate:   "Invoice template *",
@@ -3945,6 +4265,7 @@ function getClientCardByIdFromData(id) {
       number:           col("number"),
       companyAddress:   col("companyAddress"),
       vatRate:          col("vatRate"),
+      vatRegime:        col("vatRegime"),
       bankChoice1:      col("bankChoice1"),
       bankChoice2:      col("bankChoice2"),
       invoiceTemplate:  col("invoiceTemplate"),
@@ -3961,6 +4282,65 @@ function getClientCardByIdFromData(id) {
   }
 }
 
+function parseClientMailList_(value) {
+  return String(value || "")
+    .split(/[,;\s]+/)
+    .map(function (email) {
+      return email.trim();
+    })
+    .filter(function (email) {
+      return email.indexOf("@") > 0;
+    });
+}
+
+/**
+ * Read the mail settings of every client card, keyed by normalized project name.
+ * @returns {Object} { projectKey: { projectName, to, addressTo, ccClient, ccSloboda, comments } }
+ */
+function readClientMailSettingsByProject_() {
+  var ss = SpreadsheetApp.openById(CLIENTS_INFO_SPREADSHEET_ID);
+  var sheet = ss.getSheetByName(CLIENTS_INFO_SHEET);
+  if (!sheet) return {};
+  var data = sheet.getDataRange().getValues();
+  if (data.length < 2) return {};
+  var colMap = buildClientsInfoColumnMap_(data[0]);
+
+  function cell(row, key) {
+    var idx = colMap[CLIENTS_INFO_COLUMNS[key]];
+    if (idx === undefined) return "";
+    var v = row[idx];
+    return v === null || v === undefined ? "" : String(v).trim();
+  }
+
+  var settings = {};
+  for (var i = 1; i < data.length; i++) {
+    var projectName = cell(data[i], "projectName");
+    if (!projectName) continue;
+    settings[normalizeClientProjectName_(projectName)] = {
+      projectName: projectName,
+      to: parseClientMailList_(cell(data[i], "mailTo")),
+      addressTo: cell(data[i], "mailAddressTo"),
+      ccClient: parseClientMailList_(cell(data[i], "copyMailClient")),
+      ccSloboda: parseClientMailList_(cell(data[i], "copyMailSloboda")),
+      comments: cell(data[i], "comments"),
+    };
+  }
+  return settings;
+}
+
+/**
+ * Mail settings of the client card for a project, or null when there is none.
+ * @param {string} projectName
+ * @returns {Object|null}
+ */
+function getClientMailSettingsByProjectFromData(projectName) {
+  return (
+    readClientMailSettingsByProject_()[
+      normalizeClientProjectName_(projectName)
+    ] || null
+  );
+}
+
 /**
  * Save a new client card to the Information sheet.
  * @param {Object} formData
@@ -3977,6 +4357,7 @@ function saveClientCardToData(formData) {
     var sheet = ss.getSheetByName(CLIENTS_INFO_SHEET);
     if (!sheet) return { success: false, message: "Information sheet not found" };
 
+    ensureSheetColumns_(sheet, [CLIENTS_INFO_COLUMNS.vatRegime]);
     var headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
     var colMap = buildClientsInfoColumnMap_(headers);
     var data = sheet.getDataRange().getValues();
@@ -4035,6 +4416,7 @@ function updateClientCardByIdFromData(formData) {
     var sheet = ss.getSheetByName(CLIENTS_INFO_SHEET);
     if (!sheet) return { success: false, message: "Information sheet not found" };
 
+    ensureSheetColumns_(sheet, [CLIENTS_INFO_COLUMNS.vatRegime]);
     var data = sheet.getDataRange().getValues();
     var headers = data[0];
     var colMap = buildClientsInfoColumnMap_(headers);
@@ -61,6 +61,12 @@ function createInvoiceDoc(
       totalAmount
     );
 
+    // Legal note of the client's VAT regime (reverse charge, export, exempt)
+    insertVatNote(body, data.vatNote);
+
+    // Payment QR image (EPC for EUR, SPAYD for CZK)
+    insertPaymentQr(body, data, totalAmount);
+
     Logger.log(
       `createInvoiceDoc: Placeholders replaced. Saving and closing doc.`
     );
@@ -83,8 +89,8 @@ function createInvoiceDoc(
  * @param {Object} data - Invoice data
  */
 function handleExchangeRateSection(body, data) {
-  if (data.currency !== "$") {
-    // Remove exchange rate notice for non-USD currencies
+  if (!data.exchangeRate) {
+    // Remove exchange rate notice for invoices in the accounting currency
     const paragraphs = body.getParagraphs();
     for (let i = 0; i < paragraphs.length; i++) {
       const text = paragraphs[i].getText();
@@ -103,7 +109,19 @@ function handleExchangeRateSection(body, data) {
       }
     }
   } else {
-    // Update exchange rate placeholders for USD
+    // The paragraph under the notice heading gets the currency's own text
+    const currencyCode = eInvoiceCurrencyCode_(data.currency);
+    const notice = getCurrencyNoticeText_(currencyCode);
+    if (notice) {
+      const paragraphs = body.getParagraphs();
+      for (let i = 0; i < paragraphs.length - 1; i++) {
+        if (paragraphs[i].getText().includes("Exchange Rate Notice")) {
+          paragraphs[i + 1].setText(notice);
+          break;
+        }
+      }
+    }
+
     body.replaceText(
       "\\{Exchange Rate\\}",
       parseFloat(data.exchangeRate).toFixed(4)
@@ -112,38 +130,100 @@ function handleExchangeRateSection(body, data) {
       "\\{Amount in EUR\\}",
       `€${parseFloat(data.amountInEUR).toFixed(2)}`
     );
+    body.replaceText("\\{Currency\\}", currencyCode);
+    body.replaceText("\\{Rate Source\\}", data.exchangeRateSource || "");
+    body.replaceText("\\{Rate Date\\}", data.exchangeRateDate || "");
   }
 }
 
 /**
- * Update invoice table in document
- * @param {Body} body - Document body
- * @param {Object} data - Invoice data
+ * Whether a table is the invoice line items table
+ * @param {Table} table - Document table
+ * @returns {boolean} True for the #, Services, Period, Quantity, Rate/hour,
+ *   Amount header
  */
-function updateInvoiceTable(body, data) {
-  const tables = body.getTables();
-  let targetTable = null;
+function isInvoiceItemsTable(table) {
+  const headers = [];
+  for (let i = 0; i < table.getRow(0).getNumCells(); i++) {
+    headers.push(table.getRow(0).getCell(i).getText().trim());
+  }
+  return (
+    headers.length >= 6 &&
+    headers[0] === "#" &&
+    headers[1] === "Services" &&
+    headers[2] === "Period" &&
+    headers[3] === "Quantity" &&
+    headers[4] === "Rate/hour" &&
+    headers[5] === "Amount"
+  );
+}
 
-  // Find the correct table
-  for (const table of tables) {
-    const headers = [];
-    for (let i = 0; i < table.getRow(0).getNumCells(); i++) {
-      headers.push(table.getRow(0).getCell(i).getText().trim());
+/**
+ * Whether a template has a {Вид работ-N} placeholder for one line. Those in
+ * the data rows of the line items table do not count: updateInvoiceTable
+ * rebuilds these rows.
+ * @param {Body} body - Document body
+ * @param {number} line - Line number (1-based)
+ * @returns {boolean}
+ */
+function hasInvoiceLineSlot(body, line) {
+  const pattern = `\\{Вид работ-${line}\\}`;
+  let found = body.findText(pattern);
+  while (found) {
+    let node = found.getElement();
+    while (node && node.getType() !== DocumentApp.ElementType.TABLE_ROW) {
+      node = node.getParent();
+    }
+    if (!node) return true;
+    const row = node.asTableRow();
+    const table = row.getParentTable();
+    if (!isInvoiceItemsTable(table) || table.getChildIndex(row) === 0) {
+      return true;
     }
+    found = body.findText(pattern, found);
+  }
+  return false;
+}
 
-    if (
-      headers.length >= 6 &&
-      headers[0] === "#" &&
-      headers[1] === "Services" &&
-      headers[2] === "Period" &&
-      headers[3] === "Quantity" &&
-      headers[4] === "Rate/hour" &&
-      headers[5] === "Amount"
-    ) {
-      targetTable = table;
-      break;
+/**
+ * Why the numbered placeholders of a template cannot hold every line
+ * @param {Body} body - Document body
+ * @param {number} lineCount - Invoice lines
+ * @returns {string} Message, empty when every line has a slot or the template
+ *   has no numbered placeholders
+ */
+function getInvoiceLineSlotsProblem(body, lineCount) {
+  if (!hasInvoiceLineSlot(body, 1)) return "";
+  for (let i = 1; i < lineCount; i++) {
+    if (!hasInvoiceLineSlot(body, i + 1)) {
+      return `The invoice template has placeholders for ${i} lines, but the invoice has ${lineCount}. Add placeholders for line ${i + 1} to the template or use a template with the line items table.`;
     }
   }
+  return "";
+}
+
+/**
+ * Check the template before an invoice is saved, so a template that cannot
+ * hold every line fails before a number is reserved or a row is written.
+ * @param {string} templateId - Template document ID
+ * @param {Array} items - Invoice lines
+ */
+function checkInvoiceTemplateLineSlots(templateId, items) {
+  if (!templateId) return; // createInvoiceDoc reports the missing template
+  const problem = getInvoiceLineSlotsProblem(
+    DocumentApp.openById(templateId).getBody(),
+    (items || []).length
+  );
+  if (problem) throw new Error(problem);
+}
+
+/**
+ * Update invoice table in document
+ * @param {Body} body - Document body
+ * @param {Object} data - Invoice data
+ */
+function updateInvoiceTable(body, data) {
+  const targetTable = body.getTables().find(isInvoiceItemsTable) || null;
 
   if (!targetTable) {
     throw new Error(ERROR_MESSAGES.TABLE_NOT_FOUND);
@@ -306,8 +386,14 @@ function replaceDocumentPlaceholders(
     body.replaceText(placeholder, value);
   });
 
-  // Replace item-specific placeholders
-  for (let i = 0; i < CONFIG.INVOICE_TABLE.MAX_ROWS; i++) {
+  // Replace item-specific placeholders. A template has a fixed number of
+  // numbered placeholders, so a line without its own slot is an error rather
+  // than being left out of the invoice (checked before saving as well, in
+  // checkInvoiceTemplateLineSlots).
+  if (!body.findText("\\{Вид работ-1\\}")) return;
+  const slotsProblem = getInvoiceLineSlotsProblem(body, data.items.length);
+  if (slotsProblem) throw new Error(slotsProblem);
+  for (let i = 0; i < data.items.length; i++) {
     const item = data.items[i];
     if (item) {
       const itemReplacements = {
@@ -487,6 +573,12 @@ function createCreditNoteDoc(
       totalAmount
     );
 
+    // Legal note of the client's VAT regime (reverse charge, export, exempt)
+    insertVatNote(body, data.vatNote);
+
+    // Number of the invoice this credit note corrects
+    insertCreditNoteInvoiceReference(body, data);
+
     Logger.log(
       `createCreditNoteDoc: Placeholders replaced. Saving and closing doc.`
     );
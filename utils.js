@@ -195,3 +195,33 @@ function getSheet(spreadsheet, sheetName) {
     throw new Error(`Failed to get sheet "${sheetName}": ${error.message}`);
   }
 }
+
+/**
+ * Get sheet by name, creating it with a header row if it does not exist yet
+ * @param {Spreadsheet} spreadsheet - Spreadsheet object
+ * @param {string} sheetName - Sheet name
+ * @param {Array} headers - Header row written into a new or empty sheet
+ * @returns {Sheet} Sheet object
+ */
+function getOrCreateSheet(spreadsheet, sheetName, headers) {
+  let sheet = getSheet(spreadsheet, sheetName);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(sheetName);
+  }
+  if (sheet.getLastRow() === 0 && headers && headers.length > 0) {
+    sheet.appendRow(headers);
+  }
+  return sheet;
+}
+
+/**
+ * Get all values of a sheet without creating it. Read paths use this instead
+ * of getOrCreateSheet, so that reading never adds sheets to the file.
+ * @param {Spreadsheet} spreadsheet - Spreadsheet object
+ * @param {string} sheetName - Sheet name
+ * @returns {Array} Rows including the header row; empty when there is no sheet
+ */
+function getSheetValuesIfExists(spreadsheet, sheetName) {
+  const sheet = getSheet(spreadsheet, sheetName);
+  return sheet ? sheet.getDataRange().getValues() : [];
+}